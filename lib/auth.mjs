@@ -0,0 +1,17 @@
+// lib/auth.mjs
+// Signed-in teacher for API routes. Data is keyed by session.user.email (see the jwt / session
+// callbacks in pages/api/auth/[...nextauth].js).
+
+import { getServerSession } from "next-auth/next";
+import { authOptions } from "../pages/api/auth/[...nextauth].js";
+
+// Email of the signed-in user, or null after answering 401
+export async function requireEmail(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+  const email = session?.user?.email;
+  if (!email) {
+    res.status(401).json({ error: "Sign in required." });
+    return null;
+  }
+  return email;
+}
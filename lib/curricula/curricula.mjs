@@ -0,0 +1,310 @@
+// lib/curricula/curricula.mjs
+// Curricula a teacher can plan against, one JSON file per curriculum in lib/curricula/defs/<id>.json.
+// Adding a curriculum is a new file here plus its standards under public/standards/<id>/.
+//
+//   {
+//     "id": "england",                    same as the file name and the public/standards/<id>/ folder
+//     "name": "England",                  on exported plans, the plan library and the crosswalk
+//     "label": "England (KS1–4)",         optional; the curriculum picker (default: name)
+//     "order": 20,                        optional; picker order, lowest first
+//     "standards": true,                  optional; false when there is no standards set (General)
+//     "source": { "name": "...", "url": "..." },   optional; where the standards come from
+//     "gradeLabel": "Year",               optional; what the grade picker is called (default: Grade)
+//     "grades": ["Year 1", ...],          the grade / year picker, in order
+//     "gradeRules": [                     optional; grade as picked -> grade as filed in the index,
+//       { "match": "^year\\s*([1-6])$", first match wins; a case-insensitive regex over the whole
+//         "grade": "KS1-2" }              grade, $1 etc. refer to its groups
+//     ],
+//     "subjects": [
+//       { "name": "Citizenship",          as picked and sent to /api/generate
+//         "key": "eng_citizenship" },     public/standards/<id>/<key>_(standards|tree).json, at every grade
+//       { "name": "World Languages", "key": "world_languages",
+//         "teachesLanguage": true },      optional; a language is taught, so the planner's output
+//                                         language is the one students learn (lib/plan/output-language.mjs)
+//       { "name": "English",
+//         "keys": [                       or one file per stage: first match over the normalised grade
+//           { "match": "^KS3$", "key": "eng_english_secondary" },
+//           { "match": "^KS4$", "key": "eng_english_ks4",
+//             "also": ["..."],            optional; supporting files retrieved alongside the key
+//             "boards": { "AQA": "eng_gcse_english_aqa" } }   optional; exam board -> its specification,
+//         ] },                            retrieved instead of the key (which becomes supporting).
+//       { "name": "Biology",              Grades no entry matches are not offered for the subject
+//         "keys": [
+//           { "match": "^KS3$", "key": "eng_science_secondary",
+//             "clusters": ["Cells and organisation", ...] }   optional; only the key's rows filed
+//         ] },                            under these clusters, and those filed under none
+//       { "name": "History",
+//         "keys": [
+//           { "match": "^KS4$", "unavailable": "..." }   or no file at that stage, with the reason
+//         ] }                                           given when the subject is asked for there
+//     ]
+//   }
+//
+// Grades the rules do not match are looked up as they are (lib/standards/standards-index.mjs
+// gradeMatches also covers grade bands). The pickers only offer a subject at a grade when its file
+// has standards for that grade in the index (see offeredSubjects). Check the files with
+// `npm run check:curricula`.
+
+import fs from "fs";
+import path from "path";
+import { gradeMatches } from "../standards/standards-index.mjs";
+
+export const CURRICULA_DIR = path.join(process.cwd(), "lib", "curricula", "defs");
+
+const CURRICULUM_FIELDS = new Set(["id", "name", "label", "order", "standards", "source", "gradeLabel", "grades", "gradeRules", "subjects"]);
+const SUBJECT_FIELDS = new Set(["name", "key", "keys", "teachesLanguage"]);
+
+const KEY_RE = /^[a-z0-9_]+$/;
+
+const isName = (v) => typeof v === "string" && v.trim() !== "";
+
+// Problems with a parsed curriculum, as readable strings; [] when it is usable
+export function validateCurriculum(c, { id } = {}) {
+  if (!c || typeof c !== "object" || Array.isArray(c)) return ["curriculum must be a JSON object"];
+  const problems = [];
+  for (const k of Object.keys(c)) if (!CURRICULUM_FIELDS.has(k)) problems.push(`unknown field "${k}"`);
+
+  if (typeof c.id !== "string" || !/^[a-z][a-z0-9_]*$/.test(c.id)) {
+    problems.push("id must be lower-case letters, digits and _");
+  } else if (id && c.id !== id) {
+    problems.push(`id "${c.id}" does not match the file name "${id}"`);
+  }
+  if (!isName(c.name)) problems.push("name is required");
+  if (c.label !== undefined && !isName(c.label)) problems.push("label must be text");
+  if (c.order !== undefined && !Number.isFinite(c.order)) problems.push("order must be a number");
+  if (c.standards !== undefined && typeof c.standards !== "boolean") problems.push("standards must be true or false");
+  if (c.source !== undefined && (!c.source || typeof c.source !== "object" || !isName(c.source.name))) {
+    problems.push("source must be an object with a name (and optionally a url)");
+  }
+
+  if (c.gradeLabel !== undefined && !isName(c.gradeLabel)) problems.push("gradeLabel must be text");
+  if (!Array.isArray(c.grades) || !c.grades.length || !c.grades.every(isName)) {
+    problems.push("grades must be a non-empty array of text");
+  } else if (new Set(c.grades).size !== c.grades.length) {
+    problems.push("grades must not repeat");
+  }
+
+  if (c.gradeRules !== undefined) {
+    if (!Array.isArray(c.gradeRules)) problems.push("gradeRules must be an array");
+    else c.gradeRules.forEach((r, i) => checkRule(r, `gradeRules[${i}]`, "grade", problems));
+  }
+
+  if (!Array.isArray(c.subjects) || !c.subjects.length) {
+    problems.push("subjects must be a non-empty array");
+    return problems;
+  }
+  const seen = new Set();
+  c.subjects.forEach((s, i) => {
+    const at = `subjects[${i}]`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) return problems.push(`${at} must be an object`);
+    for (const k of Object.keys(s)) if (!SUBJECT_FIELDS.has(k)) problems.push(`${at}: unknown field "${k}"`);
+    if (!isName(s.name)) problems.push(`${at}: name is required`);
+    else if (seen.has(s.name)) problems.push(`${at}: duplicate subject "${s.name}"`);
+    else seen.add(s.name);
+    if (s.teachesLanguage !== undefined && typeof s.teachesLanguage !== "boolean") {
+      problems.push(`${at}: teachesLanguage must be true or false`);
+    }
+    if ((s.key === undefined) === (s.keys === undefined)) return problems.push(`${at}: give either key or keys`);
+    if (s.key !== undefined && !(typeof s.key === "string" && KEY_RE.test(s.key))) {
+      problems.push(`${at}: key must be lower-case letters, digits and _`);
+    }
+    if (s.keys !== undefined) {
+      if (!Array.isArray(s.keys) || !s.keys.length) problems.push(`${at}: keys must be a non-empty array`);
+      else s.keys.forEach((k, j) => (k?.unavailable !== undefined
+        ? checkUnavailable(k, `${at}.keys[${j}]`, problems)
+        : checkRule(k, `${at}.keys[${j}]`, "key", problems)));
+    }
+  });
+  return problems;
+}
+
+// { "match": "<regex>", "<field>": "..." }, as in gradeRules and subjects[].keys
+function checkRule(r, at, field, problems) {
+  if (!r || typeof r !== "object" || !isName(r.match) || !isName(r[field])) {
+    return problems.push(`${at} must be { "match": "<regex>", "${field}": "..." }`);
+  }
+  try { new RegExp(r.match, "i"); } catch (e) { problems.push(`${at}: match is not a valid regex (${e.message})`); }
+  if (field !== "key") return;
+  if (!KEY_RE.test(r.key)) problems.push(`${at}: key must be lower-case letters, digits and _`);
+  if (r.also !== undefined && !(Array.isArray(r.also) && r.also.every(k => typeof k === "string" && KEY_RE.test(k)))) {
+    problems.push(`${at}: also must be a list of keys`);
+  }
+  if (r.boards !== undefined &&
+      !(r.boards && typeof r.boards === "object" && !Array.isArray(r.boards) &&
+        Object.entries(r.boards).every(([b, k]) => isName(b) && typeof k === "string" && KEY_RE.test(k)))) {
+    problems.push(`${at}: boards must map exam board names to keys`);
+  }
+  if (r.clusters !== undefined && !(Array.isArray(r.clusters) && r.clusters.length && r.clusters.every(isName))) {
+    problems.push(`${at}: clusters must be a non-empty list of cluster names`);
+  }
+}
+
+// { "match": "<regex>", "unavailable": "<reason>" }: a stage the subject has no standards file for
+function checkUnavailable(r, at, problems) {
+  if (!isName(r.match) || !isName(r.unavailable) || Object.keys(r).some(k => k !== "match" && k !== "unavailable")) {
+    return problems.push(`${at} must be { "match": "<regex>", "unavailable": "<reason>" }`);
+  }
+  try { new RegExp(r.match, "i"); } catch (e) { problems.push(`${at}: match is not a valid regex (${e.message})`); }
+}
+
+// Every curriculum file with its problems; used by the loader and `npm run check:curricula`
+export function readCurriculumFiles(dir = CURRICULA_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(file => {
+      const id = path.basename(file, ".json");
+      try {
+        const curriculum = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        return { file, curriculum, problems: validateCurriculum(curriculum, { id }) };
+      } catch (e) {
+        return { file, curriculum: null, problems: [`not valid JSON: ${e.message}`] };
+      }
+    });
+}
+
+let CURRICULA = null; // id -> curriculum, read once per process
+
+// Valid curricula by id, in picker order; malformed files are logged and left out
+export function loadCurricula() {
+  if (CURRICULA) return CURRICULA;
+  const valid = [];
+  for (const { file, curriculum, problems } of readCurriculumFiles()) {
+    if (problems.length) {
+      console.warn(`[curricula] ${file} rejected: ${problems.join("; ")}`);
+      continue;
+    }
+    valid.push({
+      ...curriculum,
+      label: curriculum.label || curriculum.name,
+      gradeLabel: curriculum.gradeLabel || "Grade",
+      standards: curriculum.standards !== false,
+      gradeRules: (curriculum.gradeRules || []).map(r => ({ re: new RegExp(r.match, "i"), grade: r.grade })),
+      subjects: curriculum.subjects.map(({ name, key, keys, teachesLanguage = false }) => ({
+        name,
+        teachesLanguage,
+        keys: keys
+          ? keys.map(k => ({ re: new RegExp(k.match, "i"), key: k.key, also: k.also || [], boards: k.boards || {}, clusters: k.clusters || null,
+                             unavailable: k.unavailable || "" }))
+          : [{ re: /^/, key, also: [], boards: {}, clusters: null, unavailable: "" }]
+      }))
+    });
+  }
+  valid.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+  CURRICULA = new Map(valid.map(c => [c.id, c]));
+  return CURRICULA;
+}
+
+export const getCurriculum = (id) => loadCurricula().get(id) || null;
+
+// For exports and labels; unknown ids (plans saved against a curriculum since removed) show as-is
+export const curriculumName = (id) => getCurriculum(id)?.name || id || "";
+
+// "Year 8" -> "KS3", "Kindergarten" -> "Grade K"; anything the rules do not match is kept
+export function normaliseGrade(id, grade) {
+  const g = String(grade || "").trim();
+  if (!g) return grade;
+  const rule = getCurriculum(id)?.gradeRules.find(r => r.re.test(g));
+  return rule ? g.replace(rule.re, rule.grade) : g;
+}
+
+// Subject and grade as picked -> the standards files to retrieve from, as filed in the index:
+//   { subjectKey, also: [supporting keys], gradeKey, examBoards: [names offered], examBoard,
+//     clusters: { key: [cluster names] } }
+// subjectKey is undefined when the subject is unknown or not taught at that grade; unavailable then
+// holds the reason the definition gives, if any. An exam board the stage does not offer leaves
+// examBoard empty; callers decide whether that is an error.
+// clusters narrows a file to some of its clusters (see inClusters); {} when nothing is narrowed.
+export function resolveSubject(id, subject, grade, examBoard = "") {
+  const gradeKey = normaliseGrade(id, grade);
+  const s = getCurriculum(id)?.subjects.find(s => s.name === subject);
+  const stage = s?.keys.find(k => k.re.test(gradeKey));
+  if (!stage?.key) {
+    return { subjectKey: undefined, also: [], gradeKey, examBoards: [], examBoard: "", clusters: {}, unavailable: stage?.unavailable || "" };
+  }
+  const examBoards = Object.keys(stage.boards);
+  const spec = examBoard ? stage.boards[examBoard] : undefined;
+  const clusters = stage.clusters ? { [stage.key]: stage.clusters } : {};
+  return spec
+    ? { subjectKey: spec, also: [stage.key, ...stage.also], gradeKey, examBoards, examBoard, clusters }
+    : { subjectKey: stage.key, also: stage.also, gradeKey, examBoards, examBoard: "", clusters };
+}
+
+// Whether a row survives a subject's cluster narrowing (resolveSubject, subjectClusters). Rows of
+// other files, and rows filed under no cluster (a programme's aims), always do.
+export const inClusters = (clusters, row) =>
+  !clusters[row.subjectKey] || !row.cluster || clusters[row.subjectKey].includes(row.cluster);
+
+// Whether the subject teaches a language (Modern Foreign Languages, World Languages)
+export const teachesLanguage = (id, subject) =>
+  Boolean(getCurriculum(id)?.subjects.find(s => s.name === subject)?.teachesLanguage);
+
+// Every standards file a subject retrieves from, at any grade or exam board
+export function subjectFiles(id, subject) {
+  const s = getCurriculum(id)?.subjects.find(s => s.name === subject);
+  return [...new Set((s?.keys || []).flatMap(k => [k.key, ...k.also, ...Object.values(k.boards)]).filter(Boolean))];
+}
+
+// The clusters a subject narrows its files to, over every grade: { key: [cluster names] }. A file
+// some stage uses whole is not narrowed.
+export function subjectClusters(id, subject) {
+  const s = getCurriculum(id)?.subjects.find(s => s.name === subject);
+  const byKey = {};
+  for (const k of (s?.keys || []).filter(k => k.key)) {
+    byKey[k.key] = k.clusters && byKey[k.key] !== null ? [...(byKey[k.key] || []), ...k.clusters] : null;
+  }
+  return Object.fromEntries(Object.entries(byKey).filter(([, c]) => c));
+}
+
+// The planner choice that retrieves from an index row: { subject, grade, examBoard? } with the
+// first subject and grade (in definition order) whose files hold it, or null
+export function planChoiceFor(id, row) {
+  const c = getCurriculum(id);
+  for (const s of c?.subjects || []) {
+    for (const grade of c.grades) {
+      const gradeKey = normaliseGrade(id, grade);
+      const stage = s.keys.find(k => k.re.test(gradeKey));
+      if (!stage?.key) continue;
+      if (stage.also.includes(row.subjectKey)) return { subject: s.name, grade };
+      if (!gradeMatches(row.grade, gradeKey)) continue;
+      if (stage.key === row.subjectKey && (!stage.clusters || !row.cluster || stage.clusters.includes(row.cluster))) {
+        return { subject: s.name, grade };
+      }
+      const board = Object.keys(stage.boards).find(b => stage.boards[b] === row.subjectKey);
+      if (board) return { subject: s.name, grade, examBoard: board };
+    }
+  }
+  return null;
+}
+
+// For the curriculum picker (onboarding, plan library): names only
+export const listCurricula = () => [...loadCurricula().values()].map(c => ({
+  id: c.id,
+  name: c.name,
+  label: c.label,
+  gradeLabel: c.gradeLabel
+}));
+
+// Each subject with the grades it can be planned at, resolved to its standards files:
+//   [{ name, teachesLanguage?, grades: [{ grade, gradeKey, subjectKey, also, examBoards }] }]
+// hasStandards(subjectKey, gradeKey) says whether the index holds standards for that file and
+// grade; curricula with no standards set offer every subject at every grade. An exam board is only
+// offered when its specification is in the index.
+export function offeredSubjects(id, hasStandards) {
+  const c = getCurriculum(id);
+  if (!c) return [];
+  const has = (key, gradeKey) => !c.standards || hasStandards(key, gradeKey);
+  return c.subjects
+    .map(s => ({
+      name: s.name,
+      ...(s.teachesLanguage ? { teachesLanguage: true } : {}),
+      grades: c.grades
+        .map(grade => {
+          const { subjectKey, also, gradeKey, examBoards } = resolveSubject(id, s.name, grade);
+          const stage = s.keys.find(k => k.re.test(gradeKey));
+          return { grade, gradeKey, subjectKey, also, examBoards: examBoards.filter(b => has(stage.boards[b], gradeKey)) };
+        })
+        .filter(g => g.subjectKey && has(g.subjectKey, g.gradeKey))
+    }))
+    .filter(s => s.grades.length);
+}
@@ -0,0 +1,247 @@
+// lib/export/document.mjs
+// Turns a generated (or saved) plan into a format-neutral document that the DOCX, PDF and HTML
+// renderers in this folder draw:
+//
+//   {
+//     title, cover: [{ label, value }],          curriculum, subject, grade, standard, ...;
+//                                                an empty value is a line to write on (worksheet)
+//     lang,                                      language code of the text; "en" unless wholly translated
+//     body:      [block],                        the lessons, with questions but no answers
+//     answerKey: [block]                         starts on its own page; empty when nothing to key
+//   }
+//
+//   block: { kind: "heading", level: 1-3, runs } | { kind: "para", runs }
+//        | { kind: "item", ordered, number, level, runs, marker? }   marker overrides "1." / "•"
+//        | { kind: "space", level, lines }       ruled lines for a written answer
+//   runs:  [{ text, bold?, italic? }]            text may contain "\n" line breaks
+//
+// Assessment and quiz sections are drawn from their typed data (lib/plan/lesson-plan.mjs) so their
+// answers can move to the answer key; other sections come from their Markdown.
+
+import { marked } from "marked";
+import { curriculumName, getCurriculum } from "../curricula/curricula.mjs";
+import { languageLabel } from "../plan/output-language.mjs";
+
+const FAILED = "This section could not be generated.";
+
+/* ---------------- Markdown -> blocks ---------------- */
+
+function runsOf(tokens = [], style = {}) {
+  return tokens.flatMap(t => {
+    switch (t.type) {
+      case "strong":   return runsOf(t.tokens, { ...style, bold: true });
+      case "em":       return runsOf(t.tokens, { ...style, italic: true });
+      case "br":       return [{ text: "\n", ...style }];
+      case "codespan": return [{ text: t.text, ...style }];
+      case "link":     return runsOf(t.tokens, style);
+      case "escape":   return [{ text: t.text, ...style }];
+      default:
+        return t.tokens ? runsOf(t.tokens, style) : [{ text: decode(t.text ?? t.raw ?? ""), ...style }];
+    }
+  }).filter(r => r.text !== "");
+}
+
+const decode = (s) => String(s)
+  .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+
+const trimRuns = (runs) => {
+  const out = runs.map(r => ({ ...r }));
+  if (out.length) {
+    out[0].text = out[0].text.replace(/^\s+/, "");
+    out[out.length - 1].text = out[out.length - 1].text.replace(/\s+$/, "");
+  }
+  return out.filter(r => r.text !== "");
+};
+
+export function markdownBlocks(md, { headingOffset = 0 } = {}) {
+  const blocks = [];
+  const walk = (tokens, level = 0) => {
+    for (const t of tokens) {
+      if (t.type === "heading") {
+        blocks.push({ kind: "heading", level: Math.min(3, t.depth + headingOffset), runs: trimRuns(runsOf(t.tokens)) });
+      } else if (t.type === "paragraph" || t.type === "text") {
+        blocks.push({ kind: "para", runs: trimRuns(runsOf(t.tokens || [t])) });
+      } else if (t.type === "list") {
+        t.items.forEach((item, i) => {
+          const [first, ...rest] = item.tokens;
+          const runs = first && (first.type === "text" || first.type === "paragraph") ? trimRuns(runsOf(first.tokens || [first])) : [];
+          blocks.push({ kind: "item", ordered: t.ordered, number: (Number(t.start) || 1) + i, level, runs });
+          walk(first && runs.length ? rest : item.tokens, level + 1);
+        });
+      } else if (t.type === "blockquote") {
+        walk(t.tokens, level);
+      } else if (t.type === "code") {
+        blocks.push({ kind: "para", runs: [{ text: t.text }] });
+      }
+    }
+  };
+  walk(marked.lexer(String(md || "")));
+  return blocks.filter(b => b.runs.length);
+}
+
+/* ---------------- plan -> document ---------------- */
+
+const plainTitle = (title) => String(title || "").replace(/^#+\s*/, "");
+const text = (t, style) => [{ text: String(t), ...style }];
+const optionMarker = (j) => `${String.fromCharCode(97 + j)})`;
+
+// Lines left for a written answer on the student worksheet
+const ANSWER_LINES = { mcq: 0, true_false: 0, short_answer: 2, diagram_label: 3, open: 4 };
+
+// Typed question items of an assessment or quiz section, or null
+const questionsOf = (sec, part) => (part?.data
+  ? sec.type === "assessment" ? part.data.assessment : sec.type === "quiz" ? part.data.questions : null
+  : null) || null;
+
+// Handout headings drop the plan's numbering and "(with Model Answers)"
+const handoutTitle = (title) => plainTitle(title).replace(/^\d+\.\s*/, "").replace(/\s*\(with [^)]*answers?\)/i, "");
+
+// Every question set in plan order. Items are numbered per set the same way on the plan,
+// worksheet and key, so "Lesson 2: Assessment Questions, 3" is the same question in all three.
+//   label: heading on the plan's answer key; handoutLabel: heading on the worksheet and key
+function questionGroups(plan) {
+  const { layout, parts = {} } = plan;
+  const groups = [];
+  const lessonPrefix = (n) => (layout.lessons > 1 ? `Lesson ${n}: ` : "");
+  for (let n = 1; n <= layout.lessons; n++) {
+    for (const sec of layout.sections) {
+      const items = questionsOf(sec, parts[`${n}:${sec.key}`]);
+      if (items) {
+        groups.push({ lesson: n, key: sec.key, items,
+                      label: lessonPrefix(n) + plainTitle(sec.title), handoutLabel: lessonPrefix(n) + handoutTitle(sec.title) });
+      }
+    }
+  }
+  const quiz = layout.quiz && questionsOf(layout.quiz, parts[`0:${layout.quiz.key}`]);
+  if (quiz) {
+    groups.push({ lesson: 0, key: layout.quiz.key, items: quiz,
+                  label: plainTitle(layout.quiz.title), handoutLabel: handoutTitle(layout.quiz.title) });
+  }
+  return groups;
+}
+
+// withSpace: answer lines for the worksheet; answers: the key's model answers under each question
+function questionBlocks(items, { withSpace = false, answers = false } = {}) {
+  return items.flatMap((q, i) => [
+    { kind: "item", ordered: true, number: i + 1, level: 0, runs: text(q.question) },
+    ...(q.options || []).map((o, j) => ({ kind: "item", marker: optionMarker(j), level: 1, runs: text(o) })),
+    ...(withSpace && q.type === "true_false" && !q.options?.length
+      ? [{ kind: "item", marker: "", level: 1, runs: text("True  /  False") }] : []),
+    ...(withSpace && ANSWER_LINES[q.type] ? [{ kind: "space", level: 1, lines: ANSWER_LINES[q.type] }] : []),
+    ...(answers ? [{ kind: "item", marker: "", level: 1, runs: [{ text: "Answer: ", bold: true }, { text: q.answer }, ...feedbackRuns(q)] }] : [])
+  ]);
+}
+
+// Quiz items say why the answer is right
+const feedbackRuns = (q) => (q.feedback ? [{ text: ` (${q.feedback})`, italic: true }] : []);
+
+const answerBlocks = (items) =>
+  items.map((q, i) => ({ kind: "item", ordered: true, number: i + 1, level: 0, runs: [...text(q.answer), ...feedbackRuns(q)] }));
+
+const cite = (src) => src
+  ? [[src.strand, src.cluster].filter(Boolean).join(" › "), src.pdf && `${src.pdf}, p. ${src.page}`].filter(Boolean).join(" · ")
+  : "";
+
+// "NY-3.G.2 - Partition shapes ... (primary); also NY-3.MD.7; equivalent: England KS1-2-MA-P111-001"
+function standardsLine(plan) {
+  const aligned = plan.alignedStandards || [];
+  const supporting = aligned.filter(s => !s.primary && !s.equivalent).map(s => s.code);
+  const equivalents = aligned.filter(s => s.equivalent).map(s => `${curriculumName(s.curriculum)} ${s.code}`);
+  const primary = plan.standard || plan.standardCode || "";
+  return [
+    supporting.length || equivalents.length ? `${primary} (primary)` : primary,
+    supporting.length && `also ${supporting.join(", ")}`,
+    equivalents.length && `equivalent: ${equivalents.join(", ")}`
+  ].filter(Boolean).join("; ");
+}
+
+function coverOf(plan, title) {
+  const standards = standardsLine(plan);
+  return [
+    { label: "Curriculum", value: curriculumName(plan.curriculum) },
+    { label: "Subject", value: plan.subject || "" },
+    { label: getCurriculum(plan.curriculum)?.gradeLabel || "Grade", value: plan.grade || "" },
+    { label: "Exam board", value: plan.examBoard || "" },
+    { label: "Class", value: plan.className || "" },
+    { label: "Language", value: languageLabel(plan.layout.language) },
+    { label: "Topic", value: plan.topic && plan.topic !== title ? plan.topic : "" },
+    { label: plan.alignedStandards?.length > 1 ? "Aligned standards" : "Aligned standard", value: standards },
+    { label: "Source", value: cite(plan.source) },
+    { label: "Lessons", value: plan.layout.lessons > 1 ? String(plan.layout.lessons) : "" }
+  ].filter(c => c.value);
+}
+
+export const EXPORT_VARIANTS = ["plan", "worksheet", "key"];
+
+// plan: { curriculum, subject, grade, examBoard?, topic, title, standard, alignedStandards, source, layout, parts, outline }
+// as held by pages/index.js and saved in the plan library.
+//   variant "plan"       the whole plan; answers on the answer key page
+//   variant "worksheet"  student handout: questions, MCQ options and answer lines, no answers
+//   variant "key"        teacher key: the same questions and numbering, with answers
+export function buildExportDocument(plan, { variant = "plan" } = {}) {
+  const { layout, parts = {}, outline } = plan;
+  if (!layout?.sections?.length) throw new Error("Nothing to export: the plan has no sections.");
+  const title = plan.title || plan.topic || "Lesson plan";
+  const lang = layout.language?.mode === "full" ? layout.language.code : "en";
+
+  if (variant === "worksheet" || variant === "key") {
+    const groups = questionGroups(plan);
+    if (!groups.length) throw new Error("This plan has no assessment or quiz questions to put on a worksheet.");
+    const worksheet = variant === "worksheet";
+    const subjectLine = [plan.subject, plan.grade].filter(Boolean).join(", ");
+    return {
+      title: `${title}: ${worksheet ? "Student Worksheet" : "Teacher Key"}`,
+      lang,
+      cover: worksheet
+        ? [{ label: "Name", value: "" }, { label: "Date", value: "" }, { label: "Class", value: subjectLine }]
+        : coverOf(plan, title),
+      body: groups.flatMap(g => [
+        { kind: "heading", level: 1, runs: text(g.handoutLabel) },
+        ...questionBlocks(g.items, { withSpace: worksheet, answers: !worksheet })
+      ]),
+      answerKey: []
+    };
+  }
+
+  const body = [];
+  const answerKey = [];
+  const groups = questionGroups(plan);
+  const groupOf = (lesson, key) => groups.find(g => g.lesson === lesson && g.key === key);
+
+  if (outline?.lessons?.length) {
+    body.push({ kind: "heading", level: 1, runs: text(`Unit Overview${outline.title ? `: ${outline.title}` : ""}`) });
+    outline.lessons.forEach(l => body.push({
+      kind: "item", ordered: true, number: l.lesson, level: 0,
+      runs: [{ text: l.title, bold: true }, { text: `: ${l.objective}` }]
+    }));
+  }
+
+  const section = (lesson, sec) => {
+    const part = parts[`${lesson}:${sec.key}`];
+    if (!part?.content) return [{ kind: "para", runs: text(FAILED, { italic: true }) }];
+    const group = groupOf(lesson, sec.key);
+    if (!group) return markdownBlocks(part.content, { headingOffset: 1 });
+    answerKey.push({ kind: "heading", level: 2, runs: text(group.label) }, ...answerBlocks(group.items));
+    return questionBlocks(group.items);
+  };
+
+  for (let n = 1; n <= layout.lessons; n++) {
+    const slot = outline?.lessons?.[n - 1];
+    body.push({ kind: "heading", level: 1, runs: text(`Lesson ${n} of ${layout.lessons}${slot ? `: ${slot.title}` : ""}`) });
+    for (const sec of layout.sections) {
+      body.push({ kind: "heading", level: 2, runs: text(plainTitle(sec.title)) });
+      body.push(...section(n, sec));
+    }
+  }
+  if (layout.quiz) {
+    body.push({ kind: "heading", level: 1, runs: text(plainTitle(layout.quiz.title)) });
+    body.push(...section(0, layout.quiz));
+  }
+
+  return { title, lang, cover: coverOf(plan, title), body, answerKey };
+}
+
+// "lesson-plan-nys-mathematics-grade-3", "-worksheet" / "-key" for the handouts
+export const exportFileName = (plan, variant = "plan") =>
+  ["lesson-plan", plan.curriculum, plan.subject, plan.grade, variant !== "plan" && variant]
+    .filter(Boolean).join("-").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
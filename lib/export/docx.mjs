@@ -0,0 +1,78 @@
+// lib/export/docx.mjs
+// Word (.docx) for an export document (lib/export/document.mjs), built locally with `docx`.
+
+import {
+  Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, BorderStyle
+} from "docx";
+
+const BLANK = "_".repeat(36); // a line to write on (worksheet name, date)
+const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+// "\n" inside a run becomes a line break
+const textRuns = (runs) => runs.flatMap(r => String(r.text).split("\n").map((t, i) =>
+  new TextRun({ text: t, bold: r.bold, italics: r.italic, break: i ? 1 : 0 })));
+
+function paragraphs(blocks) {
+  return blocks.map(b => {
+    if (b.kind === "heading") {
+      return new Paragraph({ heading: HEADINGS[b.level - 1], children: textRuns(b.runs) });
+    }
+    if (b.kind === "space") {
+      return Array.from({ length: b.lines }, () => new Paragraph({
+        children: [],
+        indent: { left: 360 * (b.level + 1) },
+        spacing: { before: 300 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: "999999", space: 1 } }
+      }));
+    }
+    if (b.kind === "item") {
+      const indent = 360 * (b.level + 1); // twips
+      const marker = b.marker ?? (b.ordered ? `${b.number}.` : "•");
+      return new Paragraph({
+        children: [new TextRun(`${marker}\t`), ...textRuns(b.runs)],
+        indent: { left: indent, hanging: 360 },
+        tabStops: [{ type: "left", position: indent }],
+        spacing: { after: 60 }
+      });
+    }
+    return new Paragraph({ children: textRuns(b.runs), spacing: { after: 120 } });
+  }).flat();
+}
+
+function coverTable(cover) {
+  const line = { style: BorderStyle.SINGLE, size: 4, color: "BBBBBB" };
+  const none = { style: BorderStyle.NONE, size: 0, color: "FFFFFF" };
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: { top: line, bottom: line, left: line, right: line, insideHorizontal: none, insideVertical: none },
+    rows: cover.map(c => new TableRow({
+      children: [
+        new TableCell({ width: { size: 25, type: WidthType.PERCENTAGE },
+                        children: [new Paragraph({ children: [new TextRun({ text: c.label, bold: true })] })] }),
+        new TableCell({ width: { size: 75, type: WidthType.PERCENTAGE },
+                        children: [new Paragraph(c.value || BLANK)] })
+      ]
+    }))
+  });
+}
+
+export async function renderDocx(doc) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(doc.title)] }),
+    coverTable(doc.cover),
+    new Paragraph(""),
+    ...paragraphs(doc.body)
+  ];
+  if (doc.answerKey.length) {
+    children.push(
+      new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun("Answer Key")] }),
+      ...paragraphs(doc.answerKey)
+    );
+  }
+  return Packer.toBuffer(new Document({
+    creator: "Lesson Pilot",
+    title: doc.title,
+    styles: { default: { document: { run: { font: "Calibri", size: 22 } } } },
+    sections: [{ children }]
+  }));
+}
@@ -0,0 +1,71 @@
+// lib/export/html.mjs
+// Print-styled HTML for an export document (lib/export/document.mjs): one self-contained page,
+// A4/Letter friendly, answer key on its own printed page.
+
+const esc = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const runsHtml = (runs) => runs.map(r => {
+  let h = esc(r.text).replace(/\n/g, "<br>");
+  if (r.italic) h = `<em>${h}</em>`;
+  if (r.bold) h = `<strong>${h}</strong>`;
+  return h;
+}).join("");
+
+function blocksHtml(blocks) {
+  return blocks.map(b => {
+    if (b.kind === "heading") return `<h${b.level + 1}>${runsHtml(b.runs)}</h${b.level + 1}>`;
+    if (b.kind === "space") {
+      return `<div class="lines" style="margin-left:${1.4 * (b.level + 1)}em">${'<div class="line"></div>'.repeat(b.lines)}</div>`;
+    }
+    if (b.kind === "item") {
+      const marker = esc(b.marker ?? (b.ordered ? `${b.number}.` : "•"));
+      return `<p class="item" style="margin-left:${1.4 * (b.level + 1)}em"><span class="marker">${marker}</span>${runsHtml(b.runs)}</p>`;
+    }
+    return `<p>${runsHtml(b.runs)}</p>`;
+  }).join("\n");
+}
+
+const STYLE = `
+  @page { margin: 18mm 16mm; }
+  body { font: 11pt/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1c1c1e;
+         max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 20pt; margin: 0 0 0.4rem; }
+  h2 { font-size: 15pt; margin: 1.6rem 0 0.4rem; border-bottom: 1px solid #ddd; padding-bottom: 0.2rem; }
+  h3 { font-size: 12pt; margin: 1.1rem 0 0.3rem; }
+  h4 { font-size: 11pt; margin: 0.9rem 0 0.2rem; }
+  p { margin: 0.3rem 0; }
+  .item { text-indent: -1.4em; }
+  .marker { display: inline-block; width: 1.4em; text-indent: 0; }
+  .cover { border: 1px solid #ccc; border-radius: 8px; padding: 0.8rem 1rem; margin: 0.8rem 0 1.5rem; }
+  .cover table { border-collapse: collapse; }
+  .cover td { padding: 0.15rem 0.8rem 0.15rem 0; vertical-align: top; }
+  .cover td:first-child { font-weight: 600; white-space: nowrap; }
+  .lines { margin: 0.2rem 0 0.8rem; }
+  .line { height: 1.9em; border-bottom: 1px solid #999; }
+  .blank { display: inline-block; min-width: 16em; border-bottom: 1px solid #999; }
+  .answer-key { break-before: page; page-break-before: always; }
+  .toolbar { text-align: right; margin-bottom: 1rem; }
+  @media print { .toolbar { display: none; } body { margin: 0; max-width: none; } h2, h3 { break-after: avoid; } }
+`;
+
+export function renderHtml(doc) {
+  const cover = doc.cover
+    .map(c => `<tr><td>${esc(c.label)}</td><td>${c.value ? esc(c.value) : '<span class="blank"></span>'}</td></tr>`).join("");
+  return `<!doctype html>
+<html lang="${esc(doc.lang || "en")}">
+<head>
+<meta charset="utf-8">
+<title>${esc(doc.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print</button></div>
+<h1>${esc(doc.title)}</h1>
+<div class="cover"><table>${cover}</table></div>
+${blocksHtml(doc.body)}
+${doc.answerKey.length ? `<section class="answer-key">\n<h1>Answer Key</h1>\n${blocksHtml(doc.answerKey)}\n</section>` : ""}
+</body>
+</html>
+`;
+}
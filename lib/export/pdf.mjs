@@ -0,0 +1,113 @@
+// lib/export/pdf.mjs
+// PDF for an export document (lib/export/document.mjs), built locally with pdfkit and its
+// built-in Helvetica, so no font files are needed. pdfkit must stay out of the Next.js bundle
+// (serverExternalPackages in next.config.js) to find its font metrics.
+
+import PDFDocument from "pdfkit";
+
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique", boldItalic: "Helvetica-BoldOblique" };
+const SIZES = { title: 20, 1: 15, 2: 12.5, 3: 11, body: 10.5 };
+const INDENT = 16;
+
+// The standard fonts only cover WinAnsi; spell out the symbols plans commonly use
+const WINANSI_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+const SUBSTITUTES = { "≤": "<=", "≥": ">=", "→": "->", "←": "<-", "−": "-", "≈": "~", "≠": "!=", "✓": "v", "✔": "v", " ": " " };
+const drawable = (c) => c.charCodeAt(0) <= 0xff || WINANSI_EXTRA.includes(c);
+const pdfSafe = (s) => Array.from(String(s)).map(c => SUBSTITUTES[c] ?? (drawable(c) ? c : "?")).join("");
+
+// Whether every character of the document can be drawn, rather than shown as "?" (plans in a
+// language with another script, lib/plan/output-language.mjs)
+export function pdfCanDraw(doc) {
+  const runs = [doc.title, ...doc.cover.flatMap(c => [c.label, c.value]),
+                ...[...doc.body, ...doc.answerKey].flatMap(b => (b.runs || []).map(r => r.text))];
+  return runs.every(t => Array.from(String(t ?? "")).every(c => SUBSTITUTES[c] || drawable(c)));
+}
+
+const fontFor = (r) => (r.bold && r.italic ? FONTS.boldItalic : r.bold ? FONTS.bold : r.italic ? FONTS.italic : FONTS.regular);
+
+// Mixed bold / italic runs as one flowing paragraph
+function writeRuns(pdf, runs, { x, width, size, gap = 4 }) {
+  const y = pdf.y;
+  runs.forEach((r, i) => {
+    pdf.font(fontFor(r)).fontSize(size);
+    const opts = { width, continued: i < runs.length - 1, lineGap: 1.5 };
+    if (i === 0) pdf.text(pdfSafe(r.text), x, y, opts);
+    else pdf.text(pdfSafe(r.text), opts);
+  });
+  pdf.moveDown(gap / size);
+}
+
+// Starts a new page when fewer than `height` points are left, so headings and list markers
+// are not stranded at the bottom of a page
+function keepSpace(pdf, height) {
+  if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+}
+
+function writeBlocks(pdf, blocks) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  for (const b of blocks) {
+    if (b.kind === "heading") {
+      pdf.moveDown(b.level === 1 ? 0.8 : 0.5);
+      keepSpace(pdf, 60);
+      writeRuns(pdf, b.runs.map(r => ({ ...r, bold: true })), { x: left, width, size: SIZES[b.level], gap: 3 });
+    } else if (b.kind === "space") {
+      keepSpace(pdf, 22 * b.lines + 8);
+      const x = left + INDENT * (b.level + 1);
+      for (let i = 0; i < b.lines; i++) {
+        pdf.y += 20;
+        pdf.moveTo(x, pdf.y).lineTo(left + width, pdf.y).lineWidth(0.5).strokeColor("#999999").stroke();
+      }
+      pdf.y += 10;
+    } else if (b.kind === "item") {
+      keepSpace(pdf, 28);
+      const x = left + INDENT * b.level;
+      const y = pdf.y;
+      const marker = b.marker ?? (b.ordered ? `${b.number}.` : "•");
+      pdf.font(FONTS.regular).fontSize(SIZES.body).text(pdfSafe(marker), x, y, { width: INDENT, lineBreak: false });
+      pdf.y = y;
+      writeRuns(pdf, b.runs, { x: x + INDENT, width: width - INDENT * (b.level + 1), size: SIZES.body, gap: 2 });
+    } else {
+      writeRuns(pdf, b.runs, { x: left, width, size: SIZES.body });
+    }
+  }
+}
+
+function writeCover(pdf, cover) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const top = pdf.y;
+  pdf.moveDown(0.5);
+  for (const c of cover) {
+    const y = pdf.y;
+    pdf.font(FONTS.bold).fontSize(SIZES.body).text(pdfSafe(c.label), left + 10, y, { width: 110 });
+    const labelBottom = pdf.y;
+    pdf.font(FONTS.regular).text(pdfSafe(c.value || "_".repeat(40)), left + 125, y, { width: width - 135 });
+    pdf.y = Math.max(pdf.y, labelBottom) + 2;
+  }
+  pdf.moveDown(0.3);
+  pdf.roundedRect(left, top, width, pdf.y - top, 6).lineWidth(0.7).strokeColor("#bbbbbb").stroke();
+  pdf.moveDown(0.8);
+}
+
+export function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margins: { top: 56, bottom: 56, left: 56, right: 56 },
+                                  info: { Title: pdfSafe(doc.title), Creator: "Lesson Pilot" } });
+    const chunks = [];
+    pdf.on("data", c => chunks.push(c));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    pdf.font(FONTS.bold).fontSize(SIZES.title).fillColor("#1c1c1e").text(pdfSafe(doc.title));
+    pdf.moveDown(0.4);
+    writeCover(pdf, doc.cover);
+    writeBlocks(pdf, doc.body);
+    if (doc.answerKey.length) {
+      pdf.addPage();
+      pdf.font(FONTS.bold).fontSize(SIZES.title).text("Answer Key", pdf.page.margins.left, pdf.page.margins.top);
+      writeBlocks(pdf, doc.answerKey);
+    }
+    pdf.end();
+  });
+}
@@ -0,0 +1,193 @@
+// lib/export/quiz.mjs
+// The end-of-unit quiz as files an LMS or quiz tool can import:
+//
+//   renderQti(quiz)       IMS QTI 2.1 content package (.zip): one assessmentItem per question, an
+//                         assessmentTest and imsmanifest.xml (Canvas, Blackboard, Moodle, TAO)
+//   renderGift(quiz)      Moodle GIFT text
+//   renderQuizCsv(quiz)   CSV whose first columns follow Kahoot's quiz template; the extra columns
+//                         carry what Google Forms import add-ons need
+//
+//   quiz: { title, items: [{ question, type, options?, answer, accept?, feedback? }] }   from quizOf(plan)
+//
+// MCQ and true/false items are auto-marked; short answers are correct when they match one of
+// their accepted answers (accept), ignoring case. Open and diagram-label items are left for the
+// teacher to mark, with the answer as the model answer.
+
+import JSZip from "jszip";
+import { keyAnswers } from "../plan/lesson-plan.mjs";
+
+// Quiz items of a plan held by pages/index.js or saved in the plan library. Plans saved before
+// answers were keyed may still have an MCQ answer that names no option, and short answers saved
+// before accepted answers have only a model answer, which students would never match word for
+// word; both go out as open questions with the answer as the model answer.
+export function quizOf(plan) {
+  const key = plan?.layout?.quiz?.key;
+  const questions = key && plan.parts?.[`0:${key}`]?.data?.questions;
+  if (!questions?.length) throw new Error("This plan has no end-of-unit quiz to export.");
+  const items = keyAnswers({ questions }, "questions").questions.map(q =>
+    ((q.type === "mcq" && !q.options?.includes(q.answer)) || (q.type === "short_answer" && !q.accept?.length))
+      ? { ...q, type: "open" } : q);
+  return { title: `${plan.title || plan.topic || "Lesson plan"}: End-of-Unit Quiz`, items };
+}
+
+// MCQ options, or True / False; the correct one is at `correct` (-1 when not a choice item)
+function choicesOf(q) {
+  if (q.type === "mcq" && q.options?.length) return { choices: q.options, correct: q.options.indexOf(q.answer) };
+  if (q.type === "true_false") return { choices: ["True", "False"], correct: q.answer === "False" ? 1 : 0 };
+  return { choices: [], correct: -1 };
+}
+
+/* ---------------- QTI 2.1 ---------------- */
+
+const xml = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const QTI_NS = `xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`;
+
+const setOutcome = (id, baseType, value) =>
+  `<setOutcomeValue identifier="${id}"><baseValue baseType="${baseType}">${value}</baseValue></setOutcomeValue>`;
+
+function qtiItem(q, id, n) {
+  const { choices, correct } = choicesOf(q);
+  const marked = choices.length ? "choice" : q.type === "short_answer" ? "text" : null;
+  const declaration = choices.length
+    ? `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>choice_${correct + 1}</value></correctResponse>
+  </responseDeclaration>`
+    : marked === "text"
+      ? `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${xml(q.accept[0])}</value></correctResponse>
+    <mapping defaultValue="0" upperBound="1">
+${q.accept.map(a => `      <mapEntry mapKey="${xml(a)}" mappedValue="1" caseSensitive="false"/>`).join("\n")}
+    </mapping>
+  </responseDeclaration>`
+      : `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+  const interaction = choices.length
+    ? `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${xml(q.question)}</prompt>
+${choices.map((c, i) => `      <simpleChoice identifier="choice_${i + 1}">${xml(c)}</simpleChoice>`).join("\n")}
+    </choiceInteraction>`
+    : q.type === "short_answer"
+      ? `<p>${xml(q.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(20, ...q.accept.map(a => a.length))}"/></p>`
+      : `<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="${q.type === "open" ? 6 : 3}">
+      <prompt>${xml(q.question)}</prompt>
+    </extendedTextInteraction>`;
+  // Short answers score through the mapping of accepted answers
+  const scoring = marked === "choice"
+    ? `<responseCondition>
+      <responseIf><match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>${setOutcome("SCORE", "float", 1)}</responseIf>
+      <responseElse>${setOutcome("SCORE", "float", 0)}</responseElse>
+    </responseCondition>`
+    : marked === "text"
+      ? `<responseCondition>
+      <responseIf><isNull><variable identifier="RESPONSE"/></isNull>${setOutcome("SCORE", "float", 0)}</responseIf>
+      <responseElse><setOutcomeValue identifier="SCORE"><mapResponse identifier="RESPONSE"/></setOutcomeValue></responseElse>
+    </responseCondition>`
+      : "";
+  const feedback = q.feedback ? setOutcome("FEEDBACK", "identifier", "general") : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS}
+  identifier="${id}" title="Question ${n}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${interaction}
+  </itemBody>
+  <responseProcessing>
+    ${[scoring, feedback].filter(Boolean).join("\n    ")}
+  </responseProcessing>${q.feedback ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="general" showHide="show">${xml(q.feedback)}</modalFeedback>` : ""}
+</assessmentItem>
+`;
+}
+
+function qtiTest(quiz, ids) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NS}
+  identifier="quiz" title="${xml(quiz.title)}">
+  <testPart identifier="part_1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section_1" title="${xml(quiz.title)}" visible="true">
+${ids.map(id => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`).join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+function qtiManifest(ids) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="lesson_pilot_quiz">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="quiz" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${ids.map(id => `      <dependency identifierref="res_${id}"/>`).join("\n")}
+    </resource>
+${ids.map(id => `    <resource identifier="res_${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">
+      <file href="items/${id}.xml"/>
+    </resource>`).join("\n")}
+  </resources>
+</manifest>
+`;
+}
+
+export async function renderQti(quiz) {
+  const zip = new JSZip();
+  const ids = quiz.items.map((_, i) => `q${i + 1}`);
+  quiz.items.forEach((q, i) => zip.file(`items/${ids[i]}.xml`, qtiItem(q, ids[i], i + 1)));
+  zip.file("assessment.xml", qtiTest(quiz, ids));
+  zip.file("imsmanifest.xml", qtiManifest(ids));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/* ---------------- Moodle GIFT ---------------- */
+
+// GIFT control characters are escaped with a backslash; line breaks become spaces
+const gift = (s) => String(s).replace(/\s*\n\s*/g, " ").replace(/([~=#{}:\\])/g, "\\$1");
+
+function giftAnswers(q) {
+  const general = q.feedback ? `####${gift(q.feedback)}` : "";
+  if (q.type === "true_false") return `{${q.answer === "False" ? "FALSE" : "TRUE"}${general}}`;
+  const { choices, correct } = choicesOf(q);
+  if (choices.length) {
+    return `{\n${choices.map((c, i) => `${i === correct ? "=" : "~"}${gift(c)}`).join("\n")}${general ? `\n${general}` : ""}\n}`;
+  }
+  if (q.type === "short_answer") return `{${q.accept.map(a => `=${gift(a)}`).join(" ")}${general}}`;
+  // Essay: marked by the teacher; the model answer goes in the general feedback
+  return `{####${gift(`Model answer: ${q.answer}${q.feedback ? ` ${q.feedback}` : ""}`)}}`;
+}
+
+export function renderGift(quiz) {
+  return [
+    `// ${quiz.title.replace(/\n/g, " ")}`,
+    ...quiz.items.map((q, i) => `::Q${i + 1}:: ${gift(q.question)} ${giftAnswers(q)}`)
+  ].join("\n\n") + "\n";
+}
+
+/* ---------------- CSV (Kahoot / Google Forms) ---------------- */
+
+const CSV_HEADER = ["Question", "Answer 1", "Answer 2", "Answer 3", "Answer 4", "Time limit (sec)", "Correct answer(s)",
+                    "Question type", "Answer key", "Feedback"];
+
+// Text starting with = + - @ (or a tab / return) would run as a formula in Excel or Sheets; a
+// leading ' keeps it text
+export const csvCell = (v) => {
+  const s = typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function renderQuizCsv(quiz) {
+  const rows = quiz.items.map(q => {
+    const { choices, correct } = choicesOf(q);
+    const answers = [0, 1, 2, 3].map(i => choices[i] ?? "");
+    return [q.question, ...answers, choices.length ? 20 : 60, correct >= 0 ? correct + 1 : "", q.type, q.answer, q.feedback || ""];
+  });
+  // BOM so spreadsheet apps read the file as UTF-8
+  return "\uFEFF" + [CSV_HEADER, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
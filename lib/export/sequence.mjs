@@ -0,0 +1,113 @@
+// lib/export/sequence.mjs
+// A year plan (lib/standards/sequence.mjs) as files:
+//
+//   renderSequenceCsv(seq, meta)   one row per lesson: week, date, unit and the standards it teaches
+//   renderSequenceIcs(seq, meta)   iCalendar with an all-day event per lesson, for Google, Outlook
+//                                  and Apple calendars
+//
+//   meta: { curriculum, subject, grade, startDate? }   startDate "YYYY-MM-DD" is the first day of term
+//
+// Lessons fall on school days: week n starts on the Monday of week 1 plus n - 1 weeks, and a week's
+// lessons are spread over Monday to Friday (several a day past five a week). Week 1 starts on the
+// first school day on or after startDate, so its lessons share the days left in that week.
+
+import { csvCell } from "./quiz.mjs";
+
+const DAY = 24 * 60 * 60 * 1000;
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+// First school day (UTC) on or after startDate, or next Monday when none is given; null unless
+// startDate is a real calendar date
+export function firstSchoolDay(startDate) {
+  const d = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(Date.now() + 7 * DAY);
+  if (Number.isNaN(d.getTime())) return null;
+  if (startDate && isoDate(d) !== startDate) return null; // 2026-02-30 rolls over to March
+  const weekday = (d.getUTCDay() + 6) % 7; // Monday 0 … Sunday 6
+  if (!startDate) return new Date(d.getTime() - weekday * DAY);
+  return weekday > 4 ? new Date(d.getTime() + (7 - weekday) * DAY) : d;
+}
+
+export function lessonDate(start, seq, lesson) {
+  const from = (start.getUTCDay() + 6) % 7;
+  const monday = start.getTime() - from * DAY;
+  const days = lesson.week === 1 ? from + Math.floor(((lesson.day - 1) * (5 - from)) / seq.lessonsPerWeek)
+                                 : (lesson.week - 1) * 7 + Math.floor(((lesson.day - 1) * 5) / seq.lessonsPerWeek);
+  return new Date(monday + days * DAY);
+}
+
+export const sequenceFileName = (meta) =>
+  ["year-plan", meta.curriculum, meta.subject, meta.grade]
+    .filter(Boolean).join("-").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+const describe = (unit, codes) => codes.map(c => {
+  const s = unit.standards.find(s => s.code === c);
+  return s ? `${c}: ${s.description}` : c;
+});
+
+/* ---------------- CSV ---------------- */
+
+const CSV_HEADER = ["Week", "Lesson", "Date", "Unit", "Unit title", "Lesson in unit", "Standards", "Standard descriptions"];
+
+export function renderSequenceCsv(seq, meta) {
+  const start = firstSchoolDay(meta.startDate);
+  const rows = seq.lessons.map(l => {
+    const unit = seq.units[l.unit - 1];
+    const inUnit = l.n - seq.lessons.findIndex(x => x.unit === l.unit);
+    return [l.week, l.n, start ? isoDate(lessonDate(start, seq, l)) : "", unit.n, unit.title, `${inUnit} of ${unit.lessons}`,
+            l.codes.join(" "), describe(unit, l.codes).join("\n")];
+  });
+  // BOM so spreadsheet apps read the file as UTF-8
+  return "\uFEFF" + [CSV_HEADER, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* ---------------- iCalendar ---------------- */
+
+// RFC 5545 text escaping and 75-octet line folding
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(bytes.length, start + (parts.length ? 74 : 75));
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // keep UTF-8 sequences whole
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+const icsDate = (d) => isoDate(d).replace(/-/g, "");
+
+export function renderSequenceIcs(seq, meta) {
+  const start = firstSchoolDay(meta.startDate);
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const uidBase = `${sequenceFileName(meta)}-${icsDate(start)}`;
+  const events = seq.lessons.flatMap(l => {
+    const unit = seq.units[l.unit - 1];
+    const day = lessonDate(start, seq, l);
+    const inUnit = l.n - seq.lessons.findIndex(x => x.unit === l.unit);
+    return [
+      "BEGIN:VEVENT",
+      `UID:${uidBase}-${l.n}@lesson-pilot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(day)}`,
+      `DTEND;VALUE=DATE:${icsDate(new Date(day.getTime() + DAY))}`,
+      `SUMMARY:${icsText(`${meta.subject}: Unit ${unit.n} ${unit.title} (lesson ${inUnit} of ${unit.lessons})`)}`,
+      `DESCRIPTION:${icsText(describe(unit, l.codes).join("\n"))}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    ];
+  });
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Lesson Pilot//Year plan//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(`${meta.subject} ${meta.grade} year plan`)}`,
+    ...events,
+    "END:VCALENDAR"
+  ].map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,61 @@
+// lib/llm/errors.mjs
+// Machine-readable error codes for the generation APIs. Error bodies look like
+//   { error: "<message for people>", code: "UPSTREAM_RATE_LIMIT", retryable: true }
+
+export const ERROR_CODES = {
+  INVALID_REQUEST:         { status: 400, retryable: false, message: "The request is missing required fields." },
+  METHOD_NOT_ALLOWED:      { status: 405, retryable: false, message: "Method not allowed" },
+  PROVIDER_MISCONFIGURED:  { status: 500, retryable: false, message: "The model provider is not configured." },
+  INDEX_UNAVAILABLE:       { status: 503, retryable: true,  message: "The standards index is not available right now." },
+  INDEX_MODEL_MISMATCH:    { status: 500, retryable: false, message: "The standards index was embedded with a different model; rebuild it." },
+  NO_STANDARD_MATCH:       { status: 422, retryable: false, message: "No standard matched this subject, grade and topic." },
+  UPSTREAM_RATE_LIMIT:     { status: 429, retryable: true,  message: "The model provider is rate limiting requests. Try again shortly." },
+  UPSTREAM_TIMEOUT:        { status: 504, retryable: true,  message: "The model provider took too long to respond." },
+  UPSTREAM_UNAVAILABLE:    { status: 502, retryable: true,  message: "The model provider could not be reached." },
+  UPSTREAM_AUTH:           { status: 502, retryable: false, message: "The model provider rejected our credentials." },
+  UPSTREAM_ERROR:          { status: 502, retryable: false, message: "The model provider returned an error." },
+  MODEL_OUTPUT_INVALID:    { status: 502, retryable: true,  message: "The model's reply did not match the lesson plan format." },
+  GENERATION_FAILED:       { status: 500, retryable: true,  message: "Failed to generate response." }
+};
+
+export class GenerationError extends Error {
+  constructor(code, message = ERROR_CODES[code]?.message, extra = {}) {
+    super(message);
+    this.name = "GenerationError";
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+// Any thrown value -> one of ERROR_CODES
+export function classifyError(e) {
+  if (e?.code && ERROR_CODES[e.code]) return e.code;
+  const status = e?.status;
+  if (status === 429) return "UPSTREAM_RATE_LIMIT";
+  if (status === 401 || status === 403) return "UPSTREAM_AUTH";
+  if (status === 408 || e?.name === "TimeoutError" || e?.name === "AbortError") return "UPSTREAM_TIMEOUT";
+  if (status >= 500) return "UPSTREAM_UNAVAILABLE";
+  if (status) return "UPSTREAM_ERROR";
+  if (e instanceof TypeError && /fetch|network|socket/i.test(e.message)) return "UPSTREAM_UNAVAILABLE";
+  return "GENERATION_FAILED";
+}
+
+// Worth an automatic retry: transient upstream trouble only (a client may still retry anything `retryable`)
+const TRANSIENT = new Set(["UPSTREAM_RATE_LIMIT", "UPSTREAM_TIMEOUT", "UPSTREAM_UNAVAILABLE"]);
+export const isTransient = (e) => TRANSIENT.has(classifyError(e));
+
+// { error, code, retryable } for a code or a thrown error
+export function errorBody(codeOrError, extra = {}) {
+  const code = typeof codeOrError === "string" ? codeOrError : classifyError(codeOrError);
+  const def = ERROR_CODES[code];
+  // Unexpected and network errors keep their details in the server log
+  const message = typeof codeOrError === "string" || code === "GENERATION_FAILED" || codeOrError instanceof TypeError
+    ? def.message
+    : codeOrError.message || def.message;
+  return { error: message, code, retryable: def.retryable, ...extra };
+}
+
+export function sendError(res, codeOrError, extra = {}) {
+  const body = errorBody(codeOrError, extra);
+  return res.status(ERROR_CODES[body.code].status).json(body);
+}
@@ -0,0 +1,165 @@
+// lib/llm/providers.mjs
+// One interface for every model call the app makes:
+//
+//   provider.chat(messages, { temperature, maxTokens })       -> Promise<string>
+//   provider.chatJSON(messages, { temperature, maxTokens })   -> Promise<object>  (JSON mode)
+//   provider.embed(texts[])                                   -> Promise<number[][]>
+//   provider.name, provider.chatModel, provider.embedModel
+//
+// Providers:
+//   openai  api.openai.com (OPENAI_API_KEY, OPENAI_CHAT_MODEL, OPENAI_EMBEDDING_MODEL)
+//   local   any OpenAI-compatible server, e.g. Ollama, vLLM, LM Studio
+//           (LLM_BASE_URL, optional LLM_API_KEY, LLM_CHAT_MODEL, LLM_EMBED_MODEL)
+//   mock    deterministic, no network; for development and tests
+//
+// Pick one with LLM_PROVIDER (default "openai").
+
+import crypto from "crypto";
+
+/* ---------------- OpenAI and OpenAI-compatible ---------------- */
+
+// Pulls the first JSON object out of a reply; local models often wrap it in prose or code fences
+function parseJSON(txt) {
+  try {
+    return JSON.parse(txt);
+  } catch {
+    const m = String(txt).match(/\{[\s\S]*\}/);
+    if (!m) throw new SyntaxError("Model did not return JSON");
+    return JSON.parse(m[0]);
+  }
+}
+
+export function openaiCompatibleProvider({
+  name, baseUrl, apiKey, chatModel, embedModel, jsonMode = true,
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 60000
+}) {
+  const root = String(baseUrl).replace(/\/$/, "");
+
+  async function post(route, body) {
+    const r = await fetch(`${root}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const d = await r.json().catch(() => ({}));
+    if (!r.ok || d.error) {
+      // status / retryAfter feed classifyError and withRetry (lib/llm/errors.mjs, retry.mjs)
+      const err = new Error(d.error?.message || `${name} ${route} failed (HTTP ${r.status})`);
+      err.status = r.ok ? 502 : r.status;
+      const retryAfter = Number(r.headers.get("retry-after"));
+      if (retryAfter > 0) err.retryAfter = retryAfter;
+      throw err;
+    }
+    return d;
+  }
+
+  const complete = async (messages, { temperature = 0.6, maxTokens = 450, json = false } = {}) => {
+    const d = await post("/chat/completions", {
+      model: chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && jsonMode ? { response_format: { type: "json_object" } } : {})
+    });
+    return d.choices?.[0]?.message?.content?.trim() || "";
+  };
+
+  return {
+    name,
+    chatModel,
+    embedModel,
+    chat: (messages, opts) => complete(messages, opts),
+    async chatJSON(messages, opts) {
+      return parseJSON(await complete(messages, { ...opts, json: true }) || "{}");
+    },
+    async embed(texts) {
+      const d = await post("/embeddings", { model: embedModel, input: texts });
+      return d.data.sort((a, b) => a.index - b.index).map(x => x.embedding);
+    }
+  };
+}
+
+export function openaiProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  chatModel = process.env.OPENAI_CHAT_MODEL || "gpt-4.1-nano",
+  embedModel = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small"
+} = {}) {
+  if (!apiKey) throw new Error("Missing OpenAI API key");
+  return openaiCompatibleProvider({ name: "openai", baseUrl: "https://api.openai.com/v1", apiKey, chatModel, embedModel });
+}
+
+// Self-hosted models; nothing leaves the school's network
+export function localProvider({
+  baseUrl = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  chatModel = process.env.LLM_CHAT_MODEL,
+  embedModel = process.env.LLM_EMBED_MODEL,
+  jsonMode = process.env.LLM_JSON_MODE !== "0"
+} = {}) {
+  if (!baseUrl) throw new Error("Missing LLM_BASE_URL for the local provider (e.g. http://localhost:11434/v1)");
+  if (!chatModel) throw new Error("Missing LLM_CHAT_MODEL for the local provider");
+  return openaiCompatibleProvider({ name: "local", baseUrl, apiKey, chatModel, embedModel: embedModel || chatModel, jsonMode });
+}
+
+/* ---------------- mock (offline, deterministic) ---------------- */
+
+// Hashed bag-of-words. Good enough for local dev and smoke tests, not for real retrieval.
+export function hashVector(text, dims = 256) {
+  const v = new Array(dims).fill(0);
+  const toks = String(text || "").toLowerCase().split(/\W+/).filter(Boolean);
+  for (const t of toks) {
+    const h = crypto.createHash("sha1").update(t).digest();
+    const i = h.readUInt32BE(0) % dims;
+    v[i] += h[4] & 1 ? 1 : -1;
+  }
+  const n = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map(x => Number((x / n).toFixed(6)));
+}
+
+// Callers may pass `mock: (messages) => value` in the options of chat / chatJSON to give the
+// mock a realistic answer for that call; real providers ignore it. Without one, chat fills the
+// {{placeholders}} of a "Format:" block in the prompt and chatJSON returns {}.
+export function mockProvider({ dims = 256 } = {}) {
+  const lastUser = (messages) => [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+  return {
+    name: "mock",
+    chatModel: "mock-chat",
+    embedModel: `hash-bow-${dims}`,
+    async chat(messages, opts = {}) {
+      if (opts.mock) return String(opts.mock(messages));
+      const prompt = lastUser(messages);
+      const fmt = prompt.split(/\nFormat:\n/)[1];
+      if (fmt) return fmt.trim().replace(/\{\{(\w+)\}\}/g, (_, k) => `Sample ${k}`);
+      return `Sample response (${prompt.split(/\s+/).filter(Boolean).length} word prompt).`;
+    },
+    async chatJSON(messages, opts = {}) {
+      return opts.mock ? opts.mock(messages) : {};
+    },
+    async embed(texts) {
+      return texts.map(t => hashVector(t, dims));
+    }
+  };
+}
+
+/* ---------------- registry ---------------- */
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  local: localProvider,
+  mock: mockProvider
+};
+
+export function createProvider(name = process.env.LLM_PROVIDER || "openai", opts = {}) {
+  const make = PROVIDERS[name];
+  if (!make) throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  return make(opts);
+}
+
+// Process-wide provider for the API routes, built on first use from the environment
+let shared = null;
+export function getProvider() {
+  if (!shared) shared = createProvider();
+  return shared;
+}
@@ -0,0 +1,40 @@
+// lib/llm/retry.mjs
+// Backoff and a concurrency cap for upstream model calls.
+
+import { isTransient } from "./errors.mjs";
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Retries transient failures (rate limits, timeouts, 5xx, network) with exponential backoff and
+// jitter. Honours `retryAfter` (seconds) when the provider passed one on.
+export async function withRetry(fn, { retries = 3, baseMs = 500, maxMs = 8000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= retries || !isTransient(e)) throw e;
+      const backoff = Math.min(maxMs, baseMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      await sleep(e.retryAfter ? Math.min(maxMs, e.retryAfter * 1000) : backoff);
+    }
+  }
+}
+
+// limit(fn) runs at most `max` fns at once, the rest wait in order. With withRetry, limit each
+// attempt (withRetry(() => limit(fn))) so a backoff does not hold a slot.
+export function createLimiter(max = 4) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
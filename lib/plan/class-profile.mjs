@@ -0,0 +1,118 @@
+// lib/plan/class-profile.mjs
+// Class profiles: who a teacher plans for and what the room has. Stored per teacher
+// (lib/store/classes.mjs), managed on pages/classes.js, and picked at generation time, when
+// classPrompt() conditions every section prompt in pages/api/generate.js.
+//
+//   { name, size?, readingLevel?: { from, to }, ealShare?, needs: [{ need, count?, note? }],
+//     resources: [resource key], otherResources?, notes? }
+//
+// ealShare is the percentage of EAL/ELL learners. No file system or network here; the page
+// imports it for the need and resource labels.
+
+export const NEEDS = {
+  dyslexia: "Dyslexia",
+  adhd: "ADHD",
+  visual_impairment: "Visual impairment",
+  hearing_impairment: "Hearing impairment",
+  autism: "Autism",
+  dyscalculia: "Dyscalculia",
+  physical_disability: "Physical disability",
+  other: "Other need"
+};
+
+export const RESOURCES = {
+  devices_1to1: "1:1 devices",
+  devices_shared: "Shared devices",
+  projector: "Projector or interactive whiteboard",
+  lab: "Science lab",
+  outdoor: "Outdoor space",
+  library: "Library",
+  manipulatives: "Manipulatives",
+  art_supplies: "Art supplies"
+};
+
+const MAX_TEXT = 500;
+
+const isCount = (n, max) => Number.isInteger(n) && n >= 0 && n <= max;
+
+// Client fields -> { data } or { error }; partial for updates, where an empty size or ealShare
+// clears it
+export function validateClassProfile(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? "").trim();
+    if (!name) return { error: "A class needs a name." };
+    if (name.length > 80) return { error: "Class names are at most 80 characters." };
+    data.name = name;
+  }
+  for (const [k, max, error] of [["size", 200, "size must be a whole number of students."],
+                                  ["ealShare", 100, "ealShare must be a percentage from 0 to 100."]]) {
+    if (body[k] === undefined) continue;
+    if (body[k] === null || body[k] === "") { data[k] = undefined; continue; }
+    if (!isCount(Number(body[k]), max)) return { error };
+    data[k] = Number(body[k]);
+  }
+  if (body.readingLevel !== undefined) {
+    const { from = "", to = "" } = body.readingLevel || {};
+    if (typeof from !== "string" || typeof to !== "string") return { error: "readingLevel must be { from, to }." };
+    data.readingLevel = { from: from.trim().slice(0, 40), to: to.trim().slice(0, 40) };
+  }
+  if (body.needs !== undefined) {
+    if (!Array.isArray(body.needs) || body.needs.some(n => !NEEDS[n?.need])) {
+      return { error: `needs must be a list of { need, count?, note? } with need one of: ${Object.keys(NEEDS).join(", ")}.` };
+    }
+    if (body.needs.some(n => n.count !== undefined && n.count !== null && n.count !== "" && !isCount(Number(n.count), 200))) {
+      return { error: "A need's count must be a whole number of students." };
+    }
+    data.needs = body.needs.map(({ need, count, note }) => ({
+      need,
+      ...(count !== undefined && count !== null && count !== "" ? { count: Number(count) } : {}),
+      ...(note ? { note: String(note).trim().slice(0, 200) } : {})
+    }));
+  }
+  if (body.resources !== undefined) {
+    if (!Array.isArray(body.resources) || body.resources.some(r => !RESOURCES[r])) {
+      return { error: `resources must be a list of: ${Object.keys(RESOURCES).join(", ")}.` };
+    }
+    data.resources = [...new Set(body.resources)];
+  }
+  for (const k of ["otherResources", "notes"]) {
+    if (body[k] === undefined) continue;
+    if (typeof body[k] !== "string") return { error: `${k} must be a string.` };
+    data[k] = body[k].trim().slice(0, MAX_TEXT);
+  }
+  if (!partial) {
+    data.needs = data.needs || [];
+    data.resources = data.resources || [];
+  }
+  return { data };
+}
+
+const needLabel = (n) => (n.need === "other" && n.note ? n.note : NEEDS[n.need]);
+
+// The needs the differentiation section gives an accommodation for, as labels
+export const needLabels = (profile) => (profile?.needs || []).map(needLabel);
+
+// The profile as prompt text, shared by every section of a plan
+export function classPrompt(profile) {
+  if (!profile) return "";
+  const { size, readingLevel, ealShare, needs = [], resources = [], otherResources, notes } = profile;
+  const reading = [readingLevel?.from, readingLevel?.to].filter(Boolean);
+  const about = [
+    size && `${size} students`,
+    reading.length && `reading levels ${reading.length === 2 && reading[0] !== reading[1] ? `${reading[0]} to ${reading[1]}` : reading[0]}`,
+    ealShare && `about ${ealShare}% EAL/ELL learners`
+  ].filter(Boolean);
+  const have = [...resources.map(r => RESOURCES[r]), otherResources].filter(Boolean);
+  return [
+    `Class profile: ${profile.name}${about.length ? `, ${about.join(", ")}` : ""}.`,
+    needs.length && `Learners with: ${needs.map(n => `${needLabel(n)}${n.count ? ` (${n.count})` : ""}${n.need !== "other" && n.note ? ` - ${n.note}` : ""}`).join("; ")}.`,
+    have.length
+      ? `Available resources: ${have.join(", ")}. Plan activities and materials around these; do not assume anything else.`
+      : "No special resources: plan for an ordinary classroom with paper, pens and a board.",
+    ealShare && "Support EAL/ELL learners with visuals, key vocabulary and sentence frames.",
+    notes && `Teacher's notes: ${notes}`,
+    "Suit every part of the lesson to this class."
+  ].filter(Boolean).join("\n");
+}
@@ -0,0 +1,329 @@
+// lib/plan/lesson-plan.mjs
+// Typed lesson plans. Every section is generated as JSON (JSON mode), checked against the schema
+// of its section type, and its Markdown is rendered from that object. The server and the page
+// both build the whole plan with buildLessonPlan():
+//
+//   {
+//     version: 1, template, outline,
+//     language:  { code, name, mode },                    what it is written in (lib/plan/output-language.mjs)
+//     standard:  { code, description },                     the primary standard
+//     standards: [{ code, description, curriculum, primary }],  every aligned standard, primary first;
+//                                                        may include equivalents from another curriculum
+//     lessons: [{
+//       lesson, title,
+//       objective,                                          string | null, ends with the codes it addresses
+//       misconceptions:    [{ misconception, cause, fix }],
+//       thinkingQuestions: [string],
+//       assessment:        [{ question, type, options?, answer }],
+//       activities:        [{ activity, materials: [string] }],
+//       differentiation:   { support, extension, accommodations: [{ need, accommodation }] } | null,
+//       sections: { <key>: section object | null }          every template section, by key
+//     }],
+//     quiz: [{ question, type, options?, answer, accept?, feedback? }] | null
+//   }
+//
+// Quiz answers are keyed: an MCQ answer is the text of its correct option and a true/false answer
+// is "True" or "False", so the quiz can go to an LMS (lib/export/quiz.mjs).
+//
+// No file system or network here; pages/index.js imports it too.
+
+import { ENGLISH } from "./output-language.mjs";
+
+export const PLAN_VERSION = 1;
+
+export const QUESTION_TYPES = ["mcq", "short_answer", "diagram_label", "true_false", "open"];
+
+/* ---------------- schema checking ---------------- */
+
+// A small subset of JSON Schema: type, properties, required, items, enum, minItems, maxItems,
+// minLength. conform() keeps only declared properties, trims strings and lists the problems.
+export function conform(value, schema, at = "$") {
+  const problems = [];
+  const walk = (v, s, p) => {
+    if (s.type === "string") {
+      if (typeof v === "number") v = String(v);
+      if (typeof v !== "string") { problems.push(`${p} must be a string`); return undefined; }
+      v = v.trim();
+      if (s.minLength && v.length < s.minLength) problems.push(`${p} must not be empty`);
+      if (s.enum && !s.enum.includes(v)) problems.push(`${p} must be one of ${s.enum.join(", ")}`);
+      return v;
+    }
+    if (s.type === "array") {
+      if (!Array.isArray(v)) { problems.push(`${p} must be an array`); return undefined; }
+      if (s.minItems && v.length < s.minItems) problems.push(`${p} needs at least ${s.minItems} item(s)`);
+      if (s.maxItems && v.length > s.maxItems) v = v.slice(0, s.maxItems);
+      return v.map((x, i) => walk(x, s.items, `${p}[${i}]`));
+    }
+    if (s.type === "object") {
+      if (!v || typeof v !== "object" || Array.isArray(v)) { problems.push(`${p} must be an object`); return undefined; }
+      const out = {};
+      for (const [k, sub] of Object.entries(s.properties)) {
+        if (v[k] === undefined || v[k] === null) {
+          if ((s.required || []).includes(k)) problems.push(`${p}.${k} is required`);
+          continue;
+        }
+        out[k] = walk(v[k], sub, `${p}.${k}`);
+      }
+      return out;
+    }
+    return v;
+  };
+  const out = walk(value, schema, at);
+  return { value: out, problems };
+}
+
+/* ---------------- section types ---------------- */
+
+const str = { type: "string", minLength: 1 };
+const list = (items, max = 10) => ({ type: "array", items, minItems: 1, maxItems: max });
+const obj = (properties, required = Object.keys(properties)) => ({ type: "object", properties, required });
+// Models send options: [] with short-answer and open questions; only MCQs need them (see optionProblems)
+const options = (max) => ({ type: "array", items: str, maxItems: max });
+
+const questionItem = obj({
+  question: str,
+  type: { type: "string", enum: QUESTION_TYPES },
+  options: options(6),
+  answer: str
+}, ["question", "type", "answer"]);
+
+// Quiz items also carry feedback (why the answer is right) and at most four options, which is
+// what quiz tools such as Kahoot take. A short answer lists the short answers an LMS should accept
+// (accept); its answer is the model answer.
+const quizItem = obj({
+  question: str,
+  type: { type: "string", enum: QUESTION_TYPES },
+  options: options(4),
+  answer: str,
+  accept: { type: "array", items: str, maxItems: 5 },
+  feedback: str
+}, ["question", "type", "answer"]);
+
+// Models name question types loosely ("Multiple choice", "short answer")
+function normaliseQuestionTypes(d, listKey) {
+  const alias = { multiple_choice: "mcq", multiplechoice: "mcq", mc: "mcq", short: "short_answer", truefalse: "true_false",
+                  label: "diagram_label", diagram: "diagram_label", open_ended: "open", extended: "open" };
+  if (!Array.isArray(d?.[listKey])) return d;
+  return {
+    ...d,
+    [listKey]: d[listKey].map(q => {
+      if (!q || typeof q.type !== "string") return q;
+      const t = q.type.toLowerCase().replace(/[^a-z]+/g, "_").replace(/^_|_$/g, "");
+      return { ...q, type: QUESTION_TYPES.includes(t) ? t : alias[t] || (q.options?.length ? "mcq" : "short_answer") };
+    })
+  };
+}
+
+// Models often answer an MCQ with its letter ("B", "b) Sample B"); key it to the option text.
+// True/false answers become "True" / "False".
+export function keyAnswers(d, listKey) {
+  if (!Array.isArray(d?.[listKey])) return d;
+  const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  return {
+    ...d,
+    [listKey]: d[listKey].map(q => {
+      if (!q || typeof q.answer !== "string") return q;
+      if (q.type === "true_false") {
+        const tf = /^(t|true)\b/i.test(q.answer.trim()) ? "True" : /^(f|false)\b/i.test(q.answer.trim()) ? "False" : q.answer;
+        return { ...q, answer: tf };
+      }
+      if (q.type !== "mcq" || !Array.isArray(q.options)) return q;
+      const options = q.options.map(String);
+      const exact = options.find(o => same(o, q.answer));
+      if (exact) return { ...q, answer: exact };
+      const m = q.answer.trim().match(/^\(?([a-f])(?:[).:]\s*|\s*$)(.*)$/i);
+      const byLetter = m && options[m[1].toLowerCase().charCodeAt(0) - 97];
+      return byLetter && (!m[2] || same(byLetter, m[2])) ? { ...q, answer: byLetter } : q;
+    })
+  };
+}
+
+// An MCQ needs options to choose from; other question types may come with none
+const optionProblems = (questions, listKey) => questions.flatMap((q, i) =>
+  (q.type === "mcq" && (q.options?.length || 0) < 2 ? [`$.${listKey}[${i}] needs at least 2 options`] : []));
+
+// Problems with quiz answers the schema cannot see
+const answerProblems = (questions) => questions.flatMap((q, i) => {
+  const at = `$.questions[${i}]`;
+  if (q.type === "mcq" && (q.options?.length || 0) < 2) return [`${at} needs at least 2 options`];
+  if (q.type === "mcq" && !q.options.includes(q.answer)) return [`${at}.answer must be the text of one of its options`];
+  if (q.type === "true_false" && !["True", "False"].includes(q.answer)) return [`${at}.answer must be True or False`];
+  return [];
+});
+
+const optionLines = (q) => (q.options?.length
+  ? q.options.map((o, i) => `   ${String.fromCharCode(97 + i)}) ${o}`).join("\n") + "\n"
+  : "");
+
+// Per type: schema (what the reply must match), example (shown in the prompt), field (where it
+// lands on a lesson), audience (who reads it by default, "students" or "teacher"; a template
+// section can say otherwise), render (object -> Markdown) and mock (offline answer). Optional:
+// normalise (tidy the raw reply first) and check (problems beyond the schema).
+export const SECTION_TYPES = {
+  markdown: {
+    audience: "teacher",
+    schema: obj({ markdown: str }),
+    example: { markdown: "<the section in Markdown>" },
+    render: (d) => d.markdown,
+    // Fills the {{placeholders}} of the template's format like the mock provider does
+    mock: (sec) => ({ markdown: sec.fmt ? sec.fmt.replace(/\{\{(\w+)\}\}/g, (_, k) => `Sample ${k}`) : `Sample ${sec.key}.` })
+  },
+  text: {
+    audience: "students",
+    schema: obj({ text: str }),
+    example: { text: "<one paragraph>" },
+    render: (d) => d.text,
+    mock: () => ({ text: "Sample paragraph. Consider how this connects to what comes next." })
+  },
+  // codes: the standards the objective addresses; the objective cites them in parentheses
+  objective: {
+    field: "objective",
+    audience: "students",
+    schema: obj({ objective: str, codes: { type: "array", items: str } }, ["objective"]),
+    example: { objective: "Students will be able to … (<code>, <code>)", codes: ["<each standard code it addresses>"] },
+    pick: (d) => d.objective,
+    render: (d) => {
+      const missing = (d.codes || []).filter(c => !d.objective.includes(c));
+      return `- ${d.objective}${missing.length ? ` (${missing.join(", ")})` : ""}`;
+    },
+    mock: () => ({ objective: "Students will be able to explain the sample idea." })
+  },
+  misconceptions: {
+    field: "misconceptions",
+    audience: "teacher",
+    schema: obj({ misconceptions: list(obj({ misconception: str, cause: str, fix: str })) }),
+    example: { misconceptions: [{ misconception: "<≤ 12 words>", cause: "<1 sentence>", fix: "<1 sentence>" }] },
+    pick: (d) => d.misconceptions,
+    render: (d) => d.misconceptions.map((m, i) =>
+      `${i + 1}. **Student misconception:** ${m.misconception}\n   **Why it happens:** ${m.cause}\n   **Teacher check / fix:** ${m.fix}`
+    ).join("\n\n"),
+    mock: () => ({ misconceptions: [1, 2, 3].map(n => ({ misconception: `Sample misconception ${n}`, cause: `Sample cause ${n}.`, fix: `Sample fix ${n}.` })) })
+  },
+  questions: {
+    field: "thinkingQuestions",
+    audience: "students",
+    schema: obj({ questions: list(str) }),
+    example: { questions: ["<open-ended question>"] },
+    pick: (d) => d.questions,
+    render: (d) => d.questions.map((q, i) => `${i + 1}. ${q}`).join("\n"),
+    mock: () => ({ questions: [1, 2, 3].map(n => `Sample thinking question ${n}?`) })
+  },
+  assessment: {
+    field: "assessment",
+    audience: "students",
+    schema: obj({ assessment: list(questionItem) }),
+    example: { assessment: [{ question: "<question>", type: QUESTION_TYPES.join("|"), options: ["<mcq only>"], answer: "<model answer>" }] },
+    normalise: (d) => keyAnswers(normaliseQuestionTypes(d, "assessment"), "assessment"),
+    check: (d) => optionProblems(d.assessment, "assessment"),
+    pick: (d) => d.assessment,
+    render: (d) => d.assessment.map((q, i) => `${i + 1}. Q: ${q.question}\n${optionLines(q)}   **Answer:** ${q.answer}`).join("\n"),
+    mock: () => ({ assessment: [
+      { question: "Sample recall question?", type: "mcq", options: ["Sample A", "Sample B", "Sample C"], answer: "Sample A" },
+      { question: "Sample short answer question?", type: "short_answer", answer: "Sample answer." },
+      { question: "Sample application question?", type: "open", answer: "Sample model answer." }
+    ] })
+  },
+  activities: {
+    field: "activities",
+    audience: "students",
+    schema: obj({ activities: list(obj({ activity: str, materials: { type: "array", items: str } }, ["activity"])) }),
+    example: { activities: [{ activity: "<≤ 25 words>", materials: ["<item>"] }] },
+    pick: (d) => d.activities.map(a => ({ activity: a.activity, materials: a.materials || [] })),
+    render: (d) => d.activities.map(a => `- ${a.activity}${a.materials?.length ? ` (${a.materials.join(", ")})` : ""}`).join("\n"),
+    mock: () => ({ activities: [1, 2, 3].map(n => ({ activity: `Sample activity ${n}`, materials: n === 3 ? [] : [`sample material ${n}`] })) })
+  },
+  // accommodations: one per need in the class profile, when the plan is for a class (lib/plan/class-profile.mjs)
+  differentiation: {
+    field: "differentiation",
+    audience: "teacher",
+    schema: obj({ support: str, extension: str, accommodations: { type: "array", items: obj({ need: str, accommodation: str }), maxItems: 10 } },
+                ["support", "extension"]),
+    example: { support: "<≤ 25 words>", extension: "<≤ 25 words>" },
+    pick: (d) => ({ support: d.support, extension: d.extension, accommodations: d.accommodations || [] }),
+    render: (d) => [`- **Support:** ${d.support}`, `- **Extension:** ${d.extension}`,
+                    ...(d.accommodations || []).map(a => `- **${a.need}:** ${a.accommodation}`)].join("\n"),
+    mock: (sec) => ({ support: "Sample support.", extension: "Sample extension.",
+                      ...(sec.needs?.length ? { accommodations: sec.needs.map(need => ({ need, accommodation: `Sample ${need} accommodation.` })) } : {}) })
+  },
+  // End-of-unit quiz; lands on plan.quiz, not on a lesson
+  quiz: {
+    audience: "students",
+    schema: obj({ questions: list(quizItem, 20) }),
+    example: { questions: [{ question: "<question>", type: QUESTION_TYPES.join("|"), options: ["<mcq only, up to 4>"],
+                             answer: "<answer; for mcq the text of the correct option>",
+                             accept: ["<short_answer only: each word or short phrase to mark correct>"], feedback: "<1 sentence: why>" }] },
+    normalise: (d) => keyAnswers(normaliseQuestionTypes(d, "questions"), "questions"),
+    check: (d) => answerProblems(d.questions),
+    render: (d) => [
+      d.questions.map((q, i) => `${i + 1}. ${q.question}\n${optionLines(q)}`.trimEnd()).join("\n"),
+      "**Answer key**",
+      d.questions.map((q, i) => `${i + 1}. ${q.answer}${q.feedback ? ` _${q.feedback}_` : ""}`).join("\n")
+    ].join("\n\n"),
+    mock: () => ({ questions: [1, 2, 3, 4, 5].map(n => (n % 2
+      ? { question: `Sample quiz question ${n}?`, type: "mcq", options: ["Sample A", "Sample B", "Sample C", "Sample D"],
+          answer: "Sample B", feedback: `Sample feedback ${n}.` }
+      : { question: `Sample quiz question ${n}?`, type: n === 4 ? "true_false" : "short_answer",
+          answer: n === 4 ? "True" : `Sample answer ${n}.`, ...(n === 4 ? {} : { accept: [`Sample ${n}`] }),
+          feedback: `Sample feedback ${n}.` })) })
+  }
+};
+
+export const sectionTypeOf = (sec) => SECTION_TYPES[sec?.type] || SECTION_TYPES.markdown;
+
+// What to ask for at the end of a section prompt
+export function replyInstructions(sec) {
+  const type = sectionTypeOf(sec);
+  const lines = [`Return JSON only, shaped like:\n${JSON.stringify(type.example)}`];
+  if (type === SECTION_TYPES.markdown && sec.fmt) lines.push(`Write the markdown value in this format:\n${sec.fmt}`);
+  return lines.join("\n");
+}
+
+// Raw model JSON -> { data, content } or { problems }
+export function readSection(sec, raw) {
+  const type = sectionTypeOf(sec);
+  const { value, problems } = conform(type.normalise ? type.normalise(raw) : raw, type.schema);
+  if (problems.length) return { problems };
+  const more = type.check ? type.check(value) : [];
+  if (more.length) return { problems: more };
+  return { data: value, content: type.render(value).trim() };
+}
+
+/* ---------------- whole plan ---------------- */
+
+const emptyLesson = (lesson, title) => ({
+  lesson,
+  title: title || "",
+  objective: null,
+  misconceptions: [],
+  thinkingQuestions: [],
+  assessment: [],
+  activities: [],
+  differentiation: null,
+  sections: {}
+});
+
+// sectionOf(lesson, key) -> section object or null/undefined (lesson 0 is the quiz)
+export function buildLessonPlan({ template, language, standard, standards, outline, lessons, sections, quiz, sectionOf }) {
+  return {
+    version: PLAN_VERSION,
+    template: template || null,
+    language: language || ENGLISH,
+    standard: standard || null,
+    standards: standards?.length ? standards : standard ? [{ ...standard, primary: true }] : [],
+    outline: outline || null,
+    lessons: Array.from({ length: lessons }, (_, i) => {
+      const n = i + 1;
+      const out = emptyLesson(n, outline?.lessons?.[i]?.title);
+      for (const sec of sections) {
+        const d = sectionOf(n, sec.key) ?? null;
+        out.sections[sec.key] = d;
+        const type = sectionTypeOf(sec);
+        if (!d || !type.field) continue;
+        const v = type.pick(d);
+        out[type.field] = Array.isArray(out[type.field]) ? [...out[type.field], ...v] : v;
+      }
+      return out;
+    }),
+    quiz: quiz ? sectionOf(0, quiz.key)?.questions || null : null
+  };
+}
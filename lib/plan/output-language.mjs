@@ -0,0 +1,85 @@
+// lib/plan/output-language.mjs
+// The language a plan is written in. Prompts are English; picking another language translates the
+// whole plan, only its student-facing sections (the section's audience, lib/plan/lesson-plan.mjs),
+// or gives those sections bilingually, English with the translation beside it, for ELL classrooms.
+//
+//   { code: "es", name: "Spanish", mode: "full" | "students" | "bilingual" }
+//
+// Section headings come from the lesson template and standard codes stay as filed, so a plan
+// reads the same in every language apart from its content. The language is recorded on the
+// typed plan (lessonPlan.language) and in the streamed meta. In a language subject
+// (teachesLanguage in lib/curricula) it is the language students learn.
+//
+// No file system or network here; pages/index.js imports it too.
+
+export const LANGUAGES = {
+  en: "English",
+  ar: "Arabic",
+  bn: "Bengali",
+  zh: "Chinese (Simplified)",
+  fr: "French",
+  de: "German",
+  ht: "Haitian Creole",
+  hi: "Hindi",
+  it: "Italian",
+  ja: "Japanese",
+  ko: "Korean",
+  la: "Latin",
+  pl: "Polish",
+  pt: "Portuguese",
+  ru: "Russian",
+  so: "Somali",
+  es: "Spanish",
+  tl: "Tagalog",
+  uk: "Ukrainian",
+  ur: "Urdu",
+  vi: "Vietnamese",
+  cy: "Welsh"
+};
+
+export const LANGUAGE_MODES = {
+  full: "Whole plan",
+  students: "Student-facing sections only",
+  bilingual: "Bilingual (English and the language side by side)"
+};
+
+export const ENGLISH = { code: "en", name: "English", mode: "full" };
+
+// Request fields -> { data } or { error }; no language, or English, is ENGLISH
+export function resolveOutputLanguage(language = "", mode = "") {
+  const code = String(language || "en").trim().toLowerCase();
+  if (!LANGUAGES[code]) return { error: `Unknown output language "${language}". Choose one of: ${Object.keys(LANGUAGES).join(", ")}.` };
+  if (code === "en") return { data: ENGLISH };
+  const m = mode || "full";
+  if (!LANGUAGE_MODES[m]) return { error: `Language mode must be one of: ${Object.keys(LANGUAGE_MODES).join(", ")}.` };
+  return { data: { code, name: LANGUAGES[code], mode: m } };
+}
+
+// "Spanish", "Spanish (student-facing sections)" or "English and Spanish" for exports; "" for English
+export function languageLabel(language) {
+  if (!language || language.code === "en") return "";
+  const name = language.name || LANGUAGES[language.code] || language.code;
+  if (language.mode === "bilingual") return `English and ${name}`;
+  return language.mode === "students" ? `${name} (student-facing sections)` : name;
+}
+
+// Keys, codes and fixed values the app reads back must not be translated
+const KEEP = "Keep JSON keys, standard codes and the values of \"type\" in English; true/false answers stay \"True\" or \"False\".";
+
+// Per-section prompt lines; "" when the section stays in English. audience is the section's
+// ("students" | "teacher"); learners: the subject teaches this language, pitched at `grade`.
+export function languagePrompt(language, { audience = "teacher", learners = false, grade = "" } = {}) {
+  if (!language || language.code === "en") return "";
+  const { name, mode } = language;
+  const forStudents = audience === "students";
+  if (mode !== "full" && !forStudents) return "Write this section in English; it is for the teacher.";
+  const lines = mode === "bilingual"
+    ? [`Write every text value bilingually: the English first, then " / ", then the ${name} translation.`,
+       `In Markdown, put the ${name} translation of each paragraph or list item on the line after it, in italics.`,
+       "A multiple-choice answer repeats the exact text of its option."]
+    : [`Write every text value in ${name}.`];
+  if (learners && forStudents) {
+    lines.push(`Students are learning ${name}: keep its vocabulary and grammar within reach of ${grade || "the class"}, and gloss new words in English.`);
+  }
+  return [...lines, KEEP].join("\n");
+}
@@ -0,0 +1,99 @@
+// lib/standards/catalogue.mjs
+// The standards browser (/api/standards, pages/standards.js): the strand hierarchy of a set of
+// index rows, the rows a planner choice covers, and full-text or semantic search over them.
+
+import { cosine, sourceOf, gradeMatches } from "./standards-index.mjs";
+import { getCurriculum, resolveSubject, subjectFiles, subjectClusters, inClusters, normaliseGrade } from "../curricula/curricula.mjs";
+
+const words = (s) => String(s || "").toLowerCase().split(/\W+/).filter(Boolean);
+
+export const SEARCH_MODES = ["text", "semantic"];
+
+// The rows of a curriculum a subject and grade (as picked in the planner) retrieve from: the
+// subject's files and exam board specifications at that grade, its supporting files at any grade.
+// Without a grade, all the subject's files; without a subject, every file at that grade. An
+// examBoard ("" for none) narrows it to exactly what the planner retrieves for that choice. A
+// subject that takes some clusters of a shared file (England Biology) gets only those.
+//   -> { rows, files, gradeKey, boards: { subjectKey: examBoard } } | { error }
+export function selectStandards(index, curriculum, { subject = "", grade = "", examBoard } = {}) {
+  const def = getCurriculum(curriculum);
+  if (!def) return { error: `Unknown curriculum "${curriculum}".` };
+  const gradeKey = grade ? normaliseGrade(def.id, grade) : "";
+  let files = null, supporting = [], boards = {}, clusters = {};
+  if (subject && grade) {
+    const r = resolveSubject(def.id, subject, grade, examBoard);
+    if (!r.subjectKey) return { error: r.unavailable || `${subject} is not offered for ${grade} in ${def.name}.` };
+    if (examBoard !== undefined) {
+      if (examBoard && !r.examBoard) {
+        return { error: r.examBoards.length ? `Choose one of these exam boards: ${r.examBoards.join(", ")}.`
+                                            : `${subject} for ${grade} has no exam board choice.` };
+      }
+      if (r.examBoard) boards = { [r.subjectKey]: r.examBoard };
+      files = [r.subjectKey];
+    } else {
+      boards = Object.fromEntries(r.examBoards.map(b => [resolveSubject(def.id, subject, grade, b).subjectKey, b]));
+      files = [r.subjectKey, ...Object.keys(boards)];
+    }
+    supporting = r.also;
+    clusters = r.clusters;
+  } else if (subject) {
+    files = subjectFiles(def.id, subject);
+    if (!files.length) return { error: `${def.name} has no subject "${subject}".` };
+    clusters = subjectClusters(def.id, subject);
+  }
+  const rows = index.filter(r => r.curriculum === def.id && inClusters(clusters, r) && (
+    supporting.includes(r.subjectKey) ||
+    ((!files || files.includes(r.subjectKey)) && (!gradeKey || gradeMatches(r.grade, gradeKey)))
+  ));
+  return { rows, files: files || [], gradeKey, boards };
+}
+
+// What the browser shows of a row
+export const catalogueEntry = (r) => ({
+  curriculum: r.curriculum, code: r.code, description: r.description, grade: r.grade,
+  subjectKey: r.subjectKey, strand: r.strand || "", cluster: r.cluster || "", source: sourceOf(r)
+});
+
+// [{ strand, count, clusters: [{ cluster, count }] }] in file order. Only rows extracted into trees
+// have a strand; the rest are counted under "".
+export function strandsOf(rows) {
+  const strands = new Map();
+  for (const r of rows) {
+    const s = r.strand || "";
+    const entry = strands.get(s) || strands.set(s, { strand: s, count: 0, clusters: new Map() }).get(s);
+    entry.count++;
+    if (r.cluster && r.cluster !== s) entry.clusters.set(r.cluster, (entry.clusters.get(r.cluster) || 0) + 1);
+  }
+  return [...strands.values()].map(({ clusters, ...s }) => ({
+    ...s, clusters: [...clusters].map(([cluster, count]) => ({ cluster, count }))
+  }));
+}
+
+// Every word of q in the code, description, strand or cluster; a code match ranks first, then the
+// rows whose description holds the words most often. File order breaks ties.
+export function textSearch(rows, q) {
+  const terms = words(q);
+  if (!terms.length) return rows;
+  return rows
+    .map((r, i) => {
+      const code = r.code.toLowerCase();
+      const desc = words(r.description);
+      const hay = `${code} ${desc.join(" ")} ${words(r.strand).join(" ")} ${words(r.cluster).join(" ")}`;
+      if (!terms.every(t => hay.includes(t))) return null;
+      const score = (terms.some(t => code.includes(t)) ? 100 : 0) +
+        terms.reduce((n, t) => n + desc.filter(w => w.startsWith(t)).length, 0);
+      return { r, i, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ r }) => r);
+}
+
+// Closest rows to an embedded query, with their similarity
+export function semanticSearch(rows, vector) {
+  return rows
+    .filter(r => r.vector)
+    .map(r => ({ r, similarity: cosine(vector, r.vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(({ r, similarity }) => ({ ...r, similarity: Number(similarity.toFixed(3)) }));
+}
@@ -0,0 +1,51 @@
+// lib/standards/coverage.mjs
+// Coverage of a curriculum's standards by a teacher's saved plans (/api/coverage, pages/coverage.js).
+// A plan covers its primary and supporting standards in its own curriculum; equivalents it cites
+// from another curriculum are not taught, so they do not count.
+
+const pct = (covered, total) => (total ? Math.round((100 * covered) / total) : 0);
+
+// curriculum:code -> [{ id, title }] of the plans that cover it
+export function coveredCodes(plans) {
+  const covered = new Map();
+  for (const p of plans) {
+    const codes = [p.standardCode, ...(p.alignedStandards || []).filter(s => !s.equivalent).map(s => s.code)];
+    for (const code of new Set(codes.filter(Boolean))) {
+      const key = `${p.curriculum}:${code}`;
+      (covered.get(key) || covered.set(key, []).get(key)).push({ id: p.id, title: p.title });
+    }
+  }
+  return covered;
+}
+
+// rows: the standards in view, in file order; plans: the plan summaries to count
+//   -> { total, covered, percent, strands: [{ strand, total, covered, percent }],
+//        standards: [{ row, plans: [{ id, title }] }], next: [row] }
+// next is the uncovered standards after the last covered one in file order (wrapping round), so
+// suggestions follow the order the curriculum sets them out in.
+export function coverageOf(rows, plans, { next: nextCount = 5 } = {}) {
+  const covered = coveredCodes(plans);
+  const standards = rows.map(row => ({ row, plans: covered.get(`${row.curriculum}:${row.code}`) || [] }));
+
+  const strands = new Map();
+  for (const { row, plans: by } of standards) {
+    const s = row.strand || "";
+    const entry = strands.get(s) || strands.set(s, { strand: s, total: 0, covered: 0 }).get(s);
+    entry.total++;
+    if (by.length) entry.covered++;
+  }
+
+  const last = standards.map(s => s.plans.length > 0).lastIndexOf(true);
+  const next = [...standards.slice(last + 1), ...standards.slice(0, last + 1)]
+    .filter(s => !s.plans.length)
+    .slice(0, nextCount)
+    .map(s => s.row);
+
+  const total = standards.length;
+  const done = standards.filter(s => s.plans.length).length;
+  return {
+    total, covered: done, percent: pct(done, total),
+    strands: [...strands.values()].map(s => ({ ...s, percent: pct(s.covered, s.total) })),
+    standards, next
+  };
+}
@@ -0,0 +1,64 @@
+// lib/standards/crosswalk.mjs
+// Nearest equivalents of a standard in the other curricula, by cosine similarity of the
+// embeddings already in the standards index; no model call. Each curriculum names its subjects
+// its own way (NYS "mathematics", England "eng_mathematics_secondary"), so subjects are compared
+// by family.
+
+import { cosine, sourceOf } from "./standards-index.mjs";
+
+const FAMILY_ALIASES = {
+  ela: "english", gcse_english: "english", reading_framework: "english", letters_sounds: "english",
+  world_languages: "languages", mfl: "languages",
+  art_design: "art", visual_arts: "art",
+  pe: "physical_education", health_pe_fcs: "physical_education",
+  numeracy_mathematics: "mathematics", mathematics_numeracy: "mathematics",
+  literacy_english: "english", language_literature: "english", languages_literacy_communication: "english",
+  sciences: "science", science_technology: "science",
+  individuals_societies: "social_studies", humanities: "social_studies",
+  physical_health_education: "physical_education", health_wellbeing: "physical_education"
+};
+
+// "eng_mathematics_secondary" -> "mathematics", "ela" -> "english", "social_studies_k8" -> "social_studies"
+export function subjectFamily(subjectKey) {
+  const k = String(subjectKey || "").toLowerCase()
+    .replace(/^eng_/, "")
+    .replace(/_(primary|secondary|ks\d+|k8|hs|aqa|appendix\d*)$/, "");
+  return FAMILY_ALIASES[k] || k;
+}
+
+const summaryOf = (r) => ({
+  curriculum: r.curriculum, code: r.code, description: r.description,
+  grade: r.grade, subjectKey: r.subjectKey, source: sourceOf(r)
+});
+
+// The row for a code; subjectKey and grade pick between rows that share a code
+export function findStandard(index, { curriculum, code, subjectKey = "", grade = "" }) {
+  const rows = index.filter(r => r.curriculum === curriculum && r.code === code);
+  return rows.find(r => (!subjectKey || r.subjectKey === subjectKey) && (!grade || r.grade === grade)) || rows[0] || null;
+}
+
+// -> { standard, equivalents: { <curriculum>: [{ ...standard, similarity }] } }, or null when the
+// code is not in the index. Every other curriculum in the index gets a (possibly empty) list of
+// its `limit` closest standards in the same subject family (any subject with anySubject).
+export function crosswalk(index, { curriculum, code, subjectKey, grade, limit = 5, anySubject = false }) {
+  const from = findStandard(index, { curriculum, code, subjectKey, grade });
+  if (!from?.vector) return null;
+  const family = subjectFamily(from.subjectKey);
+
+  const equivalents = {};
+  for (const r of index) {
+    if (r.curriculum === from.curriculum || !r.vector) continue;
+    const list = (equivalents[r.curriculum] ||= []);
+    if (!anySubject && subjectFamily(r.subjectKey) !== family) continue;
+    list.push({ r, similarity: cosine(from.vector, r.vector) });
+  }
+  for (const [cur, list] of Object.entries(equivalents)) {
+    const seen = new Set();
+    equivalents[cur] = list
+      .sort((a, b) => b.similarity - a.similarity)
+      .filter(({ r }) => !seen.has(r.code) && seen.add(r.code))
+      .slice(0, limit)
+      .map(({ r, similarity }) => ({ ...summaryOf(r), similarity: Number(similarity.toFixed(3)) }));
+  }
+  return { standard: summaryOf(from), equivalents };
+}
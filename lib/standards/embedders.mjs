@@ -0,0 +1,40 @@
+// lib/standards/embedders.mjs
+// Embedders for the standards index builder.
+// An embedder is { model, embed(texts[]) -> Promise<number[][]> }; `model` is recorded in the manifest.
+// They wrap the providers in lib/llm/providers.mjs so the index and the query side embed alike.
+
+import { openaiProvider, localProvider, hashVector } from "../llm/providers.mjs";
+
+const fromProvider = (p) => ({ model: p.embedModel, embed: (texts) => p.embed(texts) });
+
+/* ---------------- OpenAI / self-hosted ---------------- */
+
+export const openaiEmbedder = (opts) => fromProvider(openaiProvider(opts));
+
+export const localEmbedder = (opts) => fromProvider(localProvider(opts));
+
+/* ---------------- hashed bag-of-words (offline) ---------------- */
+
+// Deterministic, no network; matches the mock provider's query embeddings
+export function hashEmbedder({ dims = 256 } = {}) {
+  return {
+    model: `hash-bow-${dims}`,
+    async embed(texts) {
+      return texts.map(t => hashVector(t, dims));
+    }
+  };
+}
+
+/* ---------------- registry ---------------- */
+
+const EMBEDDERS = {
+  openai: openaiEmbedder,
+  local: localEmbedder,
+  hash: hashEmbedder
+};
+
+export function createEmbedder(name = "openai", opts = {}) {
+  const make = EMBEDDERS[name];
+  if (!make) throw new Error(`Unknown embedder "${name}" (expected one of: ${Object.keys(EMBEDDERS).join(", ")})`);
+  return make(opts);
+}
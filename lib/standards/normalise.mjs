@@ -0,0 +1,237 @@
+// lib/standards/normalise.mjs
+// Clean-up pass between the raw PDF-extracted standards JSON and the index.
+//
+// Two shapes of source exist:
+//   - line files (England): one row per PDF line, codes "<KS>-<SUBJ>-<n>". We restore line order,
+//     drop cover / header / footer noise, and merge wrapped lines back into whole items.
+//   - code files (NYS): rows keyed by real standard codes, repeated with empty or "→ NY-2.G.1" fragments.
+//     We pull the arrows out as `next` links and collapse duplicate codes.
+//
+// The extractor files some England documents under no key stage ("KS?"). Those are given the stage
+// they are written for (GUIDANCE_STAGES) and cleaned like any line file; rows from an unknown
+// "KS?" file are dropped whole.
+//
+// Every row that does not survive is reported with a reason so the output can be audited.
+
+// Bump when the rules change so the index builder reprocesses every source
+export const NORMALISER_VERSION = 3;
+
+const unfiled = (grade) => /\?/.test(String(grade || ""));
+
+// subjectKey -> the stage its "KS?" rows belong to. The index files England's primary documents
+// under KS1-2 (Years 1-6), so phonics taught in Years 1 and 2 goes there too.
+const GUIDANCE_STAGES = {
+  eng_letters_sounds: "KS1-2",          // phonics programme
+  eng_reading_framework: "KS1-2",       // DfE reading framework
+  eng_mathematics_appendix1: "KS1-2"    // formal written methods, an appendix to the primary programme
+};
+
+const MONTHS = "january|february|march|april|may|june|july|august|september|october|november|december";
+
+// Line-level noise, checked in order. Anything matched is dropped and does not break a sentence.
+const NOISE_RULES = [
+  ["page-number",       (t) => /^\d{1,4}$/.test(t)],
+  ["garbage",           (t) => !/[\p{L}\p{N}]/u.test(t)],
+  ["cover-page",        (t) => new RegExp(`^(${MONTHS})\\s+\\d{4}$`, "i").test(t)],
+  ["cover-page",        (t) => /programmes? of study:?$|^of study:|^national curriculum in england$|^statutory guidance$/i.test(t)],
+  ["footer",            (t) => /©|crown copyright|all rights reserved|^reference:\s*dfe/i.test(t)],
+  ["footer",            (t) => /^(https?:\/\/|www\.)\S+$|^\S+\.(org|gov|co)\.uk(\/\S*)?$/i.test(t)],
+  ["footer",            (t) => /^[TEF]:\s/.test(t) || /^version \d+(\.\d+)*\b/i.test(t)],
+  ["table-of-contents", (t) => /^\d+(\.\d+)*\s+\D.*\s\d{1,3}$/.test(t)]
+];
+
+const BULLET_RE = /^[\s-•■□○◦●▪\-–]*$/u;
+const ARROW_RE = /→\s*([A-Z][A-Z0-9]*-[\w.]*\w)?/g;
+
+const wordCount = (t) => t.split(/\s+/).filter(Boolean).length;
+const endsClosed = (t) => /[.!?:;)]["’”]?$/.test(t);
+const startsLower = (t) => /^[\p{Ll}]/u.test(t);
+
+const joinLines = (a, b) => (/\w-$/.test(a) && startsLower(b) ? `${a}${b}` : `${a} ${b}`);
+
+function makeReport() {
+  return { raw: 0, kept: 0, merged: 0, headings: 0, dropped: {}, items: [] };
+}
+
+function drop(report, row, reason, { list = true } = {}) {
+  report.dropped[reason] = (report.dropped[reason] || 0) + 1;
+  if (list) report.items.push({ grade: row.grade, code: row.code, reason, text: row.description });
+}
+
+/* ---------------- line files (England) ---------------- */
+
+const lineNo = (code) => parseInt(String(code).match(/(\d+)$/)?.[1] ?? "NaN", 10);
+
+function isLineFile(rows) {
+  if (!rows.length) return false;
+  const prefixes = new Set(rows.map(r => String(r.code).replace(/\d+$/, "")));
+  return prefixes.size === 1 && rows.every(r => Number.isFinite(lineNo(r.code)));
+}
+
+// Text printed sideways comes out reversed ("sretteL", "esahP"). Flag single words whose
+// reversal is a word used elsewhere in the same file.
+function rotatedDetector(rows) {
+  const vocab = new Set();
+  for (const r of rows) for (const w of String(r.description).toLowerCase().split(/[^\p{L}]+/u)) if (w.length > 1) vocab.add(w);
+  return (t) => {
+    if (!/^[^\s]+$/.test(t)) return false;
+    const w = t.toLowerCase().replace(/[^\p{L}]/gu, "");
+    const rev = [...w].reverse().join("");
+    return w.length > 2 && rev !== w && vocab.has(rev) && !vocab.has(w);
+  };
+}
+
+function normaliseLines(rows, report) {
+  const ordered = [...rows].sort((a, b) => lineNo(a.code) - lineNo(b.code));
+
+  // Short lines that recur on many pages are running headers / footers
+  const freq = new Map();
+  for (const r of ordered) {
+    const t = String(r.description).trim();
+    freq.set(t, (freq.get(t) || 0) + 1);
+  }
+  // A recurring line is a page header when it sits next to a page number or recurs on most pages;
+  // otherwise it is a real heading reused per year group ("Number – fractions")
+  const isRunningHeader = (t, nearPage) =>
+    freq.get(t) >= 3 && (nearPage || freq.get(t) >= 10) && t.length <= 120 && !startsLower(t) && !/[.!?]$/.test(t);
+  const isRotated = rotatedDetector(ordered);
+
+  const out = [];
+  const clean = (r) => String(r?.description || "").replace(/\s+/g, " ").trim();
+  const isPage = (r) => /^\d{1,4}$/.test(clean(r));
+
+  let open = null;       // item still accepting wrapped lines
+  let section = "";      // most recent heading(s)
+  let lastWasHeading = false;
+  let seenBody = false;  // cover page ends at the first real sentence
+  let afterNoise = false; // previous line was a page number / header / footer
+
+  ordered.forEach((r, i) => {
+    const t = clean(r);
+
+    if (BULLET_RE.test(t)) {
+      drop(report, r, "bullet-marker", { list: false });
+      open = null;
+      return;
+    }
+    const nearPage = afterNoise || isPage(ordered[i + 1]);
+    const noise = NOISE_RULES.find(([, test]) => test(t))?.[0]
+      || (isRotated(t) && "rotated-text")
+      || (isRunningHeader(t, nearPage) && "running-header")
+      || (!seenBody && wordCount(t) < 8 && !/[.!?]$/.test(t) && "cover-page");
+    afterNoise = Boolean(noise);
+    if (noise) {
+      drop(report, r, noise);
+      return;
+    }
+    seenBody = true;
+
+    // Wrapped continuation of the previous line
+    if (open && (!endsClosed(open.description) || startsLower(t))) {
+      open.description = joinLines(open.description, t);
+      report.merged++;
+      return;
+    }
+
+    // Short unpunctuated line starting a block: a heading, kept as context for what follows.
+    // Stacked headings ("Year 3 programme of study" / "Number – fractions") are kept together.
+    if (wordCount(t) <= 8 && !startsLower(t) && !/[.!?,;:]$/.test(t)) {
+      section = lastWasHeading && section ? `${section} › ${t}` : t;
+      lastWasHeading = true;
+      report.headings++;
+      open = null;
+      return;
+    }
+
+    lastWasHeading = false;
+    open = { ...r, description: t, ...(section ? { section } : {}) };
+    out.push(open);
+  });
+
+  // Lead-ins ("Pupils should be taught to:") and leftover scraps carry nothing to retrieve on
+  return out.filter(r => {
+    if (/:$/.test(r.description)) { drop(report, r, "lead-in"); return false; }
+    if (wordCount(r.description) < 3) { drop(report, r, "fragment"); return false; }
+    return true;
+  });
+}
+
+/* ---------------- code files (NYS) ---------------- */
+
+function normaliseCodes(rows, report, links) {
+  const byCode = new Map();
+
+  for (const r of rows) {
+    const raw = String(r.description || "");
+    const next = [...raw.matchAll(ARROW_RE)].map(m => m[1]).filter(Boolean);
+    const t = raw.replace(ARROW_RE, " ").replace(/\s+/g, " ").trim();
+
+    if (!byCode.has(r.code)) byCode.set(r.code, { row: null, next: new Set(), grade: r.grade });
+    const entry = byCode.get(r.code);
+    next.filter(c => c !== r.code).forEach(c => entry.next.add(c));
+
+    let reason = null;
+    if (!t) reason = next.length ? "progression-arrow" : "empty";
+    else if (/^[&)\]–—\-,;.:]/.test(t) || (startsLower(t) && wordCount(t) < 6)) reason = "fragment";
+    if (reason) {
+      drop(report, r, reason);
+      continue;
+    }
+
+    const cand = { ...r, description: t };
+    if (!entry.row) {
+      entry.row = cand;
+    } else {
+      // Keep the fullest wording; the rest are PDF repeats
+      const [keep, lose] = t.length > entry.row.description.length ? [cand, entry.row] : [entry.row, cand];
+      entry.row = keep;
+      drop(report, lose, "duplicate-code");
+    }
+  }
+
+  const out = [];
+  for (const [code, { row, next, grade }] of byCode) {
+    const nextArr = [...next];
+    if (nextArr.length) links.push({ code, grade, next: nextArr });
+    if (row) out.push(nextArr.length ? { ...row, next: nextArr } : row);
+  }
+  return out;
+}
+
+/* ---------------- entry point ---------------- */
+
+// rows: raw rows from rowsFromSource (one source file). Returns { rows, links, report }.
+export function normaliseRows(rows) {
+  const report = makeReport();
+  const links = [];
+  report.raw = rows.length;
+
+  const byGrade = new Map();
+  for (const raw of rows) {
+    const stage = unfiled(raw.grade) && GUIDANCE_STAGES[raw.subjectKey];
+    const r = stage ? { ...raw, grade: stage, code: String(raw.code).replace(raw.grade, stage) } : raw;
+    if (!byGrade.has(r.grade)) byGrade.set(r.grade, []);
+    byGrade.get(r.grade).push(r);
+  }
+
+  const out = [];
+  for (const [grade, list] of byGrade) {
+    if (unfiled(grade)) {
+      list.forEach(r => drop(report, r, "no-key-stage", { list: false }));
+      continue;
+    }
+    const cleaned = isLineFile(list) ? normaliseLines(list, report) : normaliseCodes(list, report, links);
+
+    // Same wording twice in one grade (repeated pages, tables) only needs one row
+    const seen = new Set();
+    for (const r of cleaned) {
+      const key = r.description.toLowerCase();
+      if (seen.has(key)) { drop(report, r, "duplicate-text"); continue; }
+      seen.add(key);
+      out.push(r);
+    }
+  }
+
+  report.kept = out.length;
+  return { rows: out, links, report };
+}
@@ -0,0 +1,353 @@
+// lib/standards/pdf-extract.mjs
+// Structure-aware extraction of standards from the source PDFs in /pdfs.
+//
+// 1. extractLines: pdf.js text items -> positioned lines (page, x, y, size, font), with page
+//    furniture (running headers, footers, page numbers, side tabs) split off.
+// 2. buildTrees: lines + a profile (lib/standards/pdf-profiles.mjs) -> one tree per subjectKey:
+//       grade -> domain -> cluster -> standard -> bullet
+//    Heading levels come from font size, and from a font change at body size. Every node keeps
+//    the page it started on so citations can point back to the PDF. A standard stays open across
+//    page breaks and margin notes until the next code, heading or outdented line.
+
+import fs from "fs";
+
+const BULLET_RE = /^[\u{f000}-\u{f8ff}•■□○◦●▪–-](\s|$)/u;
+const SUB_ITEM_RE = /^(\(?[a-h]\)|[a-h]\.|\(?[ivx]{1,4}\))\s+/;
+const MARGIN = 0.07; // top / bottom share of the page treated as header / footer
+// Fractions and formulas set in math italic come out as runs of these, or of U+FFFD
+const GLYPHS_RE = /[\s,×=+−]*[\u{1d400}-\u{1d7ff}\ufffd](?:[\s,×=+−]*[\u{1d400}-\u{1d7ff}\ufffd])*/gu;
+// ... and their numerators and denominators as lines, or runs, of bare numbers ("1 000 000" is a number)
+const STACKED_RE = /(?<=^|\s)\d{1,2}(?:\s+\d{1,2}){3,}(?=\s|$)/g;
+const numbersOnly = (t) => /^[\d\s]*$/.test(t) && !/^\s*\d{1,3}(?: \d{3})+\s*$/.test(t);
+
+/* ---------------- lines ---------------- */
+
+const fontSize = (it) => Math.round(Math.hypot(it.transform[0], it.transform[1]) * 2) / 2;
+
+function itemsToLines(items, pageNo) {
+  const rows = [];
+  for (const it of items) {
+    if (!it.str) continue;
+    const y = it.transform[5];
+    const size = fontSize(it);
+    // Tolerance scales with type size so superscripts ("1st") stay on their line
+    let row = rows.find(r => Math.abs(r.y - y) <= Math.max(2.5, 0.35 * Math.max(r.size, size)));
+    if (!row) rows.push(row = { y, size, items: [] });
+    row.size = Math.max(row.size, size);
+    row.items.push(it);
+  }
+
+  const lines = [];
+  for (const row of rows) {
+    row.items.sort((a, b) => a.transform[4] - b.transform[4]);
+    let seg = null;
+    for (const it of row.items) {
+      const x = it.transform[4];
+      const size = fontSize(it);
+      const gap = seg ? x - seg.end : 0;
+      // A wide gap on one baseline means a new column or table cell
+      if (!seg || gap > Math.max(seg.size, size) * 2.5) {
+        seg = { page: pageNo, x, y: row.y, end: x, size, parts: [], chars: {} };
+        lines.push(seg);
+      }
+      const needsSpace = seg.parts.length && gap > size * 0.15 && !/[\s-]$/.test(seg.parts.at(-1)) && !/^\s/.test(it.str);
+      seg.parts.push(needsSpace ? ` ${it.str}` : it.str);
+      seg.end = Math.max(seg.end, x + (it.width || 0));
+      seg.size = Math.max(seg.size, size);
+      const n = it.str.trim().length;
+      if (n) seg.chars[it.fontName] = (seg.chars[it.fontName] || 0) + n;
+    }
+  }
+
+  return lines
+    .map(({ parts, chars, ...l }) => ({
+      ...l,
+      text: parts.join("").replace(/\s+/g, " ").trim(),
+      font: Object.entries(chars).sort((a, b) => b[1] - a[1])[0]?.[0] || ""
+    }))
+    .filter(l => l.text)
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+}
+
+export async function extractLines(pdfPath) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc = await getDocument({ data: new Uint8Array(fs.readFileSync(pdfPath)), verbosity: 0 }).promise;
+
+  const pages = [];
+  for (let p = 1; p <= doc.numPages; p++) {
+    const page = await doc.getPage(p);
+    const { height } = page.getViewport({ scale: 1 });
+    const tc = await page.getTextContent();
+    const lines = itemsToLines(tc.items, p);
+    const header = lines.filter(l => l.y > height * (1 - MARGIN));
+    // The last line of text can dip into the footer band; it sits one line-gap under the body
+    const footer = [];
+    for (const l of lines.filter(l => l.y < height * MARGIN)) {
+      const above = lines.filter(a => a.y >= height * MARGIN && a.y <= height * (1 - MARGIN) && a.y > l.y).at(-1);
+      if (!above || above.y - l.y > Math.max(above.size, l.size) * 1.6) footer.push(l);
+    }
+    const body = lines.filter(l => !header.includes(l) && !footer.includes(l));
+    pages.push({ page: p, header: header.map(l => l.text).join(" "), body });
+    page.cleanup();
+  }
+  await doc.destroy();
+
+  // Short strings that recur on many pages are tabs and running titles, not content
+  const seen = new Map();
+  for (const pg of pages) for (const t of new Set(pg.body.map(l => l.text))) seen.set(t, (seen.get(t) || 0) + 1);
+  const minRepeats = Math.max(4, Math.ceil(pages.length * 0.3));
+  for (const pg of pages) {
+    pg.body = pg.body.filter(l =>
+      !/^\d{1,4}$/.test(l.text) &&
+      !(seen.get(l.text) >= minRepeats && l.text.length <= 80) &&
+      !(l.text.length <= 3 && seen.get(l.text) >= 4 && !/^\d/.test(l.text)));
+  }
+  return pages;
+}
+
+/* ---------------- styles ---------------- */
+
+// Body style is whatever carries the most characters; anything bigger, or set in another font
+// at body size, is a heading. Larger sizes rank as higher levels.
+function styleModel(pages) {
+  const weight = new Map();
+  for (const pg of pages) for (const l of pg.body) {
+    const k = `${l.size}|${l.font}`;
+    weight.set(k, (weight.get(k) || 0) + l.text.length);
+  }
+  const [bodyKey] = [...weight.entries()].sort((a, b) => b[1] - a[1])[0] || ["0|"];
+  const [bodySizeStr, bodyFont] = bodyKey.split("|");
+  const bodySize = Number(bodySizeStr);
+  const bigger = [...new Set(pages.flatMap(pg => pg.body.map(l => l.size)))]
+    .filter(s => s > bodySize + 0.5)
+    .sort((a, b) => b - a);
+
+  return {
+    bodySize,
+    headingLevel(l) {
+      if (l.size > bodySize + 0.5) return bigger.indexOf(l.size);
+      if (l.size >= bodySize - 0.5 && l.font !== bodyFont) return bigger.length;
+      return -1;
+    }
+  };
+}
+
+/* ---------------- trees ---------------- */
+
+const wordCount = (t) => t.split(/\s+/).filter(Boolean).length;
+
+const cleanText = (t) => (numbersOnly(t) ? "" : t).replace(GLYPHS_RE, " ").replace(STACKED_RE, " ").replace(/\s+([,;:)]|\.(?!\.))/g, "$1").replace(/\s+/g, " ").trim();
+const joinText = (a, b) => `${a} ${b}`.replace(/(\w)- (\p{Ll})/gu, "$1$2");
+
+function looksLikeHeading(l, level) {
+  if (level < 0) return false;
+  if (BULLET_RE.test(l.text) || SUB_ITEM_RE.test(l.text)) return false;
+  if (/[:;,]$/.test(l.text) || wordCount(l.text) > 14) return false;
+  // Emphasis inside a sentence (England KS4 maths marks higher-tier content in bold braces)
+  if (/^[\p{Ll}{]|[{}]/u.test(l.text)) return false;
+  return /\p{L}/u.test(l.text);
+}
+
+// profile: see pdf-profiles.mjs. Returns { [subjectKey]: { curriculum, subjectKey, pdf, grades: [...] } }.
+// Margin notes a profile files on a standard (standard.notes) follow its own text.
+export function buildTrees(pages, profile) {
+  const style = styleModel(pages.filter(pg => !profile.skipPages?.includes(pg.page)));
+  const trees = {};
+  const codeCounters = new Map();
+
+  let tree = null;   // current output tree
+  let grade = null;  // current grade node
+  let stack = [];    // open headings: [{ level, node }]
+  let current = null; // standard or bullet still taking continuation lines
+  let lastHeading = null;
+  let skipping = null; // { level, x } of an open profile.skipSections heading
+  let ctx = {};      // scratch space for profile hooks
+
+  const treeFor = (subjectKey) => {
+    if (!trees[subjectKey]) {
+      trees[subjectKey] = { curriculum: profile.curriculum, subjectKey, pdf: profile.pdf, grades: [] };
+    }
+    return trees[subjectKey];
+  };
+
+  const findOrAdd = (list, node) => {
+    const hit = list.find(n => n.type === node.type && n.title === node.title);
+    if (hit) return hit;
+    list.push(node);
+    return node;
+  };
+
+  const openGrade = (label, page) => {
+    if (!tree) return;
+    grade = findOrAdd(tree.grades, { type: "grade", title: label, page, children: [] });
+    stack = [];
+    current = null;
+    skipping = null;
+  };
+
+  const useTree = (subjectKey) => {
+    if (tree?.subjectKey === subjectKey) return;
+    tree = treeFor(subjectKey);
+    grade = tree.grades.at(-1) || null;
+    stack = [];
+    current = null;
+    skipping = null;
+  };
+
+  const parentList = () => (stack.length ? stack.at(-1).node.children : grade?.children);
+
+  const nextCode = (prefix) => {
+    const n = (codeCounters.get(prefix) || 0) + 1;
+    codeCounters.set(prefix, n);
+    return `${prefix}-${String(n).padStart(3, "0")}`;
+  };
+
+  for (const pg of pages) {
+    if (profile.skipPages?.includes(pg.page)) continue;
+
+    // Which subject / grade this page belongs to
+    const routed = profile.route ? profile.route({ header: pg.header, lines: pg.body, page: pg.page, ctx }) : profile.subjectKey;
+    const subjectKey = typeof routed === "string" ? routed : routed?.subjectKey;
+    if (!subjectKey) { current = null; continue; }
+    useTree(subjectKey);
+    if (routed?.grade && grade?.title !== routed.grade) openGrade(routed.grade, pg.page);
+    let pageTop = true; // only running headings seen so far on this page
+
+    for (let l of pg.body) {
+      const clean = cleanText(l.text);
+      if (!clean) continue;
+      l = { ...l, text: clean };
+      // Margin notes (e.g. coherence links) are handed to the profile; whatever is left is body text
+      if (profile.sideLine) {
+        const rest = profile.sideLine(l, current?.type === "standard" ? current : current?.parent, pg);
+        if (!rest) continue;
+        l = { ...l, text: rest };
+      }
+      const level = style.headingLevel(l);
+      const heading = looksLikeHeading(l, level);
+      if (heading) profile.onHeading?.(l.text, ctx);
+
+      // Grade / key stage headings re-root the tree
+      let gradeLabel = heading ? profile.gradeOf?.(l.text, ctx) : null;
+      if (gradeLabel?.subjectKey) {
+        useTree(gradeLabel.subjectKey);
+        gradeLabel = gradeLabel.grade;
+      }
+      if (gradeLabel && grade?.title !== gradeLabel) openGrade(gradeLabel, pg.page);
+      if (heading && profile.gradeOnly?.test(l.text)) continue;
+      if (!heading) pageTop = false;
+      if (!grade && profile.defaultGrade) openGrade(profile.defaultGrade, pg.page);
+
+      // Standards with a printed code
+      const std = profile.standardLine?.(l.text, ctx);
+      if (std) {
+        if (std.grade && grade?.title !== std.grade) openGrade(std.grade, pg.page);
+        if (!grade) continue;
+        current = { type: "standard", code: std.code, text: std.text, page: pg.page, x: l.x, children: [] };
+        (parentList() || grade.children).push(current);
+        lastHeading = null;
+        continue;
+      }
+      if (!grade) continue;
+
+      if (heading) {
+        const titleOf = (raw) => (profile.headingText ? profile.headingText(raw) : raw).trim();
+        // A heading wrapped over two lines arrives as two consecutive heading lines
+        if (lastHeading && lastHeading.level === level && lastHeading.page === pg.page && lastHeading.y - l.y < l.size * 1.6) {
+          lastHeading.raw = `${lastHeading.raw} ${l.text}`;
+          lastHeading.node.title = titleOf(lastHeading.raw);
+          lastHeading.y = l.y;
+          continue;
+        }
+        if (!titleOf(l.text)) continue;
+        // Sections such as "Aims" or a glossary hold bullets that are not standards; their sub-headings too
+        if (skipping && level < skipping.level) continue;
+        skipping = profile.skipSections?.test(titleOf(l.text)) ? { level, x: l.x } : null;
+        if (skipping) { current = null; lastHeading = null; continue; }
+        while (stack.length && stack.at(-1).level >= level) stack.pop();
+        const list = parentList() || grade.children;
+        const before = list.length;
+        const node = findOrAdd(list, {
+          type: stack.length ? "cluster" : "domain", title: titleOf(l.text), page: pg.page, children: []
+        });
+        stack.push({ level, node });
+        lastHeading = { level, node, raw: l.text, page: pg.page, y: l.y };
+        // A running heading repeated at the top of a page does not end the standard it interrupts
+        if (!(pageTop && list.length === before)) current = null;
+        continue;
+      }
+      lastHeading = null;
+      // Outdented text ends a skipped block that sits inside a list ("Examples (non-statutory)")
+      if (skipping && l.x < skipping.x - 4) skipping = null;
+      if (skipping) continue;
+
+      const isBullet = BULLET_RE.test(l.text) || SUB_ITEM_RE.test(l.text);
+      const text = l.text.replace(BULLET_RE, "").trim();
+
+      if (isBullet) {
+        const owner = current?.type === "bullet" ? current.parent : current;
+        const nested = owner && (l.x > owner.x + 4 || SUB_ITEM_RE.test(l.text));
+        if (nested) {
+          current = { type: "bullet", text, page: pg.page, x: l.x, parent: owner };
+          owner.children.push(current);
+        } else if (profile.bulletsAreStandards) {
+          // No printed codes (England): synthesize one that is stable for a given PDF
+          const code = nextCode(profile.codePrefix({ grade: grade.title, subjectKey, page: pg.page }));
+          current = { type: "standard", code, text, page: pg.page, x: l.x, children: [] };
+          (parentList() || grade.children).push(current);
+        } else {
+          current = null;
+        }
+        continue;
+      }
+
+      // Wrapped text continues the open standard or bullet (a large label like "9-10" does not); loose
+      // prose is guidance and is skipped
+      if (current && l.x >= current.x - 2 && (l.size <= style.bodySize + 0.5 || /\p{L}/u.test(l.text))) {
+        current.text = joinText(current.text, l.text);
+        continue;
+      }
+      current = null;
+    }
+  }
+
+  // Drop helper fields and empty branches
+  const tidy = (nodes) => nodes
+    .map(({ x, parent, notes, ...n }) => ({
+      ...n, ...(notes?.length ? { text: cleanText(joinText(n.text, notes.join(" "))) } : {}), children: tidy(n.children || [])
+    }))
+    .filter(n => n.type === "standard" || n.type === "bullet" || n.children.length);
+  for (const t of Object.values(trees)) t.grades = tidy(t.grades);
+  return trees;
+}
+
+/* ---------------- flattening (used by the index builder) ---------------- */
+
+// Tree -> index rows. `strand` is the domain, `cluster` the innermost heading above the standard,
+// `next` the progression links (NYS math).
+export function rowsFromTree(tree) {
+  const rows = [];
+  const walk = (nodes, gradeTitle, path) => {
+    for (const n of nodes) {
+      if (n.type === "grade") walk(n.children, n.title, []);
+      else if (n.type === "domain" || n.type === "cluster") walk(n.children, gradeTitle, [...path, n.title]);
+      else if (n.type === "standard") {
+        const bullets = (n.children || []).map(b => b.text).filter(Boolean);
+        rows.push({
+          curriculum: tree.curriculum,
+          subjectKey: tree.subjectKey,
+          grade: gradeTitle,
+          code: n.code,
+          description: bullets.length ? `${n.text} ${bullets.join("; ")}`.trim() : n.text,
+          strand: path[0] || "",
+          cluster: path.length > 1 ? path.at(-1) : "",
+          pdf: tree.pdf,
+          page: n.page,
+          ...(n.next?.length ? { next: n.next } : {})
+        });
+      }
+    }
+  };
+  walk(tree.grades, "", []);
+  return rows;
+}
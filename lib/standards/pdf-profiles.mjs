@@ -0,0 +1,185 @@
+// lib/standards/pdf-profiles.mjs
+// Per-PDF settings for lib/standards/pdf-extract.mjs. Paths are relative to /pdfs.
+//
+// Profile fields (all optional except pdf + curriculum):
+//   subjectKey | route({ header, lines, page, ctx })  which tree a page belongs to;
+//                            route may return { subjectKey, grade } to set the grade too
+//   gradeOf(text, ctx)       grade label for a heading, or null; may return { subjectKey, grade } like route
+//   gradeOnly                headings matching this only set the grade, they are not domains
+//   headingText(text)        tidy a heading before it becomes a domain / cluster title ("" skips it)
+//   defaultGrade             grade used until a grade heading is seen
+//   standardLine(text, ctx)  { code, text, grade? } for lines that start a coded standard
+//   bulletsAreStandards      bullets start standards (no printed codes); needs codePrefix()
+//   onHeading(text, ctx)     side effects for profile state (e.g. remember a domain code)
+//   sideLine(line, standard, page)  margin column handling; returns the text left for the body ("" drops
+//                            the line). Notes pushed onto standard.notes follow the standard's text
+//   skipSections             headings whose content is not standards (aims, guidance)
+//   skipPages                page numbers to ignore (covers, contents, admin)
+
+const range = (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i);
+
+/* ---------------- NYS ---------------- */
+
+const nysGrade = (g) => {
+  const up = String(g).toUpperCase();
+  if (up === "PK" || /^PRE-?K/.test(up)) return "Grade PK";
+  if (up === "K" || up === "KINDERGARTEN") return "Grade K";
+  return `Grade ${g}`;
+};
+// High school standards are grouped by course; they are filed under the grade the course is usually taken in
+const NYS_COURSE_GRADE = { AI: "9", GEO: "10", AII: "11" };
+const gradeRank = (g) => (g === "PK" ? -1 : g === "K" ? 0 : parseInt(NYS_COURSE_GRADE[g] || g, 10));
+
+const NYS_ELA_CODE = /^((PK|K|\d{1,2}(?:-\d{1,2})?)(?:RF|SL|R|W|L)\d+[a-z]?):\s*(.*)$/;
+// "NY-4.NF" for grades, "AI-N.RN" (course-category.domain) for high school
+const NYS_MATH_DOMAIN = /^(?:NY-(PK|K|\d{1,2})|(AI|GEO|AII)-[A-Z]{1,2})\.([A-Z]+)\b/;
+const NYS_MATH_CODE = /(?:NY-(PK|K|\d{1,2})|(AI|GEO|AII)-[A-Z]{1,2})\.[A-Z]+\.\d+[a-z]?/g;
+const mathLevel = (m) => m[1] || m[2];
+
+// The margin column ("Coherence:", "Note:", "e.g.," and their bullets) starts at a different x on
+// each page: where the first of those labels sits, else 460
+const MARGIN_LABEL = /^(Coherence|Notes?|e\.g\.)[:,]?(\s|$)/;
+const marginX = new WeakMap();
+const marginOf = (page) => {
+  if (!marginX.has(page)) {
+    const labels = (page?.body || []).filter(l => l.x > 300 && MARGIN_LABEL.test(l.text)).map(l => l.x);
+    marginX.set(page, Math.min(460, ...labels) - 2);
+  }
+  return marginX.get(page);
+};
+const ONLY_CODES = new RegExp(`^(?:\\s|→|,|${NYS_MATH_CODE.source})*$`);
+
+const nysEla = {
+  pdf: "ela_standards.pdf",
+  curriculum: "nys",
+  subjectKey: "ela",
+  skipPages: range(1, 9),
+  // "Kindergarten Reading Standards", "1st Grade Writing Standards", "Grades 9-10 ..."
+  gradeOf: (t) => {
+    const m = t.match(/^(Prekindergarten|Kindergarten|Grades? (\d{1,2}(?:-\d{1,2})?)|(\d{1,2}(?:-\d{1,2})?)(?:st|nd|rd|th)? Grades?)\b/i);
+    if (!m) return null;
+    const g = m[2] || m[3];
+    return g ? nysGrade(g) : nysGrade(/^pre/i.test(m[1]) ? "PK" : "K");
+  },
+  // "1 st Grade Reading Standards (Literary and Informational Text) | 1R" -> "Reading Standards (Literary and Informational Text)";
+  // the per-grade title pages ("1st Grade English Language Arts Learning Standards") only set the grade
+  headingText: (t) => {
+    const title = t
+      .replace(/^(Prekindergarten|Kindergarten|Grades? \d{1,2}(-\d{1,2})?|\d{1,2}(-\d{1,2})?\s?(st|nd|rd|th)? Grades?)\s+/i, "")
+      .replace(/\s*\|\s*[\w-]*$/, "");
+    return /^(English Language Arts|Learning Standards|English Language Arts Learning Standards)$/i.test(title) ? "" : title;
+  },
+  standardLine: (t) => {
+    const m = t.match(NYS_ELA_CODE);
+    return m ? { code: m[1], text: m[3], grade: nysGrade(m[2]) } : null;
+  }
+};
+
+const nysMath = {
+  pdf: "mathematics_standards.pdf",
+  curriculum: "nys",
+  subjectKey: "mathematics",
+  gradeOf: (t) => {
+    const m = t.match(NYS_MATH_DOMAIN);
+    return m ? nysGrade(NYS_COURSE_GRADE[mathLevel(m)] || mathLevel(m)) : null;
+  },
+  gradeOnly: /^(NY|AI|GEO|AII)-[\w.]+$/,
+  onHeading: (t, ctx) => {
+    const m = t.match(NYS_MATH_DOMAIN);
+    if (m) ctx.domainCode = m[0];
+    // Grade overviews number their paragraphs like standards; nothing is coded until the next domain
+    else if (/\boverview$/i.test(t)) ctx.domainCode = null;
+  },
+  standardLine: (t, ctx) => {
+    const m = ctx.domainCode && t.match(/^(\d{1,2}[a-z]?)\.\s+(.*)$/); // "2a." is NY-K.OA.2a
+    return m ? { code: `${ctx.domainCode}.${m[1]}`, text: m[2] } : null;
+  },
+  // The margin column lists where a standard comes from and leads to ("Coherence:"); codes in a
+  // later grade than the standard become its `next` links. Its examples and notes are kept as notes.
+  sideLine: (l, std, page) => {
+    const margin = marginOf(page);
+    // A body line that runs into the margin has the margin's first words on the end
+    const merged = l.end > margin && l.text.match(/\s(?=(?:Coherence:|Notes?:|e\.g\.,)(?:\s|$))/);
+    const at = l.text.indexOf("Coherence:");
+    const side = l.x >= margin ? l.text : merged ? l.text.slice(merged.index + 1) : at >= 0 ? l.text.slice(at) : "";
+    if (side && std?.code) {
+      if (side.startsWith("Coherence:") || ONLY_CODES.test(side)) {
+        const own = gradeRank(mathLevel(std.code.match(NYS_MATH_DOMAIN) || []));
+        for (const m of side.matchAll(NYS_MATH_CODE)) {
+          if (gradeRank(mathLevel(m)) > own && !(std.next ||= []).includes(m[0])) std.next.push(m[0]);
+        }
+      } else if (/[\p{L}\p{N}]/u.test(side)) {
+        (std.notes ||= []).push(side.replace(/^[•▪–-]\s+/u, ""));
+      }
+    }
+    return side ? l.text.slice(0, l.text.length - side.length).trim() : l.text;
+  }
+};
+
+/* ---------------- England ---------------- */
+
+// Key stages as labelled in public/standards/england
+const englandStage = (t) => {
+  if (/\bkey stage 4\b|\byears? 1[01]\b/i.test(t)) return "KS4";
+  if (/\bkey stage 3\b|\byears? [789]\b/i.test(t)) return "KS3";
+  if (/\bkey stages? [12]\b|\byears? [1-6]\b|\byears [1-6] and [1-6]\b/i.test(t)) return "KS1-2";
+  return null;
+};
+
+const ENGLAND_SUBJECTS = {
+  "English":               { "KS1-2": "eng_english_primary",     KS3: "eng_english_secondary",     KS4: "eng_english_ks4" },
+  "Mathematics":           { "KS1-2": "eng_mathematics_primary", KS3: "eng_mathematics_secondary", KS4: "eng_mathematics_ks4" },
+  "Science":               { "KS1-2": "eng_science_primary",     KS3: "eng_science_secondary",     KS4: "eng_science_ks4" },
+  "Art and design":        { "KS1-2": "eng_art_design_primary",  KS3: "eng_art_design_secondary" },
+  "Citizenship":           { KS3: "eng_citizenship",              KS4: "eng_citizenship" },
+  "Computing":             { "KS1-2": "eng_computing_primary",   KS3: "eng_computing_secondary",   KS4: "eng_computing_secondary" },
+  "Design and technology": { "KS1-2": "eng_design_technology_primary", KS3: "eng_design_technology_secondary" },
+  "Geography":             { "KS1-2": "eng_geography_primary",   KS3: "eng_geography_secondary" },
+  "History":               { "KS1-2": "eng_history_primary",     KS3: "eng_history_secondary" },
+  "Languages":             { "KS1-2": "eng_mfl_primary",         KS3: "eng_mfl_secondary" },
+  "Music":                 { "KS1-2": "eng_music_primary",       KS3: "eng_music_secondary" },
+  "Physical education":    { "KS1-2": "eng_pe_primary",          KS3: "eng_pe_secondary",          KS4: "eng_pe_secondary" }
+};
+
+// "KS3" + eng_science_secondary -> "KS3-SC-P212", matching the prefixes of the line-based files
+const englandCodePrefix = ({ grade, subjectKey, page }) =>
+  `${grade}-${subjectKey.replace(/^eng_/, "").slice(0, 2).toUpperCase()}-P${page}`;
+
+const englandMaster = {
+  pdf: "england/master_curriculum.pdf",
+  curriculum: "england",
+  skipPages: range(1, 13),
+  // The running header names the subject; key stage headings (gradeOf) move on the stage
+  route: ({ header, ctx }) => {
+    const subject = ENGLAND_SUBJECTS[header.trim()];
+    if (!subject) return null;
+    if (ctx.subject !== header.trim()) {
+      ctx.subject = header.trim();
+      ctx.stage = Object.keys(subject)[0];
+    }
+    return subject[ctx.stage] ? { subjectKey: subject[ctx.stage], grade: ctx.stage } : null;
+  },
+  // A key stage heading part-way down a page moves the rest of the page to that stage's subject
+  gradeOf: (t, ctx) => {
+    const stage = /^key stages? \d/i.test(t) && englandStage(t);
+    const subjectKey = stage && ENGLAND_SUBJECTS[ctx.subject]?.[stage];
+    if (!subjectKey) return null;
+    ctx.stage = stage;
+    return { subjectKey, grade: stage };
+  },
+  skipSections: /^(aims|purpose of study|attainment targets)$|^glossary|^appendix|^terms in definitions$|\(non-statutory\)$/i,
+  bulletsAreStandards: true,
+  codePrefix: englandCodePrefix
+};
+
+const aqaEnglishLanguage = {
+  pdf: "aqa_gcse_eng_lang_spec.pdf",
+  curriculum: "england",
+  subjectKey: "eng_gcse_english_aqa",
+  skipPages: [...range(1, 10), ...range(19, 26)], // cover, contents, introduction; NEA and general admin
+  defaultGrade: "KS4",
+  bulletsAreStandards: true,
+  codePrefix: englandCodePrefix
+};
+
+export const PDF_PROFILES = [nysEla, nysMath, englandMaster, aqaEnglishLanguage];
@@ -0,0 +1,176 @@
+// lib/standards/sequence.mjs
+// Scope and sequence: every standard of a subject and grade spread across units and the weeks of a
+// school year (/api/sequence, pages/sequence.js).
+//
+//   buildSequence(rows, { weeks, lessonsPerWeek, anchors, related })
+//     -> { weeks, lessonsPerWeek, totalLessons, units, lessons, unmatchedAnchors, moved }
+//
+// Units: each topic anchor, in the order given, takes the standards that match it (every word, as
+// in the standards browser); the rest are grouped by strand, or by cluster when the year has one
+// strand, in file order. Progression arrows (`next`, NYS mathematics) are respected: a standard
+// that leads to one in an earlier unit moves into that unit, ahead of it. Lessons go to units in
+// proportion to their standards, at least one each, and a unit's lessons are shared out between
+// its standards in order.
+//
+// Each unit is split into blocks the planner can generate in one go: up to MAX_LESSONS lessons and
+// MAX_STANDARDS standards, the limits /api/generate takes.
+
+import { textSearch } from "./catalogue.mjs";
+
+export const MAX_LESSONS = 5;
+export const MAX_STANDARDS = 3;
+
+export const SEQUENCE_LIMITS = { weeks: [1, 52], lessonsPerWeek: [1, 10] };
+
+const keyOf = (r) => `${r.subjectKey}:${r.code}`;
+// Arrows name codes in the row's own standards file
+const nextKeys = (r) => (r.next || []).map(c => `${r.subjectKey}:${c}`);
+
+// Standards of each unit in order, with any standard that leads to one in an earlier unit moved
+// ahead of it there. Moves only go to earlier units, so this settles.
+function respectArrows(units) {
+  const moved = [];
+  for (let changed = true; changed;) {
+    changed = false;
+    const unitOf = new Map();
+    units.forEach((u, i) => u.rows.forEach(r => unitOf.set(keyOf(r), i)));
+    for (const [i, u] of units.entries()) {
+      for (const r of [...u.rows]) {
+        const targets = nextKeys(r).filter(k => unitOf.has(k) && unitOf.get(k) < i);
+        if (!targets.length) continue;
+        const to = Math.min(...targets.map(k => unitOf.get(k)));
+        u.rows = u.rows.filter(x => x !== r);
+        const at = units[to].rows.findIndex(x => targets.includes(keyOf(x)));
+        units[to].rows.splice(at < 0 ? 0 : at, 0, r);
+        moved.push({ code: r.code, from: u.title, to: units[to].title });
+        changed = true;
+        break;
+      }
+      if (changed) break;
+    }
+  }
+  // Within a unit, a standard comes before the ones it leads to, otherwise file order stays
+  for (const u of units) {
+    const here = new Set(u.rows.map(keyOf));
+    const waiting = new Map(u.rows.map(r => [keyOf(r), 0])); // arrows still to be placed, per standard
+    u.rows.forEach(r => nextKeys(r).filter(k => here.has(k)).forEach(k => waiting.set(k, waiting.get(k) + 1)));
+    const order = [];
+    const placed = new Set();
+    while (order.length < u.rows.length) {
+      const r = u.rows.find(r => !placed.has(r) && !waiting.get(keyOf(r))) || u.rows.find(r => !placed.has(r));
+      placed.add(r);
+      order.push(r);
+      nextKeys(r).filter(k => here.has(k)).forEach(k => waiting.set(k, waiting.get(k) - 1));
+    }
+    u.rows = order;
+  }
+  return moved;
+}
+
+// n lessons shared between units in proportion to size, at least one each (largest remainder)
+function shareLessons(sizes, n) {
+  const total = sizes.reduce((a, b) => a + b, 0);
+  const spare = n - sizes.length;
+  const exact = sizes.map(s => (spare * s) / total);
+  const out = exact.map(x => 1 + Math.floor(x));
+  const left = n - out.reduce((a, b) => a + b, 0);
+  exact.map((x, i) => [x - Math.floor(x), i]).sort((a, b) => b[0] - a[0]).slice(0, left).forEach(([, i]) => out[i]++);
+  return out;
+}
+
+// A unit's standards over its lessons, in order: [[codes of lesson 1], ...]
+function lessonCodes(codes, lessons) {
+  return Array.from({ length: lessons }, (_, l) => {
+    if (lessons >= codes.length) return [codes[Math.floor((l * codes.length) / lessons)]];
+    return codes.slice(Math.floor((l * codes.length) / lessons), Math.floor(((l + 1) * codes.length) / lessons));
+  });
+}
+
+// Consecutive lessons (global numbers) grouped into planner runs
+function blocksOf(lessonNos, perLesson) {
+  const blocks = [];
+  let cur = null;
+  lessonNos.forEach((n, i) => {
+    const codes = perLesson[i];
+    // A lesson with more standards than one plan can cite becomes several one-lesson blocks
+    if (codes.length > MAX_STANDARDS) {
+      cur = null;
+      for (let k = 0; k < codes.length; k += MAX_STANDARDS) {
+        blocks.push({ from: n, to: n, codes: codes.slice(k, k + MAX_STANDARDS) });
+      }
+      return;
+    }
+    const union = cur ? [...new Set([...cur.codes, ...codes])] : codes;
+    if (cur && cur.to - cur.from + 1 < MAX_LESSONS && union.length <= MAX_STANDARDS) {
+      cur.to = n;
+      cur.codes = union;
+    } else {
+      cur = { from: n, to: n, codes: [...codes] };
+      blocks.push(cur);
+    }
+  });
+  return blocks;
+}
+
+// rows: the standards of the year in file order; related: the subject's rows from other grades,
+// whose arrows into this year become each unit's buildsOn. Throws when the calendar is too short.
+export function buildSequence(rows, { weeks, lessonsPerWeek, anchors = [], related = [] }) {
+  const totalLessons = weeks * lessonsPerWeek;
+
+  const byKey = new Map(rows.map(r => [keyOf(r), r]));
+  const left = new Set(byKey.keys());
+  const units = [];
+  const unmatchedAnchors = [];
+  for (const anchor of anchors) {
+    const hits = textSearch(rows.filter(r => left.has(keyOf(r))), anchor);
+    if (!hits.length) { unmatchedAnchors.push(anchor); continue; }
+    const picked = new Set(hits.map(keyOf));
+    picked.forEach(k => left.delete(k));
+    units.push({ title: anchor, anchor: true, rows: rows.filter(r => picked.has(keyOf(r))) });
+  }
+  // A year whose standards share one strand (England's key stage programmes) is split by cluster
+  const rest = rows.filter(r => left.has(keyOf(r)));
+  const oneStrand = new Set(rest.map(r => r.strand || "")).size < 2;
+  const byTopic = new Map();
+  for (const r of rest) {
+    const title = (oneStrand ? r.cluster || r.strand : r.strand || r.cluster) || "General";
+    (byTopic.get(title) || byTopic.set(title, []).get(title)).push(r);
+  }
+  byTopic.forEach((list, title) => units.push({ title, anchor: false, rows: list }));
+
+  const moved = respectArrows(units);
+  const kept = units.filter(u => u.rows.length);
+  if (totalLessons < kept.length) {
+    throw new Error(`This year has ${kept.length} units; the calendar needs at least ${kept.length} lessons.`);
+  }
+
+  const buildsOn = new Map(); // standard key -> codes from other grades that lead to it
+  for (const r of related) {
+    for (const k of nextKeys(r)) (buildsOn.get(k) || buildsOn.set(k, new Set()).get(k)).add(r.code);
+  }
+
+  const shares = shareLessons(kept.map(u => u.rows.length), totalLessons);
+  const lessons = [];
+  const out = kept.map((u, i) => {
+    const first = lessons.length + 1;
+    const perLesson = lessonCodes(u.rows.map(r => r.code), shares[i]);
+    perLesson.forEach(codes => {
+      const g = lessons.length;
+      lessons.push({ n: g + 1, week: Math.floor(g / lessonsPerWeek) + 1, day: (g % lessonsPerWeek) + 1, unit: i + 1, codes });
+    });
+    const nos = perLesson.map((_, k) => first + k);
+    return {
+      n: i + 1,
+      title: u.title,
+      anchor: u.anchor,
+      lessons: shares[i],
+      startWeek: lessons[first - 1].week,
+      endWeek: lessons[lessons.length - 1].week,
+      standards: u.rows,
+      buildsOn: [...new Set(u.rows.flatMap(r => [...(buildsOn.get(keyOf(r)) || [])]))],
+      blocks: blocksOf(nos, perLesson)
+    };
+  });
+
+  return { weeks, lessonsPerWeek, totalLessons, units: out, lessons, unmatchedAnchors, moved };
+}
@@ -0,0 +1,61 @@
+// lib/standards/sources.mjs
+// Reads the per-subject standards files under public/standards/<curriculum>/:
+//   <subjectKey>_standards.json  { "<grade>": [{ code, description }, ...] } (PDF line dumps)
+//   <subjectKey>_tree.json       hierarchical tree from scripts/extract-pdfs.mjs; replaces the
+//                                _standards.json of the same subject when present. The
+//                                common_core trees (CCSS Math, CCSS ELA/Literacy, NGSS) are
+//                                kept by hand in the same shape, with no pdf / page
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { rowsFromTree } from "./pdf-extract.mjs";
+
+export const STANDARDS_DIR = path.join(process.cwd(), "public", "standards");
+
+export const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+const SOURCE_RE = /_(standards|tree)\.json$/;
+
+// "england/eng_science_secondary_standards.json" -> { curriculum: "england", subjectKey: "eng_science_secondary", tree: false }
+export function describeSource(rel) {
+  const [curriculum, file] = rel.split("/");
+  return { curriculum, subjectKey: file.replace(SOURCE_RE, ""), tree: file.endsWith("_tree.json") };
+}
+
+// Relative paths ("nys/mathematics_standards.json"), sorted for stable output.
+// A subject with a _tree.json is read from the tree only.
+export function listSourceFiles(root = STANDARDS_DIR) {
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .flatMap(d => {
+      const files = fs.readdirSync(path.join(root, d.name)).filter(f => SOURCE_RE.test(f));
+      const trees = new Set(files.filter(f => f.endsWith("_tree.json")).map(f => f.replace(SOURCE_RE, "")));
+      return files
+        .filter(f => f.endsWith("_tree.json") || !trees.has(f.replace(SOURCE_RE, "")))
+        .map(f => `${d.name}/${f}`);
+    })
+    .sort();
+}
+
+// Raw rows, in file order and unfiltered; see normalise.mjs for the clean-up.
+// Tree rows are already structured and carry strand / cluster / pdf / page.
+export function rowsFromSource(rel, json) {
+  const { curriculum, subjectKey, tree } = describeSource(rel);
+  if (tree) return rowsFromTree({ ...json, curriculum, subjectKey }).map(r => ({ ...r, source: rel }));
+  const rows = [];
+  for (const [grade, list] of Object.entries(json || {})) {
+    if (!Array.isArray(list)) continue;
+    for (const r of list) {
+      const code = String(r?.code || "").trim();
+      if (!code) continue;
+      rows.push({ curriculum, subjectKey, grade, code, description: String(r?.description || ""), source: rel });
+    }
+  }
+  return rows;
+}
+
+// Mirrors the query string built in retrieveCandidates so both sides embed the same shape
+export const embedText = (r) =>
+  `[${r.curriculum}][${r.subjectKey}][${r.grade}] ${r.code}: ${r.description}`;
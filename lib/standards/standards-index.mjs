@@ -0,0 +1,110 @@
+// lib/standards/standards-index.mjs
+// The standards index: every standard with its curriculum, subject, grade, code, description and
+// embedding. Built by scripts/build-index.mjs (`npm run build:index`) into
+// public/standards_index.v1.json, with a manifest naming the embedding model beside it, and loaded
+// lazily here (works local + Vercel).
+
+import fs from "fs";
+import path from "path";
+
+let STD_INDEX = null;
+
+export async function loadStandardsIndex(req) {
+  if (STD_INDEX && Array.isArray(STD_INDEX) && STD_INDEX.length) return STD_INDEX;
+
+  // Try filesystem first (local dev)
+  try {
+    const idxPath = path.join(process.cwd(), "public", "standards_index.v1.json");
+    if (fs.existsSync(idxPath)) {
+      STD_INDEX = JSON.parse(fs.readFileSync(idxPath, "utf8"));
+      console.log("[standards] index loaded from FS:", STD_INDEX.length);
+      return STD_INDEX;
+    }
+  } catch (_) {
+    // ignore and try HTTP
+  }
+
+  // Serverless: fetch via HTTP. Prefer an explicit base URL if set.
+  const base =
+    process.env.NEXT_PUBLIC_BASE_URL ||
+    process.env.NEXTAUTH_URL ||
+    (req?.headers?.host ? `https://${req.headers.host}` : "");
+  const url = base ? `${base.replace(/\/$/, "")}/standards_index.v1.json` : "";
+
+  if (!url) {
+    console.warn("[standards] cannot resolve index URL");
+    STD_INDEX = [];
+    return STD_INDEX;
+  }
+
+  try {
+    const r = await fetch(url, { cache: "no-store" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    STD_INDEX = await r.json();
+    console.log("[standards] index loaded via HTTP:", STD_INDEX.length, url);
+  } catch (e) {
+    console.warn("[standards] failed to fetch index:", url, e?.message);
+    STD_INDEX = [];
+  }
+  return STD_INDEX;
+}
+
+let MANIFEST; // undefined until read; null when there is none
+
+// { embedding: { model, dims }, builtAt, sources, ... } from the last index build, or null
+export async function loadIndexManifest(req) {
+  if (MANIFEST !== undefined) return MANIFEST;
+  const name = "standards_index.v1.manifest.json";
+  try {
+    const file = path.join(process.cwd(), "public", name);
+    if (fs.existsSync(file)) return (MANIFEST = JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (_) {
+    // ignore and try HTTP
+  }
+  const base = process.env.NEXT_PUBLIC_BASE_URL || process.env.NEXTAUTH_URL ||
+    (req?.headers?.host ? `https://${req.headers.host}` : "");
+  try {
+    const r = base ? await fetch(`${base.replace(/\/$/, "")}/${name}`, { cache: "no-store" }) : null;
+    MANIFEST = r?.ok ? await r.json() : null;
+  } catch (e) {
+    console.warn("[standards] failed to fetch index manifest:", e?.message);
+    MANIFEST = null;
+  }
+  return MANIFEST;
+}
+
+// Why query vectors from `embedModel` cannot be compared with the index, or "" when they can.
+// Vectors from another model (an index built with openai, queried through the mock) give
+// meaningless similarities. An index without a manifest is taken on trust.
+export function embeddingMismatch(manifest, embedModel) {
+  const built = manifest?.embedding?.model;
+  if (!built || built === embedModel) return "";
+  return `The standards index was embedded with ${built} but the model provider embeds with ${embedModel || "nothing"}. ` +
+    "Rebuild the index with the same embedder (npm run build:index) or switch provider.";
+}
+
+export function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+}
+
+// Whether a row's grade covers the grade asked for. Some sets file standards under a band rather
+// than a single grade: Common Core ELA "Grade 9-10", NGSS "Grades 6-8", Common Core math and
+// NGSS "High School", so "Grade 7" matches "Grades 6-8" and "Grade 10" matches "High School".
+const gradeNumber = (s) => (/^k/i.test(s) ? 0 : parseInt(s, 10));
+
+export function gradeMatches(rowGrade, grade) {
+  const row = String(rowGrade || "").toLowerCase().trim();
+  const want = String(grade || "").toLowerCase().trim();
+  if (row === want) return true;
+  const n = gradeNumber(want.replace(/^grades?\s+/, ""));
+  if (!/^grades?\s+/.test(want) || Number.isNaN(n)) return false;
+  if (row === "high school") return n >= 9 && n <= 12;
+  const band = row.match(/^grades?\s+(k|\d+)\s*-\s*(\d+)$/);
+  return !!band && n >= gradeNumber(band[1]) && n <= Number(band[2]);
+}
+
+// Rows re-extracted from the PDFs (scripts/extract-pdfs.mjs) know where they came from
+export const sourceOf = (r) => (r?.pdf ? { pdf: r.pdf, page: r.page, strand: r.strand || "", cluster: r.cluster || "" } : null);
@@ -0,0 +1,16 @@
+// lib/store/classes.mjs
+// Class profiles (lib/plan/class-profile.mjs), one list per signed-in teacher (keyed by
+// session.user.email).
+
+import { userCollection } from "./json-store.mjs";
+
+const classes = userCollection("classes");
+
+export { validateClassProfile } from "../plan/class-profile.mjs";
+
+export const listClasses = async (email) =>
+  (await classes.list(email)).sort((a, b) => a.name.localeCompare(b.name));
+export const getClass = (email, id) => classes.get(email, id);
+export const createClass = (email, data) => classes.create(email, data);
+export const updateClass = (email, id, data) => classes.patch(email, id, data);
+export const deleteClass = (email, id) => classes.remove(email, id);
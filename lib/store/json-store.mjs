@@ -0,0 +1,80 @@
+// lib/store/json-store.mjs
+// Small file-backed store for per-teacher data; no external services needed.
+//
+//   <DATA_DIR>/<collection>/<sha256(email)>.json   -> { email, items: [{ id, createdAt, updatedAt, ... }] }
+//
+// DATA_DIR defaults to ./data. Writes go through a temp file + rename, and are queued per file so
+// concurrent requests in one server process cannot interleave.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+const queues = new Map(); // file -> tail of its write queue
+
+function serialise(file, fn) {
+  const run = (queues.get(file) || Promise.resolve()).then(fn, fn);
+  queues.set(file, run.catch(() => {}));
+  return run;
+}
+
+const newId = () => crypto.randomBytes(9).toString("base64url");
+
+export function userCollection(name) {
+  const dir = path.join(DATA_DIR, name);
+  const fileFor = (email) =>
+    path.join(dir, `${crypto.createHash("sha256").update(String(email).toLowerCase()).digest("hex")}.json`);
+
+  const read = async (email) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(email), "utf8")).items || [];
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  };
+
+  const write = async (email, items) => {
+    const file = fileFor(email);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ email, items }, null, 1));
+    await fs.promises.rename(tmp, file);
+  };
+
+  // fn(items) -> { items, result }; runs with the file locked
+  const update = (email, fn) => serialise(fileFor(email), async () => {
+    const { items, result } = await fn(await read(email));
+    await write(email, items);
+    return result;
+  });
+
+  return {
+    list: (email) => read(email),
+
+    async get(email, id) {
+      return (await read(email)).find(x => x.id === id) || null;
+    },
+
+    create: (email, data) => update(email, (items) => {
+      const now = new Date().toISOString();
+      const item = { ...data, id: newId(), createdAt: now, updatedAt: now };
+      return { items: [item, ...items], result: item };
+    }),
+
+    // Shallow merge; returns null when there is no such item
+    patch: (email, id, data) => update(email, (items) => {
+      const i = items.findIndex(x => x.id === id);
+      if (i < 0) return { items, result: null };
+      const item = { ...items[i], ...data, id, createdAt: items[i].createdAt, updatedAt: new Date().toISOString() };
+      return { items: items.map((x, j) => (j === i ? item : x)), result: item };
+    }),
+
+    remove: (email, id) => update(email, (items) => {
+      const kept = items.filter(x => x.id !== id);
+      return { items: kept, result: kept.length !== items.length };
+    })
+  };
+}
@@ -0,0 +1,56 @@
+// lib/store/plans.mjs
+// Saved lesson plans, one library per signed-in teacher (keyed by session.user.email).
+
+import { userCollection } from "./json-store.mjs";
+
+const plans = userCollection("plans");
+
+// Fields a client may set; everything else (id, timestamps) is owned by the store
+const FIELDS = [
+  "title", "className", "classId", "curriculum", "subject", "grade", "examBoard", "topic", "numLessons", "includeQuiz", "template",
+  "standardCode", "standard", "alignedStandards", "source", "markdown", "layout", "parts", "outline"
+];
+
+const pick = (body = {}) =>
+  Object.fromEntries(FIELDS.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+
+// List rows leave out the plan body
+const summary = ({ markdown, layout, parts, outline, ...rest }) => rest;
+
+export function validatePlan(body, { partial = false } = {}) {
+  const data = pick(body);
+  // An update may leave the Markdown out, but may not empty it
+  if ((!partial || data.markdown !== undefined) && !String(data.markdown || "").trim()) return { error: "A plan needs its Markdown." };
+  for (const k of ["title", "className", "classId", "curriculum", "subject", "grade", "examBoard", "topic", "template", "standardCode", "standard", "markdown"]) {
+    if (data[k] !== undefined && typeof data[k] !== "string") return { error: `${k} must be a string.` };
+  }
+  if (data.alignedStandards !== undefined &&
+      (!Array.isArray(data.alignedStandards) || data.alignedStandards.some(s => typeof s?.code !== "string"))) {
+    return { error: "alignedStandards must be a list of { code, description, primary }." };
+  }
+  if (!partial && !data.title) data.title = String(data.topic || "Untitled plan").slice(0, 120);
+  return { data };
+}
+
+// q matches title, class, topic, subject, grade and the standards; the other filters are exact, and
+// standardCode matches the primary or a supporting standard
+const codesOf = (p) => [p.standardCode, ...(p.alignedStandards || []).map(s => s.code)].filter(Boolean);
+
+export async function listPlans(email, { q = "", className = "", curriculum = "", subject = "", grade = "", standardCode = "" } = {}) {
+  const needle = String(q).toLowerCase().trim();
+  return (await plans.list(email))
+    .filter(p => !className || p.className === className)
+    .filter(p => !curriculum || p.curriculum === curriculum)
+    .filter(p => !subject || p.subject === subject)
+    .filter(p => !grade || p.grade === grade)
+    .filter(p => !standardCode || codesOf(p).includes(standardCode))
+    .filter(p => !needle || [p.title, p.className, p.topic, p.subject, p.grade, p.standard, ...codesOf(p)]
+      .some(v => String(v || "").toLowerCase().includes(needle)))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summary);
+}
+
+export const getPlan = (email, id) => plans.get(email, id);
+export const createPlan = (email, data) => plans.create(email, data);
+export const updatePlan = (email, id, data) => plans.patch(email, id, data);
+export const deletePlan = (email, id) => plans.remove(email, id);
@@ -0,0 +1,160 @@
+// lib/templates/lesson-templates.mjs
+// Lesson templates: the sections a generated lesson is made of, one JSON file per template in
+// lib/templates/lessons/<id>.json.
+//
+//   {
+//     "id": "5e",                         same as the file name
+//     "name": "5E inquiry (science)",     shown in the picker
+//     "description": "...",               optional
+//     "sections": [                       generated and shown in this order
+//       { "key": "engage",                unique, letters/digits/_; "quiz" is reserved
+//         "title": "1. Engage",           heading, rendered as ###
+//         "type": "markdown",             section type in lib/plan/lesson-plan.mjs (default markdown);
+//                                         typed sections (objective, assessment, ...) fill lesson plan fields
+//         "instructions": "..." | [lines],
+//         "format": "..." | [lines],      markdown sections only: skeleton with {{placeholders}} for the model
+//         "audience": "students",         optional; "students" or "teacher", who reads it (default: by type);
+//                                         student-facing sections are the ones translated (lib/plan/output-language.mjs)
+//         "maxTokens": 600 }              optional
+//     ]
+//   }
+//
+// {{standardCode}} (the primary standard), {{standardCodes}} (every aligned standard, primary
+// first), {{subject}}, {{grade}} and {{topic}} in instructions or format are filled in per request;
+// any other {{placeholder}} is left for the model.
+// Check the files with `npm run check:templates`.
+
+import fs from "fs";
+import path from "path";
+import { SECTION_TYPES } from "../plan/lesson-plan.mjs";
+
+export const TEMPLATES_DIR = path.join(process.cwd(), "lib", "templates", "lessons");
+export const DEFAULT_TEMPLATE = "standard";
+
+const SECTION_FIELDS = new Set(["key", "title", "type", "instructions", "format", "audience", "maxTokens"]);
+const AUDIENCES = ["students", "teacher"];
+const TEMPLATE_TYPES = Object.keys(SECTION_TYPES).filter(t => t !== "quiz"); // the quiz is not part of a template
+const TEMPLATE_FIELDS = new Set(["id", "name", "description", "sections"]);
+const MAX_SECTIONS = 12;
+
+const isText = (v) => (typeof v === "string" && v.trim() !== "") ||
+  (Array.isArray(v) && v.length > 0 && v.every(l => typeof l === "string") && v.join("").trim() !== "");
+
+// Problems with a parsed template, as readable strings; [] when it is usable
+export function validateTemplate(t, { id } = {}) {
+  if (!t || typeof t !== "object" || Array.isArray(t)) return ["template must be a JSON object"];
+  const problems = [];
+  for (const k of Object.keys(t)) if (!TEMPLATE_FIELDS.has(k)) problems.push(`unknown field "${k}"`);
+
+  if (typeof t.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(t.id)) {
+    problems.push("id must be lower-case letters, digits and dashes");
+  } else if (id && t.id !== id) {
+    problems.push(`id "${t.id}" does not match the file name "${id}"`);
+  }
+  if (typeof t.name !== "string" || !t.name.trim()) problems.push("name is required");
+  if (t.description !== undefined && typeof t.description !== "string") problems.push("description must be a string");
+
+  if (!Array.isArray(t.sections) || !t.sections.length) {
+    problems.push("sections must be a non-empty array");
+    return problems;
+  }
+  if (t.sections.length > MAX_SECTIONS) problems.push(`at most ${MAX_SECTIONS} sections`);
+
+  const seen = new Set();
+  t.sections.forEach((s, i) => {
+    const at = `sections[${i}]`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) return problems.push(`${at} must be an object`);
+    for (const k of Object.keys(s)) if (!SECTION_FIELDS.has(k)) problems.push(`${at}: unknown field "${k}"`);
+    if (typeof s.key !== "string" || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(s.key)) {
+      problems.push(`${at}: key must start with a letter and use letters, digits or _`);
+    } else if (s.key === "quiz") {
+      problems.push(`${at}: key "quiz" is reserved for the end-of-unit quiz`);
+    } else if (seen.has(s.key)) {
+      problems.push(`${at}: duplicate key "${s.key}"`);
+    } else {
+      seen.add(s.key);
+    }
+    if (typeof s.title !== "string" || !s.title.trim()) problems.push(`${at}: title is required`);
+    if (s.type !== undefined && !TEMPLATE_TYPES.includes(s.type)) {
+      problems.push(`${at}: type must be one of ${TEMPLATE_TYPES.join(", ")}`);
+    } else if (s.format !== undefined && (s.type || "markdown") !== "markdown") {
+      problems.push(`${at}: format is only used by markdown sections; "${s.type}" sections are rendered from their fields`);
+    }
+    if (!isText(s.instructions)) problems.push(`${at}: instructions must be text or an array of lines`);
+    if (s.format !== undefined && !isText(s.format)) problems.push(`${at}: format must be text or an array of lines`);
+    if (s.audience !== undefined && !AUDIENCES.includes(s.audience)) problems.push(`${at}: audience must be one of ${AUDIENCES.join(", ")}`);
+    if (s.maxTokens !== undefined && !(Number.isInteger(s.maxTokens) && s.maxTokens >= 50 && s.maxTokens <= 2000)) {
+      problems.push(`${at}: maxTokens must be a whole number from 50 to 2000`);
+    }
+  });
+  return problems;
+}
+
+const joinLines = (v) => (Array.isArray(v) ? v.join("\n") : v);
+
+// The shape generate.js works with: text fields joined, headings ready to render
+function compile(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    description: t.description || "",
+    sections: t.sections.map(s => ({
+      key: s.key,
+      title: `### ${s.title.trim()}`,
+      type: s.type || "markdown",
+      audience: s.audience || SECTION_TYPES[s.type || "markdown"].audience,
+      instr: joinLines(s.instructions).trim(),
+      ...(s.format ? { fmt: joinLines(s.format).trim() } : {}),
+      ...(s.maxTokens ? { maxTokens: s.maxTokens } : {})
+    }))
+  };
+}
+
+// Every template file with its problems; used by the loader and `npm run check:templates`
+export function readTemplateFiles(dir = TEMPLATES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(file => {
+      const id = path.basename(file, ".json");
+      try {
+        const template = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        return { file, template, problems: validateTemplate(template, { id }) };
+      } catch (e) {
+        return { file, template: null, problems: [`not valid JSON: ${e.message}`] };
+      }
+    });
+}
+
+let TEMPLATES = null; // id -> compiled template, read once per process
+
+// Valid templates by id; malformed files are logged and left out
+export function loadTemplates() {
+  if (TEMPLATES) return TEMPLATES;
+  TEMPLATES = new Map();
+  for (const { file, template, problems } of readTemplateFiles()) {
+    if (problems.length) {
+      console.warn(`[templates] ${file} rejected: ${problems.join("; ")}`);
+      continue;
+    }
+    TEMPLATES.set(template.id, compile(template));
+  }
+  return TEMPLATES;
+}
+
+export const getTemplate = (id = DEFAULT_TEMPLATE) => loadTemplates().get(id || DEFAULT_TEMPLATE) || null;
+
+// For the picker, default first: no prompts, just what a teacher chooses between
+export const listTemplates = () => [...loadTemplates().values()]
+  .sort((a, b) => (b.id === DEFAULT_TEMPLATE) - (a.id === DEFAULT_TEMPLATE))
+  .map(t => ({
+    id: t.id,
+    name: t.name,
+    description: t.description,
+    sections: t.sections.map(({ key, title, type }) => ({ key, title, type }))
+  }));
+
+// Fills the per-request {{variables}}; other placeholders stay for the model
+export function fillVars(text, vars) {
+  return String(text).replace(/\{\{(\w+)\}\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+}
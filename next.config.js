@@ -0,0 +1,5 @@
+/** @type {import('next').NextConfig} */
+module.exports = {
+  // pdfkit reads its font metrics from its own folder at runtime (lib/export/pdf.mjs)
+  serverExternalPackages: ["pdfkit"]
+};
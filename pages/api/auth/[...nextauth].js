@@ -1,7 +1,8 @@
 import NextAuth from "next-auth";
 import GoogleProvider from "next-auth/providers/google";
 
-export default NextAuth({
+// Shared with getServerSession in lib/auth.mjs
+export const authOptions = {
   // — make sure you've set NEXTAUTH_SECRET in .env.local
   secret: process.env.NEXTAUTH_SECRET,
 
@@ -39,4 +40,6 @@ export default NextAuth({
       return baseUrl;
     },
   },
-});
+};
+
+export default NextAuth(authOptions);
@@ -0,0 +1,32 @@
+// pages/api/classes/[id].js
+// GET    /api/classes/:id            -> { class }
+// PUT    /api/classes/:id  { ... }   -> { class }   (fields given replace the saved ones)
+// DELETE /api/classes/:id            -> 204
+
+import { requireEmail } from "../../../lib/auth.mjs";
+import { getClass, updateClass, deleteClass, validateClassProfile } from "../../../lib/store/classes.mjs";
+
+export default async function handler(req, res) {
+  const email = await requireEmail(req, res);
+  if (!email) return;
+  const { id } = req.query;
+
+  if (req.method === "GET") {
+    const found = await getClass(email, id);
+    return found ? res.status(200).json({ class: found }) : res.status(404).json({ error: "Class not found." });
+  }
+
+  if (req.method === "PUT") {
+    const { data, error } = validateClassProfile(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const updated = await updateClass(email, id, data);
+    return updated ? res.status(200).json({ class: updated }) : res.status(404).json({ error: "Class not found." });
+  }
+
+  if (req.method === "DELETE") {
+    return (await deleteClass(email, id)) ? res.status(204).end() : res.status(404).json({ error: "Class not found." });
+  }
+
+  res.setHeader("Allow", "GET, PUT, DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
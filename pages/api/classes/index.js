@@ -0,0 +1,27 @@
+// pages/api/classes/index.js
+// GET  /api/classes                                   -> { classes: [profile] }
+// POST /api/classes  { name, size?, readingLevel?, ealShare?, needs?, resources?, otherResources?, notes? }
+//                                                     -> 201 { class }
+//
+// The signed-in teacher's class profiles (lib/plan/class-profile.mjs), picked in the planner.
+
+import { requireEmail } from "../../../lib/auth.mjs";
+import { listClasses, createClass, validateClassProfile } from "../../../lib/store/classes.mjs";
+
+export default async function handler(req, res) {
+  const email = await requireEmail(req, res);
+  if (!email) return;
+
+  if (req.method === "GET") {
+    return res.status(200).json({ classes: await listClasses(email) });
+  }
+
+  if (req.method === "POST") {
+    const { data, error } = validateClassProfile(req.body);
+    if (error) return res.status(400).json({ error });
+    return res.status(201).json({ class: await createClass(email, data) });
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
@@ -0,0 +1,47 @@
+// pages/api/coverage.js
+// GET /api/coverage?curriculum=nys&subject=Mathematics&grade=Grade 7&className=7B
+//   -> { total, covered, percent, strands: [{ strand, total, covered, percent }],
+//        standards: [{ code, description, grade, subjectKey, strand, cluster, source, plans: [{ id, title }] }],
+//        next: [{ ...standard, plan: { subject, grade, examBoard? } }], classes: [className] }
+//
+// Which standards the signed-in teacher's saved plans cover for a subject and grade, overall and
+// per strand (lib/standards/coverage.mjs). className narrows it to the plans saved for one class;
+// classes lists every class the teacher has saved plans for. next suggests standards to plan next,
+// with the planner choice that generates for each.
+
+import { requireEmail } from "../../lib/auth.mjs";
+import { listPlans } from "../../lib/store/plans.mjs";
+import { GenerationError, sendError } from "../../lib/llm/errors.mjs";
+import { loadStandardsIndex } from "../../lib/standards/standards-index.mjs";
+import { catalogueEntry, selectStandards } from "../../lib/standards/catalogue.mjs";
+import { coverageOf } from "../../lib/standards/coverage.mjs";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED");
+  const email = await requireEmail(req, res);
+  if (!email) return;
+
+  const { curriculum = "", subject = "", grade = "", className = "" } = req.query;
+  if (!curriculum || !subject || !grade) {
+    return sendError(res, new GenerationError("INVALID_REQUEST", "Choose a curriculum, subject and grade."));
+  }
+
+  const index = await loadStandardsIndex(req);
+  if (!index.length) return sendError(res, "INDEX_UNAVAILABLE");
+  const { rows, boards, error } = selectStandards(index, String(curriculum), { subject: String(subject), grade: String(grade) });
+  if (error) return sendError(res, new GenerationError("INVALID_REQUEST", error));
+
+  const all = await listPlans(email);
+  const classes = [...new Set(all.map(p => p.className).filter(Boolean))].sort();
+  const plans = className ? all.filter(p => p.className === className) : all;
+  const { standards, next, ...totals } = coverageOf(rows, plans.filter(p => p.curriculum === curriculum));
+
+  // Plan from a suggestion: this subject and grade, with the exam board whose specification holds it
+  const plan = (r) => ({ subject, grade, ...(boards[r.subjectKey] ? { examBoard: boards[r.subjectKey] } : {}) });
+  return res.status(200).json({
+    ...totals,
+    standards: standards.map(({ row, plans: by }) => ({ ...catalogueEntry(row), plans: by })),
+    next: next.map(r => ({ ...catalogueEntry(r), plan: plan(r) })),
+    classes
+  });
+}
@@ -0,0 +1,30 @@
+// pages/api/crosswalk.js
+// GET /api/crosswalk?curriculum=nys&code=NY-7.RP.2&limit=5&anySubject=0
+//   -> { standard, equivalents: { england: [{ curriculum, code, description, grade, subjectKey, source, similarity }], ... } }
+//
+// Nearest standards in every other curriculum, by the index embeddings (lib/standards/crosswalk.mjs).
+// subjectKey and grade are optional and only pick between rows that share a code.
+
+import { sendError, GenerationError } from "../../lib/llm/errors.mjs";
+import { loadStandardsIndex } from "../../lib/standards/standards-index.mjs";
+import { crosswalk } from "../../lib/standards/crosswalk.mjs";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED");
+
+  const { curriculum = "", code = "", subjectKey = "", grade = "", limit = "5", anySubject = "" } = req.query;
+  if (!curriculum || !code) {
+    return sendError(res, new GenerationError("INVALID_REQUEST", "Send the curriculum and code of a standard."));
+  }
+
+  const index = await loadStandardsIndex(req);
+  if (!index.length) return sendError(res, "INDEX_UNAVAILABLE");
+
+  const out = crosswalk(index, {
+    curriculum: String(curriculum), code: String(code), subjectKey: String(subjectKey), grade: String(grade),
+    limit: Math.max(1, Math.min(20, parseInt(limit, 10) || 5)),
+    anySubject: ["1", "true"].includes(String(anySubject))
+  });
+  if (!out) return sendError(res, new GenerationError("NO_STANDARD_MATCH", `Standard ${code} was not found in ${curriculum}.`));
+  return res.status(200).json(out);
+}
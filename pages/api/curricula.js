@@ -0,0 +1,36 @@
+// pages/api/curricula.js
+// GET /api/curricula -> { curricula: [{ id, name, label, gradeLabel, standards, source?,
+//                         subjects: [{ name, teachesLanguage?, grades: [{ grade, gradeKey, subjectKey, also, examBoards }] }] }] }
+//
+// What the planner can offer: each curriculum in lib/curricula with the subject and grade pairs
+// that have standards in the index, each resolved to the standards file it retrieves from, its
+// supporting files (also) and the exam boards whose specification can replace it. A curriculum
+// defined ahead of its standards comes back with no subjects. Language subjects (teachesLanguage)
+// plan in the language students learn.
+
+import { loadCurricula, listCurricula, offeredSubjects } from "../../lib/curricula/curricula.mjs";
+import { loadStandardsIndex, gradeMatches } from "../../lib/standards/standards-index.mjs";
+import { sendError } from "../../lib/llm/errors.mjs";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED");
+
+  const index = await loadStandardsIndex(req);
+  if (!index.length) return sendError(res, "INDEX_UNAVAILABLE");
+
+  // curriculum -> subjectKey -> grades filed in the index
+  const filed = new Map();
+  for (const r of index) {
+    const bySubject = filed.get(r.curriculum) || filed.set(r.curriculum, new Map()).get(r.curriculum);
+    (bySubject.get(r.subjectKey) || bySubject.set(r.subjectKey, new Set()).get(r.subjectKey)).add(r.grade);
+  }
+
+  const defs = loadCurricula();
+  const curricula = listCurricula().map(c => {
+    const { standards, source } = defs.get(c.id);
+    const hasStandards = (subjectKey, gradeKey) =>
+      [...(filed.get(c.id)?.get(subjectKey) || [])].some(g => gradeMatches(g, gradeKey));
+    return { ...c, standards, ...(source ? { source } : {}), subjects: offeredSubjects(c.id, hasStandards) };
+  });
+  return res.status(200).json({ curricula });
+}
@@ -0,0 +1,74 @@
+// pages/api/export.js
+// POST /api/export  { format: "docx" | "pdf" | "html", variant, plan }   export the plan on screen
+// POST /api/export  { format, variant, id }                               export a saved plan (signed in)
+// POST /api/export  { format: "qti" | "gift" | "csv", plan | id }          export the end-of-unit quiz
+//
+// variant: "plan" (default), "worksheet" (student handout, no answers) or "key" (teacher key);
+// see lib/export/document.mjs. The quiz formats (lib/export/quiz.mjs) take no variant.
+//
+// plan is what pages/index.js holds and the plan library stores: { curriculum, subject, grade,
+// examBoard?, topic, standard, alignedStandards, source, layout, parts, outline }. Everything is
+// rendered in-process (lib/export); nothing is sent to an outside service.
+
+import { requireEmail } from "../../lib/auth.mjs";
+import { getPlan } from "../../lib/store/plans.mjs";
+import { buildExportDocument, exportFileName, EXPORT_VARIANTS } from "../../lib/export/document.mjs";
+import { renderHtml } from "../../lib/export/html.mjs";
+import { renderDocx } from "../../lib/export/docx.mjs";
+import { renderPdf, pdfCanDraw } from "../../lib/export/pdf.mjs";
+import { quizOf, renderQti, renderGift, renderQuizCsv } from "../../lib/export/quiz.mjs";
+
+export const config = { api: { bodyParser: { sizeLimit: "4mb" } } };
+
+const FORMATS = {
+  docx: { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", render: renderDocx, download: true },
+  pdf:  { type: "application/pdf", render: renderPdf, download: true },
+  html: { type: "text/html; charset=utf-8", render: renderHtml, download: false },
+  // the quiz alone, for an LMS or quiz tool
+  qti:  { type: "application/zip", render: renderQti, download: true, quiz: true, ext: "qti.zip" },
+  gift: { type: "text/plain; charset=utf-8", render: renderGift, download: true, quiz: true, ext: "gift.txt" },
+  csv:  { type: "text/csv; charset=utf-8", render: renderQuizCsv, download: true, quiz: true }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { format = "", variant = "plan", id = "", plan: given = null } = req.body || {};
+  const out = FORMATS[format];
+  if (!out) return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(", ")}.` });
+  if (!out.quiz && !EXPORT_VARIANTS.includes(variant)) return res.status(400).json({ error: `variant must be one of ${EXPORT_VARIANTS.join(", ")}.` });
+
+  let plan = given;
+  if (id) {
+    const email = await requireEmail(req, res);
+    if (!email) return;
+    plan = await getPlan(email, String(id));
+    if (!plan) return res.status(404).json({ error: "Plan not found." });
+  }
+  if (!plan || typeof plan !== "object") return res.status(400).json({ error: "Send the plan, or the id of a saved plan." });
+
+  let doc;
+  try {
+    doc = out.quiz ? quizOf(plan) : buildExportDocument(plan, { variant });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  // The PDF fonts only cover Latin scripts; a translated plan in another script goes to DOCX or print
+  if (format === "pdf" && plan.layout?.language?.code && plan.layout.language.code !== "en" && !pdfCanDraw(doc)) {
+    return res.status(400).json({ error: `PDF export cannot draw ${plan.layout.language.name} text yet. Download DOCX or use the print view instead.` });
+  }
+
+  try {
+    const body = await out.render(doc);
+    const name = `${exportFileName(plan, out.quiz ? "quiz" : variant)}.${out.ext || format}`;
+    res.setHeader("Content-Type", out.type);
+    res.setHeader("Content-Disposition", `${out.download ? "attachment" : "inline"}; filename="${name}"`);
+    return res.status(200).send(body);
+  } catch (e) {
+    console.error(`Export to ${format} failed:`, e);
+    return res.status(500).json({ error: "Could not export the plan." });
+  }
+}
@@ -1,11 +1,24 @@
 // pages/api/generate.js
 // RAG for NYS: retrieval + selector + user choice fallback + safe generation
 
-import fs from "fs";
-import path from "path";
-
-const CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || "gpt-4.1-nano";
-const EMB_MODEL  = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+import { getProvider } from "../../lib/llm/providers.mjs";
+import { GenerationError, errorBody, sendError } from "../../lib/llm/errors.mjs";
+import { withRetry, createLimiter } from "../../lib/llm/retry.mjs";
+import { getTemplate, fillVars, DEFAULT_TEMPLATE } from "../../lib/templates/lesson-templates.mjs";
+import { sectionTypeOf, replyInstructions, readSection, buildLessonPlan } from "../../lib/plan/lesson-plan.mjs";
+import { loadStandardsIndex, loadIndexManifest, embeddingMismatch, cosine, sourceOf, gradeMatches } from "../../lib/standards/standards-index.mjs";
+import { findStandard } from "../../lib/standards/crosswalk.mjs";
+import { getCurriculum, curriculumName, resolveSubject, inClusters, teachesLanguage } from "../../lib/curricula/curricula.mjs";
+import { classPrompt, needLabels } from "../../lib/plan/class-profile.mjs";
+import { resolveOutputLanguage, languagePrompt } from "../../lib/plan/output-language.mjs";
+import { requireEmail } from "../../lib/auth.mjs";
+import { getClass } from "../../lib/store/classes.mjs";
+
+// Model calls go through lib/llm/providers.mjs (LLM_PROVIDER=openai|local|mock), at most
+// LLM_CONCURRENCY at a time, retrying rate limits and transient failures. Each attempt takes a
+// slot of its own, so calls waiting out a backoff leave the slots to the others.
+const limit = createLimiter(Number(process.env.LLM_CONCURRENCY) || 4);
+const callModel = (fn) => withRetry(() => limit(fn));
 
 /* ---------------- helpers ---------------- */
 
@@ -20,22 +33,9 @@ const lexicalScore = (row, toks) => {
   return s;
 };
 
-function cosine(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  const n = Math.min(a.length, b.length);
-  for (let i = 0; i < n; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
-  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
-}
-
 async function embedQuery(q) {
-  const r = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
-    body: JSON.stringify({ model: EMB_MODEL, input: q })
-  });
-  const d = await r.json();
-  if (d.error) throw new Error(d.error.message);
-  return d.data[0].embedding;
+  const [v] = await callModel(() => getProvider().embed([q]));
+  return v;
 }
 
 async function llmScore(topic, standardText) {
@@ -49,197 +49,92 @@ Return JSON: {"score": <number>, "reason": "<max 10 words>"}
 TEACHER_TOPIC: "${topic}"
 STANDARD: "${standardText}"`
   };
-  const r = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
-    body: JSON.stringify({ model: CHAT_MODEL, temperature: 0.2, messages: [sys, user], max_tokens: 40 })
-  });
-  const d = await r.json();
-  if (d.error) throw new Error(d.error.message);
-  const txt = d.choices?.[0]?.message?.content?.trim() || "{}";
+  // Offline mock: share of topic words found in the standard, on the same 0-6 scale
+  const mock = () => {
+    const toks = tokensFrom(topic).filter(t => t.length > 2);
+    const hits = toks.filter(t => standardText.toLowerCase().includes(t)).length;
+    return { score: toks.length ? Math.round((6 * hits) / toks.length * 10) / 10 : 0, reason: "mock: word overlap" };
+  };
   try {
-    const j = JSON.parse(txt);
+    const j = await callModel(() => getProvider().chatJSON([sys, user], { temperature: 0.2, maxTokens: 60, mock }));
     const sc = typeof j.score === "number" ? j.score : 0;
     return { score: sc, reason: String(j.reason || "") };
-  } catch {
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) throw e; // upstream failure, not a bad reply
     return { score: 0, reason: "parse error" };
   }
 }
 
-/* ---------------- lazy-load standards index (works local + Vercel) ---------------- */
-
-let STD_INDEX = null;
-
-async function loadIndex(req) {
-  if (STD_INDEX && Array.isArray(STD_INDEX) && STD_INDEX.length) return STD_INDEX;
-
-  // Try filesystem first (local dev)
-  try {
-    const idxPath = path.join(process.cwd(), "public", "standards_index.v1.json");
-    if (fs.existsSync(idxPath)) {
-      STD_INDEX = JSON.parse(fs.readFileSync(idxPath, "utf8"));
-      console.log("[generate] index loaded from FS:", STD_INDEX.length);
-      return STD_INDEX;
-    }
-  } catch (_) {
-    // ignore and try HTTP
-  }
-
-  // Serverless: fetch via HTTP. Prefer an explicit base URL if set.
-  const base =
-    process.env.NEXT_PUBLIC_BASE_URL ||
-    process.env.NEXTAUTH_URL ||
-    (req?.headers?.host ? `https://${req.headers.host}` : "");
-  const url = base ? `${base.replace(/\/$/, "")}/standards_index.v1.json` : "";
-
-  if (!url) {
-    console.warn("[generate] cannot resolve index URL");
-    STD_INDEX = [];
-    return STD_INDEX;
-  }
+// Unit outline for multi-lesson plans: one slot per lesson, each building on the last.
+//   { title, lessons: [{ lesson, title, objective, buildsOn }] }
+// null when the model's reply can't be used; the lessons are then planned without one. A plan
+// written wholly in another language gets its outline in that language too.
+async function draftOutline({ input, subject, grade, standard, count, language }) {
+  const sys = { role: "system", content: "You plan coherent teaching units. Respond only with valid JSON." };
+  const user = {
+    role: "user",
+    content:
+`Plan a unit of exactly ${count} lessons on the TEACHER_TOPIC for ${subject}, ${grade}.
+Each lesson gets one sub-objective that builds on the previous lesson; together they reach the STANDARD.
+No lesson repeats another. Lesson 1 starts from what students already know.
+Return JSON: {"title": "<unit title>", "lessons": [{"lesson": 1, "title": "<max 8 words>", "objective": "<Students will be able to...>", "buildsOn": "<max 15 words, empty for lesson 1>"}]}${language?.mode === "full" ? `\nWrite the titles, objectives and buildsOn in ${language.name}; keep the JSON keys in English.` : ""}
 
+TEACHER_TOPIC: "${input}"
+STANDARD: "${standard}"`
+  };
+  const mock = () => ({
+    title: `${input} unit`,
+    lessons: Array.from({ length: count }, (_, i) => ({
+      lesson: i + 1,
+      title: `${input}: part ${i + 1}`,
+      objective: `Students will be able to take step ${i + 1} towards the standard.`,
+      buildsOn: i ? `Lesson ${i}` : ""
+    }))
+  });
   try {
-    const r = await fetch(url, { cache: "no-store" });
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    STD_INDEX = await r.json();
-    console.log("[generate] index loaded via HTTP:", STD_INDEX.length, url);
+    const j = await callModel(() => getProvider().chatJSON([sys, user], { temperature: 0.4, maxTokens: 120 + 90 * count, mock }));
+    return normaliseOutline(j, count);
   } catch (e) {
-    console.warn("[generate] failed to fetch index:", url, e?.message);
-    STD_INDEX = [];
+    if (!(e instanceof SyntaxError)) throw e; // upstream failure, not a bad reply
+    return null;
   }
-  return STD_INDEX;
 }
 
-const subjectKeyMap = {
-  /* ---------------- NYS ---------------- */
-  nys: {
-    // Core
-    Mathematics:                 "mathematics",
-    "English Language Arts":     "ela",
-    Science:                     "science",
-
-    // Social-studies PDFs are split K-8 and HS
-    "Social Studies (K-8)":      "social_studies_k8",
-    "Social Studies (HS)":       "social_studies_hs",
-
-    // Languages & Tech
-    "World Languages":           "world_languages",
-    Technology:                  "technology",
-    "Computer Science":          "computer_science",
-
-    // Health / PE / FCS
-    Health:                      "health_pe_fcs",
-    "Physical Education":        "physical_education",
-    "Family and Consumer Sciences": "health_pe_fcs",
-
-    // Career & CDOS
-    "Career Development":        "cdos",
-
-    // The Arts
-    Dance:                       "dance",
-    "Media Arts":                "media_arts",
-    Music:                       "music",
-    Theatre:                     "theatre",
-    "Visual Arts":               "visual_arts",
-    "The Arts":                  "visual_arts"
-  },
-
-/* ---------------- England ---------------- */
-england: {
-  // Core subjects
-  English:                    "eng_english_primary",      // KS1-2
-  "English KS3":              "eng_english_secondary",    // KS3
-  "English KS4":              "eng_english_ks4",          // KS4 PoS
-  "GCSE English (AQA)":       "eng_gcse_english_aqa",     // exam-board spec
-  "Reading Framework":        "eng_reading_framework",    // DfE guidance
-  "Letters & Sounds":         "eng_letters_sounds",       // phonics
-
-  Mathematics:                "eng_mathematics_primary",
-  "Mathematics KS3":          "eng_mathematics_secondary",
-  "Mathematics KS4":          "eng_mathematics_ks4",
-
-  Science:                    "eng_science_primary",
-  "Science KS3":              "eng_science_secondary",
-  "Science KS4":              "eng_science_ks4",
-
-  // Humanities
-  Geography:                  "eng_geography_primary",
-  "Geography KS3/4":          "eng_geography_secondary",
-
-  History:                    "eng_history_primary",
-  "History KS3":              "eng_history_secondary",
-
-  // Languages
-  "Modern Foreign Languages":       "eng_mfl_primary",
-  "Modern Foreign Languages KS3":   "eng_mfl_secondary",
-
-  // Arts
-  "Art and Design":           "eng_art_design_primary",
-  "Art and Design KS3":       "eng_art_design_secondary",
-  Music:                      "eng_music_primary",
-  "Music KS3":                "eng_music_secondary",
-
-  // PE & health
-  "Physical Education":       "eng_pe_primary",
-  "Physical Education KS3/4": "eng_pe_secondary",
-
-  // Technology & Computing
-  "Design and Technology":           "eng_design_technology_primary",
-  "Design and Technology KS3/4":     "eng_design_technology_secondary",
-  Computing:                         "eng_computing_primary",
-  "Computing KS3/4":                 "eng_computing_secondary",
-
-  // Citizenship
-  Citizenship:                "eng_citizenship",
-},
-
-
-  /* ---------------- Common Core & None ---------------- */
-  common_core: {
-    Mathematics: "mathematics",
-    "English Language Arts": "ela",
-    Science: "science",
-    "Social Studies": "social_studies_k8"   // default to K-8 set
-  },
-  none: {
-    Mathematics: "mathematics",
-    "English Language Arts": "ela",
-    Science: "science",
-    "Social Studies": "social_studies_k8"
-  }
-};
-
+// Exactly `count` lessons with string fields, or null. Also checks outlines sent back by the client.
+function normaliseOutline(raw, count) {
+  const lessons = Array.isArray(raw?.lessons) ? raw.lessons.slice(0, count) : [];
+  if (lessons.length !== count) return null;
+  const str = (v, max) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+  const out = lessons.map((l, i) => ({
+    lesson: i + 1,
+    title: str(l?.title, 120),
+    objective: str(l?.objective, 300),
+    buildsOn: i ? str(l?.buildsOn, 200) : ""
+  }));
+  if (out.some(l => !l.title || !l.objective)) return null;
+  return { title: str(raw.title, 120), lessons: out };
+}
 
-const normaliseGrade = (cur, g) => {
-  if (!g) return g;
+// The standards index (public/standards_index.v1.json) is loaded by lib/standards/standards-index.mjs
+let STD_INDEX = null;
 
-  if (cur === "england") {
-    const y = parseInt(String(g).replace(/[^0-9]/g, ""), 10);
-    if (y >= 1 && y <= 2)   return "KS1";
-    if (y >= 3 && y <= 6)   return "KS2";
-    if (y >= 7 && y <= 9)   return "KS3";
-    if (y >= 10 && y <= 11) return "KS4";
-    if (y >= 12 && y <= 13) return "KS5";
-    return g;                         // e.g. "KS3" already
-  }
+const norm = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
 
-  // existing NYS / Common Core logic
-  if (["nys", "common_core", "none"].includes(cur)) {
-    const low = g.toLowerCase();
-    if (low === "kindergarten") return "Grade K";
-    if (/^pre[-\s]?k$/i.test(g) || /^pk$/i.test(g)) return "Grade PK";
-  }
-  return g;
-};
+// A row of the subject's file at that grade, or of one of its supporting files, within the
+// clusters the subject takes of them (lib/curricula resolveSubject)
+const inStage = (r, { subjectKey, also, gradeKey, clusters }) => inClusters(clusters, r) &&
+  ((norm(r.subjectKey) === norm(subjectKey) && gradeMatches(r.grade, gradeKey)) || also.includes(r.subjectKey));
 
-const norm = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+// The same at any grade
+const inSubject = (r, { subjectKey, also, clusters }) => inClusters(clusters, r) &&
+  (norm(r.subjectKey) === norm(subjectKey) || also.includes(r.subjectKey));
 
 /* ---------------- retrieval: relaxed filters + hybrid scoring ---------------- */
 
-async function retrieveCandidates({ curriculum, subjectKey, gradeKey, input }) {
+// also: supporting files of the same stage (lib/curricula), searched with the subject at any grade
+async function retrieveCandidates({ curriculum, subjectKey, also = [], clusters = {}, gradeKey, input, strand = "" }) {
   if (!STD_INDEX?.length || !subjectKey) return [];
-
-  const gradeKeyNorm = norm(gradeKey);
+  const stage = { subjectKey, also, gradeKey, clusters };
 
   // Progressive pools from strict to relaxed
   const pools = [];
@@ -247,15 +142,20 @@ async function retrieveCandidates({ curriculum, subjectKey, gradeKey, input }) {
   // strict: curriculum + subject + grade
   pools.push(STD_INDEX.filter(r =>
     norm(r.curriculum) === norm(curriculum) &&
-    norm(r.subjectKey) === norm(subjectKey) &&
-    norm(r.grade) === gradeKeyNorm
+    inStage(r, stage)
   ));
 
+  // strictest: one strand of that grade (only rows extracted from the PDFs have one)
+  if (strand) {
+    const inStrand = pools[0].filter(r => norm(r.strand) === norm(strand));
+    if (inStrand.length) pools.unshift(inStrand);
+  }
+
   // relax grade: curriculum + subject
   if (!pools[0].length) {
     pools.push(STD_INDEX.filter(r =>
       norm(r.curriculum) === norm(curriculum) &&
-      norm(r.subjectKey) === norm(subjectKey)
+      inSubject(r, stage)
     ));
   }
 
@@ -297,7 +197,13 @@ async function retrieveCandidates({ curriculum, subjectKey, gradeKey, input }) {
   return blended.slice(0, 25);
 }
 
-async function rerankAndSelect(topic, candidates) {
+// A lesson aligns to one primary standard and up to MAX_STANDARDS - 1 supporting ones
+const MAX_STANDARDS = 3;
+const SUPPORT_THRESHOLD = 4.5; // supporting standards must match more clearly than the primary
+const MAX_EQUIVALENTS = 2;     // standards from other curricula cited alongside (see /api/crosswalk)
+
+// chosen: the primary standard; supporting: other close matches the same lesson also addresses
+async function rerankAndSelect(topic, candidates, { max = MAX_STANDARDS } = {}) {
   if (!candidates.length) return { needsChoice: true, ranked: [] };
 
   const top = candidates.slice(0, 12);
@@ -312,14 +218,57 @@ async function rerankAndSelect(topic, candidates) {
   if (!best || best.scoreLLM < threshold) {
     return { needsChoice: true, ranked: scored.slice(0, 5) };
   }
-  return { needsChoice: false, ranked: scored.slice(0, 5), chosen: best };
+  const supporting = scored.slice(1)
+    .filter(r => r.code !== best.code && r.scoreLLM >= SUPPORT_THRESHOLD)
+    .slice(0, Math.max(0, max - 1));
+  return { needsChoice: false, ranked: scored.slice(0, 5), chosen: best, supporting };
+}
+
+/* ---------------- streaming ---------------- */
+
+// NDJSON, one object per line, written as each section finishes:
+//   { type: "meta", code, standard, source, alignedStandards, template, language, outline, standards,
+//     lessons, sections: [{ key, title }], quiz }  code / standard / source: the primary standard;
+//                                               alignedStandards: [{ code, description, curriculum, primary,
+//                                               equivalent?, source }], equivalent: cited from another curriculum;
+//                                               standards: the ranked candidates; language: the
+//                                               output language { code, name, mode }
+//   { type: "section", lesson, key, title, content, data }  lesson 0 is the end-of-unit quiz;
+//                                                          data is the typed section, content its Markdown
+//   { type: "section", lesson, key, title, error, code, retryable }   failed; the rest carry on
+//   { type: "done", plan, lessonPlan, failures }            plan: full Markdown, failed sections marked;
+//                                                          lessonPlan: typed plan (lib/plan/lesson-plan.mjs)
+//                                                          (both omitted when only some sections were asked for)
+async function streamPlan(res, { meta, calls, run, assemble }) {
+  res.writeHead(200, {
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no"
+  });
+  const send = (obj) => {
+    res.write(`${JSON.stringify(obj)}\n`);
+    res.flush?.(); // push through compression
+  };
+
+  send({ type: "meta", ...meta });
+  const results = await Promise.all(calls.map(async (c) => {
+    const out = await run(c);
+    send({ type: "section", ...out });
+    return out;
+  }));
+  send({ type: "done", ...assemble(results), failures: failuresOf(results) });
+  res.end();
 }
 
+const failuresOf = (results) => results
+  .filter(r => r.error)
+  .map(({ lesson, key, error, code, retryable }) => ({ lesson, key, error, code, retryable }));
+
 /* ---------------- API handler ---------------- */
 
 export default async function handler(req, res) {
   if (req.method !== "POST")
-    return res.status(405).json({ error: "Method not allowed" });
+    return sendError(res, "METHOD_NOT_ALLOWED");
 
   const {
     curriculum = "nys",
@@ -328,63 +277,130 @@ export default async function handler(req, res) {
     input = "",
     numLessons = 1,
     includeQuiz = false,
-    forceCode = "" // when user picks a specific code
+    forceCode = "", // when user picks a specific code
+    forceCodes = null, // several codes: forceCode (or else the first) is primary, the rest supporting
+    maxStandards = MAX_STANDARDS, // auto-selection: 1 keeps to a single standard
+    equivalents = [], // [{ curriculum, code }]: equivalents in other curricula (/api/crosswalk) to cite too
+    strand = "",    // optional: limit retrieval to one strand / domain
+    examBoard = "", // optional: retrieve from that board's specification where the stage has one (England KS4)
+    classId = "",   // optional: one of the signed-in teacher's class profiles (/api/classes), for every section
+    language = "",  // optional: output language code (lib/plan/output-language.mjs); default English
+    languageMode = "", // full | students | bilingual, with a language other than English
+    stream = false, // NDJSON: one line per section as it completes (see streamPlan)
+    only = null,    // [{ lesson, key }]: regenerate just these sections (with forceCode)
+    regenerate = null, // { lesson, key, instruction?, previous? }: rewrite one section (with forceCode)
+    outline: givenOutline = null, // the unit outline from an earlier response, so retries keep the same lessons
+    template: templateId = DEFAULT_TEMPLATE // lib/templates/lessons/<id>.json
   } = req.body || {};
 
-  if (!process.env.OPENAI_API_KEY)
-    return res.status(500).json({ error: "Missing OpenAI API key" });
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (e) {
+    return sendError(res, new GenerationError("PROVIDER_MISCONFIGURED", e.message));
+  }
   if (!curriculum.trim() || !subject.trim() || !grade.trim() || !input.trim())
-    return res.status(400).json({ error: "Curriculum, subject, grade/year, and topic are required." });
+    return sendError(res, new GenerationError("INVALID_REQUEST", "Curriculum, subject, grade/year, and topic are required."));
+
+  const curriculumDef = getCurriculum(curriculum);
+  if (!curriculumDef) return sendError(res, new GenerationError("INVALID_REQUEST", `Unknown curriculum "${curriculum}".`));
+  // Subject, grade and exam board pick the standards files (England Year 8 Science -> the KS3
+  // programme; Year 10 English with AQA -> the AQA specification, with the KS4 programme supporting)
+  const { subjectKey, also, gradeKey, examBoards, clusters, unavailable } = resolveSubject(curriculum, subject, grade, examBoard);
+  const stage = { subjectKey, also, gradeKey, clusters };
+  if (!subjectKey) {
+    return sendError(res, new GenerationError("INVALID_REQUEST", unavailable || `${subject} is not offered for ${grade} in ${curriculumDef.name}.`));
+  }
+  if (examBoard && !examBoards.includes(examBoard)) {
+    return sendError(res, new GenerationError("INVALID_REQUEST",
+      examBoards.length ? `Choose one of these exam boards: ${examBoards.join(", ")}.` : `${subject} for ${grade} has no exam board choice.`));
+  }
+
+  const template = getTemplate(templateId);
+  if (!template) return sendError(res, new GenerationError("INVALID_REQUEST", `Unknown lesson template "${templateId}".`));
+
+  const { data: outputLanguage, error: languageError } = resolveOutputLanguage(language, languageMode);
+  if (languageError) return sendError(res, new GenerationError("INVALID_REQUEST", languageError));
+
+  let classProfile = null;
+  if (classId) {
+    const email = await requireEmail(req, res);
+    if (!email) return;
+    classProfile = await getClass(email, String(classId));
+    if (!classProfile) return sendError(res, new GenerationError("INVALID_REQUEST", "That class profile was not found."));
+  }
 
   // Ensure index is available in this runtime
-  const INDEX = await loadIndex(req);
-  res.setHeader("x-index-rows", String(INDEX.length || 0));
-  if (!INDEX.length) {
+  STD_INDEX = await loadStandardsIndex(req);
+  res.setHeader("x-index-rows", String(STD_INDEX.length || 0));
+  if (!STD_INDEX.length) {
     // No index available, avoid hallucination
-    res.setHeader("x-model-used", CHAT_MODEL);
-    return res.status(200).json({ needsChoice: true, candidates: [] });
+    return sendError(res, "INDEX_UNAVAILABLE");
+  }
+  // A subject defined ahead of its standards file would otherwise borrow codes from other subjects
+  if (curriculumDef.standards && !STD_INDEX.some(r => r.curriculum === curriculum && r.subjectKey === subjectKey)) {
+    return sendError(res, new GenerationError("INDEX_UNAVAILABLE",
+      `No ${curriculumDef.name} ${subject} standards are in the index yet, so lessons cannot be aligned to them.`));
   }
-
-  const gradeKey = normaliseGrade(curriculum, grade);
-  const subjectKey = subjectKeyMap[curriculum]?.[subject];
 
   let chosen = null;
+  let supporting = [];
   let ranked = [];
 
-  if (forceCode) {
-    // Find exact code with relaxed metadata constraints
+  const pickedCodes = Array.from(new Set([forceCode, ...(Array.isArray(forceCodes) ? forceCodes : [])]
+    .map(c => String(c || "").trim()).filter(Boolean)));
+  if (pickedCodes.length > MAX_STANDARDS) {
+    return sendError(res, new GenerationError("INVALID_REQUEST", `Choose at most ${MAX_STANDARDS} standards.`));
+  }
+
+  if (pickedCodes.length) {
+    // Find each code with relaxed metadata constraints; a supporting standard may come from
+    // another subject (an ELA writing standard in a science lesson)
     const pools = [];
     pools.push(STD_INDEX.filter(r =>
       norm(r.curriculum) === norm(curriculum) &&
-      norm(r.subjectKey) === norm(subjectKey) &&
-      norm(r.grade) === norm(gradeKey)
+      inStage(r, stage)
     ));
-    if (!pools[0].length) {
-      pools.push(STD_INDEX.filter(r =>
-        norm(r.curriculum) === norm(curriculum) &&
-        norm(r.subjectKey) === norm(subjectKey)
-      ));
-    }
-    if (!pools.at(-1).length) {
-      pools.push(STD_INDEX.filter(r => norm(r.curriculum) === norm(curriculum)));
+    pools.push(STD_INDEX.filter(r =>
+      norm(r.curriculum) === norm(curriculum) &&
+      inSubject(r, stage)
+    ));
+    pools.push(STD_INDEX.filter(r => norm(r.curriculum) === norm(curriculum)));
+    pools.push(STD_INDEX);
+    const find = (code) => pools.reduce((hit, pool) => hit || pool.find(r => r.code === code), null);
+    const rows = pickedCodes.map(find);
+    const missing = pickedCodes.filter((_, i) => !rows[i]);
+    if (missing.length) {
+      return sendError(res, new GenerationError("NO_STANDARD_MATCH",
+        `Standard${missing.length > 1 ? "s" : ""} ${missing.join(", ")} ${missing.length > 1 ? "were" : "was"} not found.`));
     }
-    if (!pools.at(-1).length) pools.push(STD_INDEX);
-    const pool = pools.find(arr => arr && arr.length) || [];
-    chosen = pool.find(r => r.code === forceCode) || null;
-    ranked = pool.slice(0, 5);
+    [chosen, ...supporting] = rows;
+    ranked = (pools.find(arr => arr.length) || []).slice(0, 5);
   } else {
-    const candidates = await retrieveCandidates({ curriculum, subjectKey, gradeKey, input });
-    const sel = await rerankAndSelect(input, candidates);
+    // Retrieval compares a query embedding with the index's, so both must come from one model
+    const mismatch = embeddingMismatch(await loadIndexManifest(req), provider.embedModel);
+    if (mismatch) return sendError(res, new GenerationError("INDEX_MODEL_MISMATCH", mismatch));
+    let sel;
+    try {
+      const candidates = await retrieveCandidates({ curriculum, subjectKey, also, clusters, gradeKey, input, strand });
+      sel = await rerankAndSelect(input, candidates, { max: Math.max(1, Math.min(MAX_STANDARDS, +maxStandards || 1)) });
+    } catch (e) {
+      console.error("Standard selection failed:", e);
+      return sendError(res, e);
+    }
     ranked = sel.ranked;
+    if (!ranked.length) return sendError(res, "NO_STANDARD_MATCH");
     if (sel.needsChoice) {
-      res.setHeader("x-model-used", CHAT_MODEL);
+      res.setHeader("x-model-used", provider.chatModel);
       return res.status(200).json({
         needsChoice: true,
+        maxStandards: MAX_STANDARDS,
         candidates: ranked.map(r => ({
           code: r.code,
           description: r.description,
           grade: r.grade,
           subjectKey: r.subjectKey,
+          source: sourceOf(r),
           scoreRecall: Number((r.scoreRecall || 0).toFixed(3)),
           scoreLLM: Number((r.scoreLLM || 0).toFixed(3)),
           reason: r.reason || ""
@@ -392,156 +408,266 @@ export default async function handler(req, res) {
       });
     }
     chosen = sel.chosen;
+    supporting = sel.supporting || [];
   }
 
-  if (!chosen) {
-    res.setHeader("x-model-used", CHAT_MODEL);
-    return res.status(200).json({ needsChoice: true, candidates: [] });
+  if (!chosen) return sendError(res, "NO_STANDARD_MATCH");
+
+  // A plan for teachers working across curricula cites the equivalent standards as well
+  const equivalentRows = [];
+  for (const e of (Array.isArray(equivalents) ? equivalents : []).slice(0, MAX_EQUIVALENTS)) {
+    const row = findStandard(STD_INDEX, { curriculum: String(e?.curriculum || ""), code: String(e?.code || "") });
+    if (!row) {
+      return sendError(res, new GenerationError("NO_STANDARD_MATCH", `Standard ${e?.code} was not found in ${e?.curriculum}.`));
+    }
+    equivalentRows.push(row);
   }
 
+  const aligned = [chosen, ...supporting, ...equivalentRows];
   const matchedStandard = `${chosen.code} - ${chosen.description}`;
+  const alignedStandards = aligned.map((r, i) => ({
+    code: r.code, description: r.description, curriculum: r.curriculum, primary: i === 0,
+    ...(equivalentRows.includes(r) ? { equivalent: true } : {}),
+    source: sourceOf(r)
+  }));
 
   // Prompt scaffold
-  const retrievedBlock = `Context standard (do not quote in output):
+  const retrievedBlock = supporting.length || equivalentRows.length
+    ? [
+      "Context standards (do not quote in output):",
+      `• Primary: ${chosen.code}: ${chosen.description}`,
+      ...supporting.map(r => `• Supporting: ${r.code}: ${r.description}`),
+      ...equivalentRows.map(r => `• Equivalent in ${curriculumName(r.curriculum)}: ${r.code}: ${r.description}`),
+      supporting.length && "The lesson centres on the primary standard and also addresses the supporting ones.",
+      equivalentRows.length && "Where a section cites standard codes, cite the equivalent codes too, so the plan serves both curricula."
+    ].filter(Boolean).join("\n")
+    : `Context standard (do not quote in output):
 • ${chosen.code}: ${chosen.description}`;
 
   const baseContext = `
 Teacher topic: "${input}"
 Curriculum: ${curriculum}
 Subject: ${subject}
-Grade/Year: ${grade}
+Grade/Year: ${grade}${examBoard ? `\nExam board: ${examBoard} (follow its specification and assessment style)` : ""}
 ${retrievedBlock}
 Use clear, concise Markdown. No em dashes.
-Do not restate or quote the standard code or description anywhere in your output.`.trim();
+Do not restate or quote the standard description anywhere in your output; cite standard codes only where a section asks for them.`.trim();
 
   const gradeLine = grade ? `Language level: suitable for students in ${grade}.` : "";
-
-  const sectionDefs = [
-    { key: "purpose", title: "### 0. Why are we learning this?", instr:
-`Write one paragraph no longer than **70 words**.
-Start with the big idea.
-Mention how understanding it supports critical thinking or future study.
-End with "Consider how…" to spark reflection.
-No bullet points in the output.` },
-    { key: "objective", title: "### 1. Learning Objective", instr:
-`Write one measurable objective that:
-• Starts with "Students will be able to…".
-• Uses a Bloom verb.
-• References the specific concept or skill.
-• Ends with the standard code in parentheses (e.g., ${chosen.code}).`, fmt: "- {{objective}}" },
-    { key: "misconceptions", title: "### 2. Common Misconceptions", instr:
-`List exactly **three** misconceptions.
-For each: student misconception (≤ 12 words), why it happens (1 sentence), teacher check/fix (1 sentence).`, fmt:
-`1. **Student misconception:** {{m1}}
-   **Why it happens:** {{c1}}
-   **Teacher check / fix:** {{f1}}
-
-2. **Student misconception:** {{m2}}
-   **Why it happens:** {{c2}}
-   **Teacher check / fix:** {{f2}}
-
-3. **Student misconception:** {{m3}}
-   **Why it happens:** {{c3}}
-   **Teacher check / fix:** {{f3}}` },
-    { key: "thinking", title: "### 3. Thinking Questions", instr:
-`Write **three** open-ended questions at Analyze/Evaluate.
-Require justification or comparison. Do not supply answers.`, fmt: "1. {{q1}}\n2. {{q2}}\n3. {{q3}}" },
-    { key: "assessment", title: "### 4. Assessment Questions (with Model Answers)", instr:
-`Create **three** checks for understanding.
-Vary formats (MCQ, short answer, diagram label).
-Order from recall to application.
-After each question, give a model answer prefixed **Answer:**.
-Start directly with item 1.`, fmt:
-"1. Q: {{a1}}\n   **Answer:** {{aa1}}\n2. Q: {{a2}}\n   **Answer:** {{aa2}}\n3. Q: {{a3}}\n   **Answer:** {{aa3}}" },
-    { key: "activities", title: "### 5. Suggested Activities", instr:
-`Provide **three** low-prep activities.
-Include at least one hands-on and one discussion task.
-List materials in parentheses.
-Each ≤ 25 words.`, fmt: "- {{act1}}\n- {{act2}}\n- {{act3}}" },
-    { key: "diff", title: "### 6. Differentiation Tips", instr:
-`Give exactly two strategies: Support (≤ 25 words) and Extension (≤ 25 words).`, fmt:
-"- **Support:** {{support}}\n- **Extension:** {{extension}}" }
-  ];
+  const classBlock = classPrompt(classProfile);
+  // Language subjects pitch the language taught at the grade
+  const learners = teachesLanguage(curriculum, subject);
+  const languageLines = (sec) => languagePrompt(outputLanguage, { audience: sec.audience || sectionTypeOf(sec).audience, learners, grade });
+
+  // Sections come from the lesson template; {{standardCode}} etc. are filled per request. With a
+  // class profile, differentiation also gives an accommodation per listed need.
+  const vars = { standardCode: chosen.code, standardCodes: aligned.map(r => r.code).join(", "), subject, grade, topic: input };
+  const needs = needLabels(classProfile);
+  const sectionDefs = template.sections.map(sec => ({
+    ...sec,
+    instr: fillVars(sec.instr, vars),
+    ...(sec.fmt ? { fmt: fillVars(sec.fmt, vars) } : {}),
+    ...(sec.type === "differentiation" && needs.length ? {
+      instr: `${fillVars(sec.instr, vars)}
+Also return "accommodations": [{"need": "<need>", "accommodation": "<≤ 20 words>"}], one targeted accommodation for each of: ${needs.join(", ")}.`,
+      needs
+    } : {})
+  }));
 
   const lessonNos = Array.from({ length: Math.max(1, Math.min(5, +numLessons)) }, (_, i) => i + 1);
 
-  const buildUserMsg = (lessonNo, sec) => ({
+  // Multi-lesson units are outlined first so lessons progress instead of repeating each other
+  let outline = null;
+  if (lessonNos.length > 1) {
+    outline = normaliseOutline(givenOutline, lessonNos.length);
+    if (!outline) {
+      try {
+        const standard = aligned.map(r => `${r.code} - ${r.description}`).join("; ");
+        outline = await draftOutline({ input, subject, grade, standard, count: lessonNos.length, language: outputLanguage });
+      } catch (e) {
+        console.error("Unit outline failed:", e);
+        return sendError(res, e);
+      }
+    }
+  }
+
+  const outlineBlock = (lessonNo) => {
+    if (!outline) return `Lesson ${lessonNo} of ${lessonNos.length}`;
+    const slot = outline.lessons[lessonNo - 1];
+    return `Unit outline${outline.title ? ` (${outline.title})` : ""}:
+${outline.lessons.map(l => `${l.lesson}. ${l.title}: ${l.objective}`).join("\n")}
+
+This is Lesson ${lessonNo} of ${lessonNos.length}: ${slot.title}
+Lesson objective: ${slot.objective}
+${slot.buildsOn ? `Builds on: ${slot.buildsOn}. Do not reteach earlier lessons.\n` : ""}Keep to this lesson's slot; later lessons cover the rest.`;
+  };
+
+  const quizDef = { key: "quiz", title: "## End-of-Unit Quiz", type: "quiz", maxTokens: 900, instr:
+`Write a short **end-of-unit quiz** (5 questions) covering the whole unit.
+Mix multiple-choice (four options, exactly one correct), true/false and short-answer.
+Give the answer for each; for multiple-choice, the answer is the exact text of the correct option.
+Give one sentence of feedback for each that explains why the answer is right.` };
+
+  // Lesson 0 is the end-of-unit quiz. `note` is extra guidance, e.g. for a rewrite.
+  const buildUserMsg = (lessonNo, sec, note = "") => ({
     role: "user",
     content:
 `${baseContext}
 ${gradeLine}
+${classBlock}
 
-Lesson ${lessonNo} of ${lessonNos.length}
+${lessonNo ? outlineBlock(lessonNo) : `End of a ${lessonNos.length}-lesson unit`}
 
-Write only the ${sec.key.replace(/^./, m => m.toUpperCase())} section.
+${lessonNo ? `Write only the ${sec.key.replace(/^./, m => m.toUpperCase())} section.` : "Write only the end-of-unit quiz."}
 
 ${sec.instr}
-${sec.fmt ? `\nFormat:\n${sec.fmt}` : ""}`.trim()
+${note ? `\n${note}\n` : ""}${languageLines(sec) ? `\n${languageLines(sec)}\n` : ""}
+${replyInstructions(sec)}`.trim()
   });
 
   const calls = [];
   lessonNos.forEach(n => sectionDefs.forEach(sec => calls.push({ lesson: n, sec, msg: buildUserMsg(n, sec) })));
-  if (includeQuiz) {
-    calls.push({
-      lesson: 0,
-      sec: { key: "quiz", title: "## End-of-Unit Quiz" },
-      msg: { role: "user", content:
-`${baseContext}
-${gradeLine}
+  if (includeQuiz) calls.push({ lesson: 0, sec: quizDef, msg: buildUserMsg(0, quizDef) });
+
+  // Sections come back as JSON (see lib/plan/lesson-plan.mjs for the shapes)
+  const chatSection = (c) => callModel(() => provider.chatJSON([
+    { role: "system", content: "You are a helpful assistant that creates lesson plans. Respond only with valid JSON." }, c.msg
+  ], { temperature: 0.6, maxTokens: c.sec.maxTokens || 600, mock: () => sectionTypeOf(c.sec).mock(c.sec) }));
+
+  // final guard: never echo a standard back
+  const echoes = aligned.map(r => `${r.code} - ${r.description}`);
+  const guard = (v) => {
+    if (typeof v === "string") return echoes.reduce((t, e) => t.replaceAll(e, ""), v).trim();
+    if (Array.isArray(v)) return v.map(guard);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, guard(x)]));
+    return v;
+  };
 
-Write a short **end-of-unit quiz** (5 questions).
-Mix multiple-choice and short-answer.
-Provide an answer key afterwards.` }
-    });
-  }
+  // One section; failures are reported in place so the rest of the plan survives.
+  // A reply that isn't JSON or doesn't match the section's schema gets one more try.
+  const runSection = async (c) => {
+    const head = { lesson: c.lesson, key: c.sec.key, title: c.sec.title };
+    try {
+      let read = null;
+      for (let attempt = 0; attempt < 2 && !read?.data; attempt++) {
+        read = await chatSection(c).then(
+          raw => readSection(c.sec, guard(raw)),
+          e => { if (e instanceof SyntaxError) return { problems: [e.message] }; throw e; }
+        );
+      }
+      if (!read.data) throw new GenerationError("MODEL_OUTPUT_INVALID", undefined, { problems: read.problems });
+      return { ...head, content: read.content, data: read.data };
+    } catch (e) {
+      console.error(`Section ${c.lesson}/${c.sec.key} failed:`, e);
+      const { error, code, retryable } = errorBody(e);
+      return { ...head, error, code, retryable };
+    }
+  };
 
-  async function chat(msg) {
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
-      body: JSON.stringify({ model: CHAT_MODEL, messages: [
-        { role: "system", content: "You are a helpful assistant that creates lesson plans." }, msg
-      ], temperature: 0.6, max_tokens: 450 })
-    });
-    const d = await r.json();
-    if (d.error) throw new Error(d.error.message);
-    return d.choices?.[0]?.message?.content?.trim() || "";
+  // Rewriting one section the teacher already has: same prompt, plus what to change
+  const rewriteOf = (c, { instruction = "", previous = "" }) => {
+    const note = [
+      "The teacher already has this section and wants a new version.",
+      previous && `Previous version (do not repeat it):\n"""\n${String(previous).slice(0, 2000)}\n"""`,
+      instruction && `Teacher's instruction: ${String(instruction).slice(0, 300)}`
+    ].filter(Boolean).join("\n");
+    return { ...c, msg: buildUserMsg(c.lesson, c.sec, note) };
+  };
+
+  let wanted = calls;
+  if (regenerate) {
+    const target = calls.find(c => c.lesson === Number(regenerate.lesson) && c.sec.key === regenerate.key);
+    if (!pickedCodes.length || !target) {
+      return sendError(res, new GenerationError("INVALID_REQUEST",
+        "Regenerating a section needs the chosen standards (forceCode / forceCodes), a lesson number and a section key."));
+    }
+    wanted = [rewriteOf(target, regenerate)];
+  } else if (Array.isArray(only) && only.length) {
+    // Regenerating failed parts: only the requested sections run
+    wanted = calls.filter(c => only.some(o => o && Number(o.lesson) === c.lesson && o.key === c.sec.key));
+    if (!wanted.length) {
+      return sendError(res, new GenerationError("INVALID_REQUEST", "None of the sections asked for are part of this plan."));
+    }
   }
 
-  try {
-    const outputs = await Promise.all(calls.map(c => chat(c.msg)));
+  const lessonHeading = (n) => {
+    const slot = outline?.lessons[n - 1];
+    return `## Lesson ${n} of ${lessonNos.length}${slot ? `: ${slot.title}` : ""}`;
+  };
+  const outlineMarkdown = () => outline && [
+    `## Unit Overview${outline.title ? `: ${outline.title}` : ""}`,
+    ...outline.lessons.map(l => `${l.lesson}. **${l.title}**: ${l.objective}`)
+  ].join("\n");
+
+  // results[i] is the section for calls[i]. The whole plan, as Markdown (`plan`) and as a typed
+  // object (`lessonPlan`), only exists when every call ran; {} otherwise.
+  const assemble = (results) => {
+    if (wanted !== calls) return {};
+    const at = (n, key) => results[calls.findIndex(c => c.lesson === n && c.sec.key === key)];
+    const body = (n, key) => at(n, key).content ?? "_This section could not be generated._";
     const lessonBlocks = lessonNos.map(n => {
-      const secs = sectionDefs.map(sec => {
-        const idx = calls.findIndex(c => c.lesson === n && c.sec.key === sec.key);
-        return `${sec.title}\n${outputs[idx]}`;
-      });
-      return `## Lesson ${n} of ${lessonNos.length}\n\n${secs.join("\n\n")}`;
+      const secs = sectionDefs.map(sec => `${sec.title}\n${body(n, sec.key)}`);
+      return `${lessonHeading(n)}\n\n${secs.join("\n\n")}`;
     });
-    let md = lessonBlocks.join("\n\n");
-    if (includeQuiz) {
-      const quizIdx = calls.findIndex(c => c.sec.key === "quiz");
-      md += `\n\n${calls[quizIdx].sec.title}\n${outputs[quizIdx]}`;
-    }
+    let md = [outlineMarkdown(), ...lessonBlocks].filter(Boolean).join("\n\n");
+    if (includeQuiz) md += `\n\n${quizDef.title}\n${body(0, quizDef.key)}`;
+
+    const lessonPlan = buildLessonPlan({
+      template: template.id,
+      language: outputLanguage,
+      standard: { code: chosen.code, description: chosen.description },
+      standards: alignedStandards.map(({ code, description, curriculum, primary }) => ({ code, description, curriculum, primary })),
+      outline,
+      lessons: lessonNos.length,
+      sections: sectionDefs,
+      quiz: includeQuiz ? quizDef : null,
+      sectionOf: (n, key) => at(n, key)?.data
+    });
+    return { plan: md.trim(), lessonPlan };
+  };
+
+  const meta = {
+    code: chosen.code,
+    standard: matchedStandard,
+    source: sourceOf(chosen),
+    alignedStandards,
+    template: template.id,
+    language: outputLanguage,
+    outline,
+    standards: (ranked || []).map(r => ({
+      code: r.code,
+      description: r.description,
+      grade: r.grade,
+      subjectKey: r.subjectKey,
+      source: sourceOf(r),
+      scoreRecall: r.scoreRecall ? Number(r.scoreRecall.toFixed(3)) : undefined,
+      scoreLLM: r.scoreLLM ? Number(r.scoreLLM.toFixed(3)) : undefined
+    }))
+  };
 
-    // final guard
-    md = matchedStandard ? md.replaceAll(matchedStandard, "").trim() : md;
-
-    res.setHeader("x-model-used", CHAT_MODEL);
-    res.setHeader("x-index-rows", String(STD_INDEX?.length || 0));
-    return res.status(200).json({
-      standard: matchedStandard,
-      standards: (ranked || []).map(r => ({
-        code: r.code,
-        description: r.description,
-        grade: r.grade,
-        subjectKey: r.subjectKey,
-        scoreRecall: r.scoreRecall ? Number(r.scoreRecall.toFixed(3)) : undefined,
-        scoreLLM: r.scoreLLM ? Number(r.scoreLLM.toFixed(3)) : undefined
-      })),
-      plan: md
+  res.setHeader("x-model-used", provider.chatModel);
+  res.setHeader("x-index-rows", String(STD_INDEX?.length || 0));
+
+  if (stream) {
+    return streamPlan(res, {
+      meta: {
+        ...meta,
+        lessons: lessonNos.length,
+        sections: sectionDefs.map(({ key, title, type }) => ({ key, title, type })),
+        quiz: includeQuiz ? { key: quizDef.key, title: quizDef.title, type: quizDef.type } : null
+      },
+      calls: wanted,
+      run: runSection,
+      assemble
     });
-  } catch (e) {
-    console.error("Generation failed:", e);
-    return res.status(500).json({ error: "Failed to generate response." });
   }
+
+  const results = await Promise.all(wanted.map(runSection));
+  const failures = failuresOf(results);
+  // Nothing usable: surface the first failure as the request's error
+  if (results.length && failures.length === results.length) {
+    return sendError(res, new GenerationError(failures[0].code, failures[0].error), { failures });
+  }
+  if (regenerate) return res.status(200).json({ ...meta, section: results[0] });
+  return res.status(200).json({ ...meta, ...assemble(results), sections: results, failures });
 }
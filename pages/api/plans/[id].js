@@ -0,0 +1,32 @@
+// pages/api/plans/[id].js
+// GET    /api/plans/:id            -> { plan }
+// PUT    /api/plans/:id  { ... }   -> { plan }   (fields given replace the saved ones)
+// DELETE /api/plans/:id            -> 204
+
+import { requireEmail } from "../../../lib/auth.mjs";
+import { getPlan, updatePlan, deletePlan, validatePlan } from "../../../lib/store/plans.mjs";
+
+export default async function handler(req, res) {
+  const email = await requireEmail(req, res);
+  if (!email) return;
+  const { id } = req.query;
+
+  if (req.method === "GET") {
+    const plan = await getPlan(email, id);
+    return plan ? res.status(200).json({ plan }) : res.status(404).json({ error: "Plan not found." });
+  }
+
+  if (req.method === "PUT") {
+    const { data, error } = validatePlan(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const plan = await updatePlan(email, id, data);
+    return plan ? res.status(200).json({ plan }) : res.status(404).json({ error: "Plan not found." });
+  }
+
+  if (req.method === "DELETE") {
+    return (await deletePlan(email, id)) ? res.status(204).end() : res.status(404).json({ error: "Plan not found." });
+  }
+
+  res.setHeader("Allow", "GET, PUT, DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
@@ -0,0 +1,25 @@
+// pages/api/plans/index.js
+// GET  /api/plans?q=&className=&curriculum=&subject=&grade=&standardCode=   -> { plans: [summary] }
+// POST /api/plans  { title, className?, curriculum, subject, grade, examBoard?, topic, standardCode, standard, markdown, ... }
+//                                                                -> 201 { plan }
+
+import { requireEmail } from "../../../lib/auth.mjs";
+import { listPlans, createPlan, validatePlan } from "../../../lib/store/plans.mjs";
+
+export default async function handler(req, res) {
+  const email = await requireEmail(req, res);
+  if (!email) return;
+
+  if (req.method === "GET") {
+    return res.status(200).json({ plans: await listPlans(email, req.query) });
+  }
+
+  if (req.method === "POST") {
+    const { data, error } = validatePlan(req.body);
+    if (error) return res.status(400).json({ error });
+    return res.status(201).json({ plan: await createPlan(email, data) });
+  }
+
+  res.setHeader("Allow", "GET, POST");
+  return res.status(405).json({ error: "Method not allowed" });
+}
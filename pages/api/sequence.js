@@ -0,0 +1,77 @@
+// pages/api/sequence.js
+// POST /api/sequence  { curriculum, subject, grade, examBoard?, weeks, lessonsPerWeek, anchors?: [topic],
+//                       startDate?: "YYYY-MM-DD", format?: "json" | "csv" | "ics" }
+//   json -> { sequence: { weeks, lessonsPerWeek, totalLessons, unmatchedAnchors, moved,
+//                         units: [{ n, title, anchor, lessons, startWeek, endWeek, buildsOn,
+//                                   standards: [{ code, description, strand, cluster, ... }],
+//                                   blocks: [{ from, to, codes }] }],
+//                         lessons: [{ n, week, day, unit, codes }] } }
+//   csv / ics -> the year plan as a file (lib/export/sequence.mjs)
+//
+// Scope and sequence for a school year: every standard the planner retrieves from for the subject,
+// grade and exam board, spread across units and weeks (lib/standards/sequence.mjs). buildsOn lists
+// the standards from other grades whose progression arrows lead into a unit. Each block is one
+// planner run (up to 5 lessons and 3 standards) that expands part of a unit into full lessons.
+
+import { GenerationError, sendError } from "../../lib/llm/errors.mjs";
+import { loadStandardsIndex } from "../../lib/standards/standards-index.mjs";
+import { catalogueEntry, selectStandards } from "../../lib/standards/catalogue.mjs";
+import { buildSequence, SEQUENCE_LIMITS } from "../../lib/standards/sequence.mjs";
+import { renderSequenceCsv, renderSequenceIcs, sequenceFileName, firstSchoolDay } from "../../lib/export/sequence.mjs";
+
+const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", render: renderSequenceCsv },
+  ics: { type: "text/calendar; charset=utf-8", render: renderSequenceIcs }
+};
+
+const MAX_ANCHORS = 20;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return sendError(res, "METHOD_NOT_ALLOWED");
+  const body = req.body || {};
+  const { curriculum = "", subject = "", grade = "", examBoard = "", anchors = [], startDate = "", format = "json" } = body;
+  const bad = (msg) => sendError(res, new GenerationError("INVALID_REQUEST", msg));
+
+  if (!String(curriculum).trim() || !String(subject).trim() || !String(grade).trim()) {
+    return bad("Curriculum, subject and grade/year are required.");
+  }
+  if (format !== "json" && !FORMATS[format]) return bad(`format must be one of: json, ${Object.keys(FORMATS).join(", ")}.`);
+  const [weeks, lessonsPerWeek] = ["weeks", "lessonsPerWeek"].map(k => {
+    const n = Number(body[k]);
+    const [min, max] = SEQUENCE_LIMITS[k];
+    return Number.isInteger(n) && n >= min && n <= max ? n : null;
+  });
+  if (!weeks) return bad(`weeks must be a whole number from ${SEQUENCE_LIMITS.weeks.join(" to ")}.`);
+  if (!lessonsPerWeek) return bad(`lessonsPerWeek must be a whole number from ${SEQUENCE_LIMITS.lessonsPerWeek.join(" to ")}.`);
+  if (!Array.isArray(anchors) || anchors.some(a => typeof a !== "string")) return bad("anchors must be a list of topics.");
+  if (startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !firstSchoolDay(startDate))) return bad("startDate must be a date (YYYY-MM-DD).");
+
+  const index = await loadStandardsIndex(req);
+  if (!index.length) return sendError(res, "INDEX_UNAVAILABLE");
+  const { rows, error } = selectStandards(index, String(curriculum), { subject: String(subject), grade: String(grade), examBoard: String(examBoard) });
+  if (error) return bad(error);
+  if (!rows.length) {
+    return sendError(res, new GenerationError("INDEX_UNAVAILABLE", `No ${subject} standards for ${grade} are in the index yet.`));
+  }
+
+  // Arrows from the subject's other grades (its files at every stage) say what each unit builds on
+  const year = new Set(rows);
+  const family = selectStandards(index, String(curriculum), { subject: String(subject) }).rows;
+  let sequence;
+  try {
+    sequence = buildSequence(rows, {
+      weeks, lessonsPerWeek,
+      anchors: [...new Set(anchors.map(a => a.trim()).filter(Boolean))].slice(0, MAX_ANCHORS),
+      related: family.filter(r => r.next?.length && !year.has(r))
+    });
+  } catch (e) {
+    return bad(e.message);
+  }
+  sequence.units.forEach(u => { u.standards = u.standards.map(catalogueEntry); });
+
+  if (format === "json") return res.status(200).json({ sequence });
+  const meta = { curriculum, subject, grade, startDate };
+  res.setHeader("Content-Type", FORMATS[format].type);
+  res.setHeader("Content-Disposition", `attachment; filename="${sequenceFileName(meta)}.${format}"`);
+  return res.status(200).send(FORMATS[format].render(sequence, meta));
+}
@@ -1,10 +1,12 @@
 // pages/api/set-region.js
 import { serialize } from "cookie";
+import { getCurriculum } from "../../lib/curricula/curricula.mjs";
 
 export default function handler(req, res) {
   if (req.method !== "POST") return res.status(405).end();
 
   const { region } = req.body;
+  if (!getCurriculum(region)) return res.status(400).json({ error: "Unknown region." });
   // Set a cookie named "region" for one year
   res.setHeader(
     "Set-Cookie",
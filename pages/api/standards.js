@@ -0,0 +1,69 @@
+// pages/api/standards.js
+// GET /api/standards?curriculum=england&subject=Science&grade=Year 8&strand=&cluster=&q=&mode=text&limit=50&offset=0
+//   -> { total, standards: [{ curriculum, code, description, grade, subjectKey, strand, cluster, source,
+//                             similarity?, plan: { subject, grade, examBoard? } | null }],
+//        strands: [{ strand, count, clusters: [{ cluster, count }] }] }
+//
+// The standards browser (pages/standards.js). subject and grade are as picked in the planner and
+// resolve to standards files through lib/curricula; either may be left out. strands is the
+// hierarchy of that selection, before strand, cluster and q narrow it. mode "text" matches every
+// word of q, "semantic" ranks by embedding similarity (lib/standards/catalogue.mjs). plan is the
+// planner choice that retrieves the standard, for "Plan a lesson for this".
+
+import { getProvider } from "../../lib/llm/providers.mjs";
+import { GenerationError, sendError } from "../../lib/llm/errors.mjs";
+import { withRetry } from "../../lib/llm/retry.mjs";
+import { loadStandardsIndex, loadIndexManifest, embeddingMismatch } from "../../lib/standards/standards-index.mjs";
+import { catalogueEntry, strandsOf, textSearch, semanticSearch, selectStandards, SEARCH_MODES } from "../../lib/standards/catalogue.mjs";
+import { getCurriculum, planChoiceFor } from "../../lib/curricula/curricula.mjs";
+
+const MAX_LIMIT = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED");
+  const { curriculum = "", subject = "", grade = "", strand, cluster = "", q = "", mode = "text" } = req.query;
+
+  const def = getCurriculum(String(curriculum));
+  if (!def) return sendError(res, new GenerationError("INVALID_REQUEST", "Choose a curriculum to browse."));
+  if (!SEARCH_MODES.includes(mode)) {
+    return sendError(res, new GenerationError("INVALID_REQUEST", `mode must be one of: ${SEARCH_MODES.join(", ")}.`));
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+  const index = await loadStandardsIndex(req);
+  if (!index.length) return sendError(res, "INDEX_UNAVAILABLE");
+
+  const { rows: selection, files, gradeKey, error } = selectStandards(index, def.id, { subject: String(subject), grade: String(grade) });
+  if (error) return sendError(res, new GenerationError("INVALID_REQUEST", error));
+
+  let rows = selection.filter(r =>
+    (strand === undefined || (r.strand || "") === strand) && (!cluster || r.cluster === cluster));
+  if (String(q).trim()) {
+    if (mode === "semantic") {
+      let provider, vector;
+      try {
+        provider = getProvider();
+      } catch (e) {
+        return sendError(res, new GenerationError("PROVIDER_MISCONFIGURED", e.message));
+      }
+      const mismatch = embeddingMismatch(await loadIndexManifest(req), provider.embedModel);
+      if (mismatch) return sendError(res, new GenerationError("INDEX_MODEL_MISMATCH", mismatch));
+      try {
+        [vector] = await withRetry(() => provider.embed([`[${def.id}][${files[0] || ""}][${gradeKey}] ${q}`]));
+      } catch (e) {
+        return sendError(res, e);
+      }
+      rows = semanticSearch(rows, vector);
+    } else {
+      rows = textSearch(rows, String(q));
+    }
+  }
+
+  const page = rows.slice(offset, offset + limit).map(r => ({
+    ...catalogueEntry(r),
+    ...(r.similarity !== undefined ? { similarity: r.similarity } : {}),
+    plan: planChoiceFor(def.id, r)
+  }));
+  return res.status(200).json({ total: rows.length, standards: page, strands: strandsOf(selection) });
+}
@@ -0,0 +1,10 @@
+// pages/api/templates.js
+// GET /api/templates -> { templates: [{ id, name, description, sections: [{ key, title }] }], default }
+
+import { listTemplates, DEFAULT_TEMPLATE } from "../../lib/templates/lesson-templates.mjs";
+import { sendError } from "../../lib/llm/errors.mjs";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") return sendError(res, "METHOD_NOT_ALLOWED");
+  return res.status(200).json({ templates: listTemplates(), default: DEFAULT_TEMPLATE });
+}
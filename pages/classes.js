@@ -0,0 +1,269 @@
+// pages/classes.js
+// "My classes": the signed-in teacher's class profiles (/api/classes). A profile picked in the
+// planner conditions every section of the generated plan (lib/plan/class-profile.mjs).
+import { getSession } from "next-auth/react";
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { NEEDS, RESOURCES } from '../lib/plan/class-profile.mjs';
+
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+  if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
+  return { props: {} };
+}
+
+const EMPTY = { name: '', size: '', readingFrom: '', readingTo: '', ealShare: '', needs: {}, resources: [], otherResources: '', notes: '' };
+
+// Saved profile <-> form fields; needs are keyed by need while editing
+const toForm = (c) => ({
+  name: c.name,
+  size: c.size ?? '',
+  readingFrom: c.readingLevel?.from || '',
+  readingTo: c.readingLevel?.to || '',
+  ealShare: c.ealShare ?? '',
+  needs: Object.fromEntries((c.needs || []).map(n => [n.need, { count: n.count ?? '', note: n.note || '' }])),
+  resources: c.resources || [],
+  otherResources: c.otherResources || '',
+  notes: c.notes || ''
+});
+const toBody = (f) => ({
+  name: f.name,
+  size: f.size,
+  readingLevel: { from: f.readingFrom, to: f.readingTo },
+  ealShare: f.ealShare,
+  needs: Object.entries(f.needs).map(([need, { count, note }]) => ({ need, count, note })),
+  resources: f.resources,
+  otherResources: f.otherResources,
+  notes: f.notes
+});
+
+export default function MyClasses() {
+  const [classes, setClasses] = useState([]);
+  const [editing, setEditing] = useState(null); // null, 'new' or a profile id
+  const [form,    setForm]    = useState(EMPTY);
+  const [loading, setLoading] = useState(true);
+  const [saving,  setSaving]  = useState(false);
+  const [error,   setError]   = useState('');
+
+  useEffect(() => {
+    fetch('/api/classes')
+      .then(r => r.json().then(d => (r.ok ? d : Promise.reject(new Error(d.error || 'Could not load classes.')))))
+      .then(d => setClasses(d.classes || []))
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const set = (k, v) => setForm(f => ({ ...f, [k]: v }));
+  const toggleNeed = (need) => setForm(f => {
+    const needs = { ...f.needs };
+    if (needs[need]) delete needs[need]; else needs[need] = { count: '', note: '' };
+    return { ...f, needs };
+  });
+  const setNeed = (need, k, v) => setForm(f => ({ ...f, needs: { ...f.needs, [need]: { ...f.needs[need], [k]: v } } }));
+  const toggleResource = (r) => setForm(f => ({
+    ...f, resources: f.resources.includes(r) ? f.resources.filter(x => x !== r) : [...f.resources, r]
+  }));
+
+  const open = (c) => { setEditing(c ? c.id : 'new'); setForm(c ? toForm(c) : EMPTY); setError(''); };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const isNew = editing === 'new';
+      const r = await fetch(isNew ? '/api/classes' : `/api/classes/${editing}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toBody(form))
+      });
+      const d = await r.json();
+      if (!r.ok) throw new Error(d.error || 'Could not save the class.');
+      setClasses(list => [...list.filter(c => c.id !== d.class.id), d.class].sort((a, b) => a.name.localeCompare(b.name)));
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (c) => {
+    if (!window.confirm(`Delete the class "${c.name}"? Saved plans keep their class name.`)) return;
+    const r = await fetch(`/api/classes/${c.id}`, { method: 'DELETE' });
+    if (!r.ok && r.status !== 404) {
+      const d = await r.json().catch(() => ({}));
+      setError(d.error || 'Could not delete the class.');
+      return;
+    }
+    setClasses(list => list.filter(x => x.id !== c.id));
+    if (editing === c.id) setEditing(null);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>My classes · Lesson Pilot</title>
+      </Head>
+
+      <div style={{ fontFamily:'-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif',
+                    background:'#f5f5f7',minHeight:'100vh',display:'flex',justifyContent:'center',padding:'3rem 1rem' }}>
+        <div style={{ background:'#fff',padding:'2rem',borderRadius:12, boxShadow:'0 4px 20px rgba(0,0,0,0.05)',
+                      width:'100%',maxWidth:960 }}>
+          <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:'1.5rem' }}>
+            <h1 style={{ margin:0,fontWeight:600,fontSize:'2rem',color:'#1c1c1e' }}>My classes</h1>
+            <Link href="/" style={{ color:'#007aff' }}>← New plan</Link>
+          </div>
+
+          <p style={{ color:'#666',marginTop:0 }}>
+            Pick a class in the planner's advanced options and every section is planned for its students and resources,
+            with an accommodation for each listed need.
+          </p>
+
+          {error && <p style={{ color:'#b00020' }}>{error}</p>}
+          {!loading && !classes.length && editing === null && (
+            <p style={{ color:'#666' }}>No classes yet.</p>
+          )}
+
+          {classes.length > 0 && (
+            <table style={{ width:'100%',borderCollapse:'collapse',fontSize:14,marginBottom:'1rem' }}>
+              <thead>
+                <tr style={{ textAlign:'left',borderBottom:'1px solid #ddd' }}>
+                  <th style={cellStyle}>Class</th>
+                  <th style={cellStyle}>Students</th>
+                  <th style={cellStyle}>Needs</th>
+                  <th style={cellStyle}>Resources</th>
+                  <th style={cellStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {classes.map(c => (
+                  <tr key={c.id} style={{ borderBottom:'1px solid #f0f0f0' }}>
+                    <td style={cellStyle}>
+                      <strong>{c.name}</strong>
+                      {(c.readingLevel?.from || c.readingLevel?.to) && (
+                        <div style={{ fontSize:12,color:'#666' }}>
+                          Reading {[c.readingLevel.from, c.readingLevel.to].filter(Boolean).join(' to ')}
+                        </div>
+                      )}
+                    </td>
+                    <td style={cellStyle}>
+                      {c.size ?? ''}
+                      {c.ealShare != null && <div style={{ fontSize:12,color:'#666' }}>{c.ealShare}% EAL/ELL</div>}
+                    </td>
+                    <td style={cellStyle}>
+                      {(c.needs || []).map(n => `${n.need === 'other' && n.note ? n.note : NEEDS[n.need]}${n.count ? ` (${n.count})` : ''}`).join(', ')}
+                    </td>
+                    <td style={cellStyle}>
+                      {[...(c.resources || []).map(r => RESOURCES[r]), c.otherResources].filter(Boolean).join(', ')}
+                    </td>
+                    <td style={{ ...cellStyle, whiteSpace:'nowrap' }}>
+                      <button onClick={() => open(c)} style={{ ...linkButton, color:'#007aff',marginRight:'0.75rem' }}>Edit</button>
+                      <button onClick={() => remove(c)} style={{ ...linkButton, color:'#b00020' }}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {editing === null ? (
+            <button onClick={() => open(null)} style={primaryButton}>+ New class</button>
+          ) : (
+            <form onSubmit={save} style={{ border:'1px solid #eee',borderRadius:8,padding:'1rem',fontSize:14 }}>
+              <h2 style={{ marginTop:0,fontSize:'1.2rem' }}>{editing === 'new' ? 'New class' : `Edit ${form.name || 'class'}`}</h2>
+
+              <div style={{ display:'flex',gap:'0.75rem',flexWrap:'wrap',marginBottom:'0.75rem' }}>
+                <label>
+                  <strong>Name:</strong>{' '}
+                  <input value={form.name} onChange={e => set('name', e.target.value)} required maxLength={80}
+                         placeholder="e.g., 7B" style={controlStyle} />
+                </label>
+                <label>
+                  <strong>Students:</strong>{' '}
+                  <input type="number" min={0} max={200} value={form.size} onChange={e => set('size', e.target.value)}
+                         style={{ ...controlStyle, width:80 }} />
+                </label>
+                <label>
+                  <strong>EAL/ELL %:</strong>{' '}
+                  <input type="number" min={0} max={100} value={form.ealShare} onChange={e => set('ealShare', e.target.value)}
+                         style={{ ...controlStyle, width:80 }} />
+                </label>
+              </div>
+
+              <div style={{ marginBottom:'0.75rem' }}>
+                <strong>Reading level:</strong>{' '}
+                <input value={form.readingFrom} onChange={e => set('readingFrom', e.target.value)} maxLength={40}
+                       placeholder="from, e.g., Grade 4" style={{ ...controlStyle, width:160 }} />
+                {' to '}
+                <input value={form.readingTo} onChange={e => set('readingTo', e.target.value)} maxLength={40}
+                       placeholder="to, e.g., Grade 8" style={{ ...controlStyle, width:160 }} />
+              </div>
+
+              <fieldset style={fieldsetStyle}>
+                <legend><strong>Needs (SEN/IEP)</strong></legend>
+                {Object.entries(NEEDS).map(([need, label]) => (
+                  <div key={need} style={{ marginBottom:'0.35rem' }}>
+                    <label style={{ display:'inline-block',minWidth:180 }}>
+                      <input type="checkbox" checked={!!form.needs[need]} onChange={() => toggleNeed(need)} /> {label}
+                    </label>
+                    {form.needs[need] && (
+                      <>
+                        <input type="number" min={0} max={200} value={form.needs[need].count}
+                               onChange={e => setNeed(need, 'count', e.target.value)} placeholder="students"
+                               style={{ ...controlStyle, width:90,marginRight:'0.5rem' }} />
+                        <input value={form.needs[need].note} onChange={e => setNeed(need, 'note', e.target.value)} maxLength={200}
+                               placeholder={need === 'other' ? 'which need' : 'note (optional)'}
+                               style={{ ...controlStyle, width:260 }} />
+                      </>
+                    )}
+                  </div>
+                ))}
+              </fieldset>
+
+              <fieldset style={fieldsetStyle}>
+                <legend><strong>Resources</strong></legend>
+                <div style={{ display:'flex',gap:'0.35rem 1rem',flexWrap:'wrap',marginBottom:'0.5rem' }}>
+                  {Object.entries(RESOURCES).map(([r, label]) => (
+                    <label key={r}>
+                      <input type="checkbox" checked={form.resources.includes(r)} onChange={() => toggleResource(r)} /> {label}
+                    </label>
+                  ))}
+                </div>
+                <input value={form.otherResources} onChange={e => set('otherResources', e.target.value)} maxLength={500}
+                       placeholder="Anything else, e.g., mini whiteboards, a kiln" style={{ ...controlStyle, width:'100%',boxSizing:'border-box' }} />
+              </fieldset>
+
+              <label style={{ display:'block',marginBottom:'0.75rem' }}>
+                <strong>Notes:</strong>
+                <textarea value={form.notes} onChange={e => set('notes', e.target.value)} maxLength={500} rows={3}
+                          placeholder="e.g., works best in pairs; double lesson on Thursdays"
+                          style={{ ...controlStyle, width:'100%',boxSizing:'border-box',display:'block',marginTop:'0.25rem' }} />
+              </label>
+
+              <button type="submit" disabled={saving} style={primaryButton}>{saving ? 'Saving…' : 'Save class'}</button>
+              <button type="button" onClick={() => setEditing(null)} style={{ ...linkButton, color:'#666',marginLeft:'1rem' }}>Cancel</button>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+const controlStyle = {
+  padding:'0.55rem',borderRadius:8,border:'1px solid #ccc'
+};
+const cellStyle = {
+  padding:'0.55rem 0.5rem',verticalAlign:'top'
+};
+const fieldsetStyle = {
+  border:'1px solid #eee',borderRadius:8,marginBottom:'0.75rem'
+};
+const linkButton = {
+  background:'none',border:'none',cursor:'pointer',padding:0
+};
+const primaryButton = {
+  padding:'0.6rem 1rem',borderRadius:8,border:'none',background:'#007aff',color:'#fff',cursor:'pointer'
+};
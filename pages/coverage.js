@@ -0,0 +1,186 @@
+// pages/coverage.js
+// Coverage: which standards of a subject and grade the teacher's saved plans have covered, per
+// strand and per class (/api/coverage), with the next uncovered standards one click from a plan.
+import { parse } from "cookie";
+import { getSession } from "next-auth/react";
+import React, { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { getCurriculum } from '../lib/curricula/curricula.mjs';
+
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+  if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
+  const { region } = parse(context.req.headers.cookie || '');
+  return { props: { defaultCurriculum: getCurriculum(region) ? region : '' } };
+}
+
+// The planner with the standard forced and the plan filed under the class
+const planHref = (s, className) => `/?${new URLSearchParams({
+  curriculum: s.curriculum, subject: s.plan.subject, grade: s.plan.grade,
+  ...(s.plan.examBoard ? { examBoard: s.plan.examBoard } : {}),
+  ...(className ? { className } : {}),
+  forceCode: s.code, topic: s.description.slice(0, 200)
+})}`;
+
+export default function Coverage({ defaultCurriculum }) {
+  const [curricula,  setCurricula]  = useState([]); // from /api/curricula, those with standards
+  const [curriculum, setCurriculum] = useState(defaultCurriculum);
+  const [subject,    setSubject]    = useState('');
+  const [grade,      setGrade]      = useState('');
+  const [className,  setClassName]  = useState('');
+  const [show,       setShow]       = useState('all'); // all | covered | untouched
+
+  const [coverage, setCoverage] = useState(null);
+  const [classes,  setClasses]  = useState([]);
+  const [loading,  setLoading]  = useState(false);
+  const [error,    setError]    = useState('');
+
+  useEffect(() => {
+    fetch('/api/curricula')
+      .then(r => r.json())
+      .then(d => {
+        const list = (d.curricula || []).filter(c => c.subjects.length);
+        setCurricula(list);
+        setCurriculum(c => (list.some(x => x.id === c) ? c : list[0]?.id || ''));
+      })
+      .catch(() => setCurricula([]));
+  }, []);
+
+  const curriculumDef = curricula.find(c => c.id === curriculum);
+  const subjectOptions = (curriculumDef?.subjects || []).map(s => s.name);
+  const gradeOptions = useMemo(() =>
+    curriculumDef?.subjects.find(s => s.name === subject)?.grades.map(g => g.grade) || [], [curriculumDef, subject]);
+
+  useEffect(() => {
+    if (!curriculum || !subject || !grade) { setCoverage(null); return; }
+    setLoading(true);
+    fetch(`/api/coverage?${new URLSearchParams({ curriculum, subject, grade, className })}`)
+      .then(r => r.json().then(d => (r.ok ? d : Promise.reject(new Error(d.error || 'Could not load coverage.')))))
+      .then(d => { setCoverage(d); setClasses(d.classes); setError(''); })
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+  }, [curriculum, subject, grade, className]);
+
+  const pickCurriculum = (id) => { setCurriculum(id); setSubject(''); setGrade(''); };
+  const pickSubject = (name) => {
+    setSubject(name);
+    const grades = curriculumDef?.subjects.find(s => s.name === name)?.grades.map(g => g.grade) || [];
+    if (!grades.includes(grade)) setGrade('');
+  };
+
+  const gradeLabel = curriculumDef?.gradeLabel || 'Grade';
+  const listed = (coverage?.standards || [])
+    .filter(s => show === 'all' || (show === 'covered') === s.plans.length > 0);
+
+  return (
+    <>
+      <Head>
+        <title>Coverage · Lesson Pilot</title>
+      </Head>
+
+      <div style={{ fontFamily:'-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif',
+                    background:'#f5f5f7',minHeight:'100vh',display:'flex',justifyContent:'center',padding:'3rem 1rem' }}>
+        <div style={{ background:'#fff',padding:'2rem',borderRadius:12, boxShadow:'0 4px 20px rgba(0,0,0,0.05)',
+                      width:'100%',maxWidth:960 }}>
+          <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:'1.5rem' }}>
+            <h1 style={{ margin:0,fontWeight:600,fontSize:'2rem',color:'#1c1c1e' }}>Coverage</h1>
+            <Link href="/" style={{ color:'#007aff' }}>← New plan</Link>
+          </div>
+
+          <div style={{ display:'flex',gap:'0.5rem',flexWrap:'wrap',marginBottom:'1.25rem' }}>
+            <select value={curriculum} onChange={e => pickCurriculum(e.target.value)} style={controlStyle}>
+              {!curriculumDef && <option value="">Curriculum</option>}
+              {curricula.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={subject} onChange={e => pickSubject(e.target.value)} style={controlStyle}>
+              <option value="">Select subject</option>
+              {subjectOptions.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <select value={grade} onChange={e => setGrade(e.target.value)} style={controlStyle}>
+              <option value="">{`Select ${gradeLabel.toLowerCase()}`}</option>
+              {gradeOptions.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+            <select value={className} onChange={e => setClassName(e.target.value)} style={controlStyle}>
+              <option value="">All classes</option>
+              {classes.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+
+          {error && <p style={{ color:'#b00020' }}>{error}</p>}
+          {!coverage && !error && <p style={{ color:'#666' }}>{loading ? 'Loading…' : `Choose a subject and ${gradeLabel.toLowerCase()}.`}</p>}
+
+          {coverage && (
+            <>
+              <p style={{ fontSize:'1.1rem',margin:'0 0 1rem' }}>
+                <strong>{coverage.percent}%</strong> covered: {coverage.covered} of {coverage.total} standards
+                {className ? ` for ${className}` : ''}.
+              </p>
+
+              <div style={{ display:'grid',gap:'0.5rem',marginBottom:'1.5rem' }}>
+                {coverage.strands.map(s => (
+                  <div key={s.strand} style={{ fontSize:13 }}>
+                    <div style={{ display:'flex',justifyContent:'space-between' }}>
+                      <span>{s.strand || 'Other'}</span>
+                      <span style={{ color:'#666' }}>{s.covered}/{s.total} · {s.percent}%</span>
+                    </div>
+                    <div style={{ height:6,background:'#eee',borderRadius:3,marginTop:3 }}>
+                      <div style={{ width:`${s.percent}%`,height:'100%',background:'#34c759',borderRadius:3 }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {coverage.next.length > 0 && (
+                <div style={{ background:'#f0f7ff',border:'1px solid #cfe3ff',borderRadius:8,padding:'1rem',marginBottom:'1.5rem' }}>
+                  <h2 style={{ fontSize:'1rem',margin:'0 0 0.5rem' }}>Plan next</h2>
+                  {coverage.next.map(s => (
+                    <div key={`${s.subjectKey}:${s.code}`} style={{ display:'flex',gap:'1rem',justifyContent:'space-between',
+                                                                   alignItems:'baseline',padding:'0.35rem 0',fontSize:14 }}>
+                      <span><strong>{s.code}</strong> {s.description}</span>
+                      <Link href={planHref(s, className)} style={{ color:'#007aff',whiteSpace:'nowrap' }}>Generate</Link>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div style={{ display:'flex',gap:'0.5rem',marginBottom:'0.5rem' }}>
+                {[['all','All'],['covered','Covered'],['untouched','Not yet planned']].map(([k, label]) => (
+                  <button key={k} onClick={() => setShow(k)}
+                          style={{ ...controlStyle, cursor:'pointer', background: show === k ? '#e8f0fe' : '#fff' }}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <table style={{ width:'100%',borderCollapse:'collapse',fontSize:14 }}>
+                <tbody>
+                  {listed.map(s => (
+                    <tr key={`${s.subjectKey}:${s.code}:${s.grade}`} style={{ borderBottom:'1px solid #f0f0f0' }}>
+                      <td style={{ ...cellStyle, width:24, color: s.plans.length ? '#34c759' : '#ccc' }}>{s.plans.length ? '✓' : '○'}</td>
+                      <td style={{ ...cellStyle, whiteSpace:'nowrap', fontWeight:500 }}>{s.code}</td>
+                      <td style={cellStyle}>
+                        {s.description}
+                        {s.plans.map(p => (
+                          <div key={p.id} style={{ fontSize:12 }}>
+                            <Link href={`/?plan=${p.id}`} style={{ color:'#007aff' }}>{p.title}</Link>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+const controlStyle = {
+  padding:'0.55rem',borderRadius:8,border:'1px solid #ccc'
+};
+const cellStyle = {
+  padding:'0.55rem 0.5rem',verticalAlign:'top'
+};
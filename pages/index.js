@@ -1,16 +1,25 @@
 // pages/index.js
 import { parse } from "cookie";
 import { getSession, useSession, signOut } from "next-auth/react";
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
 import { marked } from 'marked';
+import { buildLessonPlan } from '../lib/plan/lesson-plan.mjs';
+import { LANGUAGES, LANGUAGE_MODES } from '../lib/plan/output-language.mjs';
+import { getCurriculum } from '../lib/curricula/curricula.mjs';
+
+// The form fields a plan was generated from, kept in its layout for retries, rewrites and saving
+const REQUEST_FIELDS = ['curriculum', 'subject', 'grade', 'examBoard', 'input', 'numLessons', 'includeQuiz', 'classId'];
 
 export async function getServerSideProps(context) {
   const session = await getSession(context);
   if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
   const cookies = parse(context.req.headers.cookie || '');
   if (!cookies.region) return { redirect: { destination: '/onboard', permanent: false } };
-  return { props: { defaultCurriculum: cookies.region } };
+  // A region saved before its curriculum was removed from lib/curricula falls back to General
+  return { props: { defaultCurriculum: getCurriculum(cookies.region) ? cookies.region : 'none' } };
 }
 
 export default function Home({ defaultCurriculum }) {
@@ -20,126 +29,469 @@ export default function Home({ defaultCurriculum }) {
   const [curriculum, setCurriculum] = useState(defaultCurriculum);
   const [subject,   setSubject]   = useState('');
   const [grade,     setGrade]     = useState('');
+  const [examBoard, setExamBoard] = useState(''); // where the subject and grade offer one (England KS4)
   const [input,     setInput]     = useState('');
+  const [className, setClassName] = useState(''); // the class a saved plan counts towards on the coverage dashboard
+  const [classId,   setClassId]   = useState(''); // class profile (/api/classes) every section is planned for
+  const [language,     setLanguage]     = useState('en');   // output language (lib/plan/output-language.mjs)
+  const [languageMode, setLanguageMode] = useState('full'); // full | students | bilingual, when not English
 
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [numLessons,   setNumLessons]   = useState(1);
   const [includeQuiz,  setIncludeQuiz]  = useState(false);
+  const [template,     setTemplate]     = useState('standard'); // lesson template id (lib/templates/lessons)
+  const [templates,    setTemplates]    = useState([]);         // picker options from /api/templates
+  const [curricula,    setCurricula]    = useState([]);         // curriculum / subject / grade options from /api/curricula
+  const [classes,      setClasses]      = useState([]);         // the teacher's class profiles
+
+  // Class profiles are per teacher; none while signed out
+  const loadClasses = () => fetch('/api/classes')
+    .then(r => (r.ok ? r.json() : { classes: [] }))
+    .then(d => d.classes || [])
+    .catch(() => []);
+
+  useEffect(() => {
+    loadClasses().then(setClasses);
+    fetch('/api/templates')
+      .then(r => r.json())
+      .then(d => setTemplates(d.templates || []))
+      .catch(() => setTemplates([]));
+    fetch('/api/curricula')
+      .then(r => r.json())
+      .then(d => setCurricula(d.curricula || []))
+      .catch(() => setCurricula([]));
+  }, []);
 
   // RAG states
   const [needsChoice, setNeedsChoice] = useState(false);
   const [candidates,  setCandidates]  = useState([]); // [{code, description, scoreLLM,...}]
+  const [picked,      setPicked]      = useState([]); // codes ticked in the choice list
+  const [primaryPick, setPrimaryPick] = useState(''); // which ticked code is the primary standard
+  const [maxPicks,    setMaxPicks]    = useState(3);
 
   // result states
-  const [plan,     setPlan]     = useState('');
   const [standard, setStandard] = useState('');
+  const [standardCode, setStandardCode] = useState(''); // lets failed sections be regenerated against the same standard
+  const [source,   setSource]   = useState(null); // { pdf, page, strand, cluster } when the standard came from a PDF tree
+  const [alignedStandards, setAlignedStandards] = useState([]); // [{ code, description, curriculum, primary, equivalent?, source }], primary first
+  const [crosswalk, setCrosswalk] = useState(null); // /api/crosswalk for the primary standard, once the panel is opened
+  const [citePicks, setCitePicks] = useState([]);   // [{ curriculum, code }] equivalents ticked to cite in a new plan
+  const [layout,   setLayout]   = useState(null); // streamed plan shape: { lessons, sections: [{key,title}], quiz, template, request }
+  const [parts,    setParts]    = useState({});   // "lesson:key" -> { content, data } | { error, code, retryable }
+  const [outline,  setOutline]  = useState(null); // multi-lesson units: { title, lessons: [{ lesson, title, objective, buildsOn }] }
+
+  const [rewrite, setRewrite] = useState(null); // { id: "lesson:key", instruction } while the Regenerate box is open
+
+  const [savedId, setSavedId] = useState(''); // id in the plan library once saved (or reopened)
+  const [saving,  setSaving]  = useState(false);
 
   const [loading, setLoading] = useState(false);
   const [copied,  setCopied]  = useState(false);
+  const [exportFormat, setExportFormat] = useState('pdf');
+  const [exporting,    setExporting]    = useState(''); // variant being exported
   const [error,   setError]   = useState('');
 
-  const curriculumOptions = [
-    { value: 'nys',        label: 'New York State' },
-    { value: 'england',    label: 'England (KS1–4)' },
-    { value: 'common_core',label: 'Common Core' },
-    { value: 'none',       label: 'None / General' },
-  ];
-  const subjectsByCurriculum = {
-    nys: [
-      'English Language Arts','Mathematics','Science','Social Studies',
-      'World Languages','Technology','Health','Physical Education',
-      'Family and Consumer Sciences','Career Development',
-      'Dance','Media Arts','Music','Theatre','Visual Arts'
-    ],
-    england: [
-      'English','Mathematics','Biology','Chemistry','Physics','Combined Science',
-      'Geography','History','Modern Foreign Languages','Computing',
-      'Design and Technology','Art and Design','Music','Physical Education',
-      'Religious Education','Citizenship'
-    ],
-    common_core: ['English Language Arts','Mathematics','Science','Social Studies'],
-    none:        ['English Language Arts','Mathematics','Science','Social Studies'],
+  const curriculumDef  = useMemo(() => curricula.find(c => c.id === curriculum), [curricula, curriculum]);
+  const curriculumLabel = (id) => curricula.find(c => c.id === id)?.name || id;
+  // Only subject and grade pairs with standards are offered; a chosen subject narrows the grades
+  const subjectOptions = useMemo(() => (curriculumDef?.subjects || []).map(s => s.name), [curriculumDef]);
+  // MFL / World Languages: the output language is the one students learn
+  const teachesLanguage = Boolean(curriculumDef?.subjects.find(s => s.name === subject)?.teachesLanguage);
+  const gradeOptions   = useMemo(() => {
+    const subjects = (curriculumDef?.subjects || []).filter(s => !subject || s.name === subject);
+    const offered = new Set(subjects.flatMap(s => s.grades.map(g => g.grade)));
+    const order = curriculumDef?.subjects.flatMap(s => s.grades.map(g => g.grade)) || [];
+    return [...new Set(order)].filter(g => offered.has(g));
+  }, [curriculumDef, subject]);
+
+  const examBoardOptions = useMemo(() =>
+    curriculumDef?.subjects.find(s => s.name === subject)?.grades.find(g => g.grade === grade)?.examBoards || [],
+  [curriculumDef, subject, grade]);
+  useEffect(() => { if (curriculumDef && examBoard && !examBoardOptions.includes(examBoard)) setExamBoard(''); }, [examBoardOptions]);
+
+  const onSubjectChange = val => {
+    setSubject(val);
+    const grades = curriculumDef?.subjects.find(s => s.name === val)?.grades || [];
+    if (val && grade && !grades.some(g => g.grade === grade)) setGrade('');
   };
-  const gradesByCurriculum = {
-    nys:         ['Kindergarten', ...Array.from({length:12},(_,i)=>`Grade ${i+1}`)],
-    england:     Array.from({length:11},(_,i)=>`Year ${i+1}`),
-    common_core: ['Kindergarten', ...Array.from({length:12},(_,i)=>`Grade ${i+1}`)],
-    none:        ['Kindergarten', ...Array.from({length:12},(_,i)=>`Grade ${i+1}`)],
-  };
-  const subjectOptions = useMemo(() => subjectsByCurriculum[curriculum] || [], [curriculum]);
-  const gradeOptions   = useMemo(() => gradesByCurriculum[curriculum]   || [], [curriculum]);
 
   const onCurriculumChange = val => {
     setCurriculum(val);
-    setSubject(''); setGrade(''); setPlan(''); setStandard(''); setError('');
+    setSubject(''); setGrade(''); setExamBoard(''); setStandard(''); setStandardCode(''); setSource(null); setAlignedStandards([]); setError('');
+    setCrosswalk(null); setCitePicks([]);
+    setLayout(null); setParts({}); setOutline(null);
     setNeedsChoice(false); setCandidates([]);
   };
 
-  async function callGenerate(body) {
+  // Streams the plan as NDJSON (see streamPlan in pages/api/generate.js), calling onEvent per line.
+  // Standard choice and errors still come back as plain JSON, which is returned.
+  async function streamGenerate(body, onEvent) {
     const resp = await fetch('/api/generate', {
       method: 'POST',
       headers: {'Content-Type':'application/json'},
-      body: JSON.stringify(body),
+      body: JSON.stringify({ ...body, stream: true }),
     });
     if (!resp.ok) {
-      const err = await resp.json().catch(() => ({}));
-      throw new Error(err.error || `Request failed (${resp.status})`);
+      const body = await resp.json().catch(() => ({}));
+      const err = new Error(body.error || `Request failed (${resp.status})`);
+      err.code = body.code; // see lib/llm/errors.mjs
+      throw err;
     }
-    return resp.json();
+    if (!/ndjson/.test(resp.headers.get('content-type') || '')) return resp.json();
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let nl;
+      while ((nl = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (line) onEvent(JSON.parse(line));
+      }
+    }
+    return { streamed: true };
   }
 
-  const generateLessonPlan = async () => {
+  // request (REQUEST_FIELDS as sent) is kept with the plan so retries ignore later edits to the form
+  const onPlanEvent = (ev, request) => {
+    if (ev.type === 'meta') {
+      setNeedsChoice(false);
+      setCandidates([]);
+      setStandard(ev.standard || '');
+      setStandardCode(ev.code || '');
+      setSource(ev.source || null);
+      setAlignedStandards(ev.alignedStandards || []);
+      if (ev.code !== standardCode) { setCrosswalk(null); setCitePicks([]); }
+      setOutline(ev.outline || null);
+      setLayout(l => ({ lessons: ev.lessons, sections: ev.sections, quiz: ev.quiz, template: ev.template, language: ev.language,
+                        request: request || l?.request }));
+    } else if (ev.type === 'section') {
+      const { error, code, retryable, content, data } = ev;
+      setParts(p => ({ ...p, [`${ev.lesson}:${ev.key}`]: error ? { error, code, retryable } : { content, data } }));
+    }
+  };
+
+  const describeError = (e) => (e.code ? `${e.message} (${e.code})` : e.message) || 'Something went wrong.';
+
+  const runGenerate = async (extra = {}) => {
     setLoading(true);
     setCopied(false);
     setError('');
-    setPlan('');
     setStandard('');
-    setNeedsChoice(false);
-    setCandidates([]);
-
-    if (!curriculum || !subject || !grade || !input.trim()) {
-      setError('Please choose curriculum, subject, grade / year and enter a topic.');
-      setLoading(false);
-      return;
-    }
-
+    setStandardCode('');
+    setSource(null);
+    setAlignedStandards([]);
+    setLayout(null);
+    setParts({});
+    setOutline(null);
+    setRewrite(null);
+    setSavedId('');
     try {
-      const data = await callGenerate({ curriculum, subject, grade, input, numLessons, includeQuiz });
+      const body = { curriculum, subject, grade, examBoard, input, numLessons, includeQuiz, template, classId, language, languageMode, ...extra };
+      const request = Object.fromEntries(REQUEST_FIELDS.map(k => [k, body[k]]));
+      const data = await streamGenerate(body, ev => onPlanEvent(ev, request));
       if (data.needsChoice) {
         setNeedsChoice(true);
         setCandidates(data.candidates || []);
-        return;
+        setPicked([]);
+        setPrimaryPick('');
+        setMaxPicks(data.maxStandards || 1);
       }
-      setPlan(data.plan || '');
-      setStandard(data.standard || '');
     } catch (e) {
-      setError(e.message || 'Something went wrong.');
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
   };
 
-  const chooseStandard = async (code) => {
-    setLoading(true); setError('');
+  // Retries and rewrites keep the language the plan was written in
+  const languageOf = (l) => ({ language: l.language?.code || 'en', languageMode: l.language?.mode || 'full' });
+
+  // ...and the rest of the request it came from; plans saved without one fall back to the form
+  const requestOf = (l) => l.request || { curriculum, subject, grade, examBoard, input, numLessons, includeQuiz, classId };
+
+  // The standards already chosen, for retries and rewrites: primary, supporting and equivalents
+  const chosenStandards = {
+    forceCode: standardCode,
+    forceCodes: alignedStandards.filter(s => !s.equivalent).map(s => s.code),
+    equivalents: alignedStandards.filter(s => s.equivalent).map(({ curriculum, code }) => ({ curriculum, code }))
+  };
+
+  // Nearest standards in the other curricula (/api/crosswalk), loaded when the panel is opened
+  const loadCrosswalk = async () => {
+    if (crosswalk || !standardCode) return;
+    setCrosswalk({ loading: true });
     try {
-      const data = await callGenerate({ curriculum, subject, grade, input, numLessons, includeQuiz, forceCode: code });
-      setNeedsChoice(false);
-      setCandidates([]);
-      setPlan(data.plan || '');
-      setStandard(data.standard || '');
+      const resp = await fetch(`/api/crosswalk?curriculum=${encodeURIComponent(curriculum)}&code=${encodeURIComponent(standardCode)}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Crosswalk failed (${resp.status})`);
+      setCrosswalk(data);
     } catch (e) {
-      setError(e.message || 'Something went wrong.');
+      setCrosswalk({ error: e.message });
+    }
+  };
+
+  const toggleCite = (curr, code) => setCitePicks(p => (p.some(x => x.code === code && x.curriculum === curr)
+    ? p.filter(x => !(x.code === code && x.curriculum === curr))
+    : [...p, { curriculum: curr, code }].slice(-2)));
+
+  // A new plan for the same standards that also cites the ticked equivalents
+  const planCitingBoth = () => runGenerate({ ...chosenStandards, equivalents: citePicks });
+
+  // Re-runs only the given sections ([{ lesson, key }]) against the standards already chosen
+  const retrySections = async (list) => {
+    setLoading(true);
+    setError('');
+    setParts(p => {
+      const next = { ...p };
+      list.forEach(({ lesson, key }) => { delete next[`${lesson}:${key}`]; });
+      return next;
+    });
+    try {
+      await streamGenerate({ ...requestOf(layout), template: layout.template, ...languageOf(layout), ...chosenStandards, outline,
+                             only: list }, onPlanEvent);
+    } catch (e) {
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
   };
 
+  // Asks for a fresh version of one section, optionally steered ("make it more hands-on")
+  const regenerateSection = async (lesson, key, instruction = '') => {
+    const previous = parts[`${lesson}:${key}`]?.content || '';
+    setRewrite(null);
+    setLoading(true);
+    setError('');
+    setParts(p => {
+      const next = { ...p };
+      delete next[`${lesson}:${key}`];
+      return next;
+    });
+    try {
+      await streamGenerate({ ...requestOf(layout), template: layout.template, ...languageOf(layout), ...chosenStandards, outline,
+                             regenerate: { lesson, key, instruction: instruction.trim(), previous } }, onPlanEvent);
+    } catch (e) {
+      setError(describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const failedSections = Object.entries(parts)
+    .filter(([, p]) => p.error)
+    .map(([k]) => ({ lesson: Number(k.split(':')[0]), key: k.split(':')[1] }));
+
+  // "Lesson 2 of 3: Comparing unit fractions" when the unit has an outline
+  const lessonTitle = (n) => {
+    const slot = outline?.lessons[n - 1];
+    return `Lesson ${n} of ${layout.lessons}${slot ? `: ${slot.title}` : ''}`;
+  };
+
+  // Full Markdown once every section has arrived; failed ones are marked like the server does
+  const plan = useMemo(() => {
+    if (!layout) return '';
+    const body = (lesson, sec) => parts[`${lesson}:${sec.key}`];
+    const all = [
+      ...Array.from({ length: layout.lessons }, (_, i) => layout.sections.map(sec => [i + 1, sec])).flat(),
+      ...(layout.quiz ? [[0, layout.quiz]] : [])
+    ];
+    if (all.some(([n, sec]) => !body(n, sec))) return '';
+    const text = (n, sec) => `${sec.title}\n${body(n, sec).content ?? '_This section could not be generated._'}`;
+    const lessons = Array.from({ length: layout.lessons }, (_, i) =>
+      `## ${lessonTitle(i + 1)}\n\n${layout.sections.map(sec => text(i + 1, sec)).join('\n\n')}`);
+    const overview = outline && [
+      `## Unit Overview${outline.title ? `: ${outline.title}` : ''}`,
+      ...outline.lessons.map(l => `${l.lesson}. **${l.title}**: ${l.objective}`)
+    ].join('\n');
+    return [overview, ...lessons, ...(layout.quiz ? [text(0, layout.quiz)] : [])].filter(Boolean).join('\n\n');
+  }, [layout, parts, outline]);
+
+  // The same typed plan the API returns (lib/plan/lesson-plan.mjs), for exports and integrations
+  const lessonPlan = useMemo(() => {
+    if (!plan) return null;
+    const [code, ...rest] = standard.split(' - ');
+    return buildLessonPlan({
+      template: layout.template,
+      language: layout.language,
+      standard: standard ? { code: standardCode || code, description: rest.join(' - ') } : null,
+      standards: alignedStandards.map(({ code, description, primary }) => ({ code, description, primary })),
+      outline,
+      lessons: layout.lessons,
+      sections: layout.sections,
+      quiz: layout.quiz,
+      sectionOf: (n, key) => parts[`${n}:${key}`]?.data
+    });
+  }, [plan]);
+
+  // Worksheets and keys come from the typed assessment and quiz questions
+  const hasQuestions = Boolean(lessonPlan && (lessonPlan.quiz?.length || lessonPlan.lessons.some(l => l.assessment.length)));
+
+  // A language lesson keeps the teacher's notes in English by default
+  const pickLanguage = (code) => {
+    if (language === 'en' && code !== 'en') setLanguageMode(teachesLanguage ? 'students' : 'full');
+    setLanguage(code);
+  };
+
+  // A class profile also names the class the plan is saved under
+  const pickClass = (id) => {
+    setClassId(id);
+    const found = classes.find(c => c.id === id);
+    if (found) setClassName(found.name);
+  };
+
+  const generateLessonPlan = async () => {
+    setNeedsChoice(false);
+    setCandidates([]);
+    if (!curriculum || !subject || !grade || !input.trim()) {
+      setError('Please choose curriculum, subject, grade / year and enter a topic.');
+      return;
+    }
+    await runGenerate();
+  };
+
+  // Ticking a standard in the choice list; the first one ticked is primary until another is marked
+  const togglePick = (code) => {
+    const next = picked.includes(code) ? picked.filter(c => c !== code) : [...picked, code].slice(0, maxPicks);
+    setPicked(next);
+    if (!next.includes(primaryPick)) setPrimaryPick(next[0] || '');
+  };
+
+  const chooseStandards = () => runGenerate({ forceCode: primaryPick, forceCodes: picked });
+
+  // One block per section, in plan order, filled in as the stream arrives
+  const renderSection = (lesson, sec) => {
+    const id = `${lesson}:${sec.key}`;
+    const part = parts[id];
+    return (
+      <section key={id}>
+        <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:'0.75rem' }}>
+          <div dangerouslySetInnerHTML={{__html: marked.parse(sec.title)}}/>
+          {part?.content && !loading && standardCode && rewrite?.id !== id && (
+            <button onClick={() => setRewrite({ id, instruction: '' })}
+                    style={{ background:'none', border:'none', color:'#007aff', cursor:'pointer', fontSize:14, whiteSpace:'nowrap' }}>
+              ↻ Regenerate
+            </button>
+          )}
+        </div>
+        {rewrite?.id === id && (
+          <form onSubmit={e => { e.preventDefault(); regenerateSection(lesson, sec.key, rewrite.instruction); }}
+                style={{ display:'flex', gap:'0.5rem', margin:'0 0 0.75rem' }}>
+            <input autoFocus value={rewrite.instruction}
+                   onChange={e => setRewrite({ id, instruction: e.target.value })}
+                   placeholder="Optional: what should change? e.g. make it more hands-on"
+                   style={{ flex:1, padding:'0.45rem', borderRadius:6, border:'1px solid #ccc', fontSize:14 }}/>
+            <button type="submit" style={{ ...secondaryButtonStyle, padding:'0.35rem 0.7rem' }}>Regenerate</button>
+            <button type="button" onClick={() => setRewrite(null)}
+                    style={{ background:'none', border:'none', color:'#555', cursor:'pointer' }}>
+              Cancel
+            </button>
+          </form>
+        )}
+        <div dangerouslySetInnerHTML={{__html: marked.parse(part?.content || '')}}/>
+        {!part && <p style={{ color:'#888', fontStyle:'italic' }}>Generating…</p>}
+        {part?.error && (
+          <p style={{ color:'#b00020', background:'#fdecea', padding:'0.5rem 0.75rem', borderRadius:6 }}>
+            This section could not be generated: {part.error}{part.code ? ` (${part.code})` : ''}
+            {part.retryable !== false && !loading && (
+              <button onClick={() => retrySections([{ lesson, key: sec.key }])}
+                      style={{ ...secondaryButtonStyle, marginLeft:'0.6rem', padding:'0.25rem 0.6rem' }}>
+                Retry
+              </button>
+            )}
+          </p>
+        )}
+      </section>
+    );
+  };
+
+  // "Reading Standards › Key Ideas and Details · ela_standards.pdf, p. 34"
+  const citeSource = (src) => src
+    ? [[src.strand, src.cluster].filter(Boolean).join(' › '), `${src.pdf}, p. ${src.page}`].filter(Boolean).join(' · ')
+    : '';
+
   const copyToClipboard = () => {
     navigator.clipboard.writeText(plan).then(() => {
       setCopied(true); setTimeout(() => setCopied(false), 2000);
     });
   };
 
+  // Saves to the plan library (/api/plans); a plan saved before is updated in place
+  const savePlan = async () => {
+    setSaving(true); setError('');
+    try {
+      const { input: topic, ...request } = requestOf(layout);
+      const resp = await fetch(savedId ? `/api/plans/${savedId}` : '/api/plans', {
+        method: savedId ? 'PUT' : 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ className, ...request, topic, template: layout.template,
+                               standardCode, standard, alignedStandards, source, markdown: plan, layout, parts, outline }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data.error || `Save failed (${resp.status})`);
+      setSavedId(data.plan.id);
+    } catch (e) {
+      setError(e.message || 'Could not save the plan.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // /?plan=<id> reopens a saved plan from My Plans
+  const router = useRouter();
+  useEffect(() => {
+    const id = router.query.plan;
+    if (!id) return;
+    fetch(`/api/plans/${encodeURIComponent(id)}`)
+      .then(r => r.json().then(d => (r.ok ? d.plan : Promise.reject(new Error(d.error || 'Plan not found.')))))
+      .then(p => {
+        setCurriculum(p.curriculum || curriculum);
+        setSubject(p.subject || '');
+        setGrade(p.grade || '');
+        setExamBoard(p.examBoard || '');
+        setClassName(p.className || '');
+        setClassId(p.classId || '');
+        setLanguage(p.layout?.language?.code || 'en');
+        setLanguageMode(p.layout?.language?.mode || 'full');
+        setInput(p.topic || '');
+        setNumLessons(p.numLessons || 1);
+        setIncludeQuiz(Boolean(p.includeQuiz));
+        setTemplate(p.template || 'standard');
+        setStandard(p.standard || '');
+        setStandardCode(p.standardCode || '');
+        setSource(p.source || null);
+        setAlignedStandards(p.alignedStandards || []);
+        setCrosswalk(null); setCitePicks([]);
+        setLayout(p.layout || null);
+        setParts(p.parts || {});
+        setOutline(p.outline || null);
+        setNeedsChoice(false);
+        setSavedId(p.id);
+      })
+      .catch(e => setError(e.message));
+  }, [router.query.plan]);
+
+  // /?forceCode=<code>&curriculum=&subject=&grade=&examBoard=&topic=&className= plans from a standard picked in
+  // the standards browser or suggested on the coverage dashboard; a year plan unit adds forceCodes=<a,b>&numLessons=.
+  // A className with a class profile of that name plans for the profile.
+  useEffect(() => {
+    const { forceCode, curriculum: c, subject: s = '', grade: g = '', examBoard: b = '', topic = '', className: k = '' } = router.query;
+    if (!forceCode || !c) return;
+    const forceCodes = router.query.forceCodes ? String(router.query.forceCodes).split(',') : null;
+    const n = Math.max(1, Math.min(5, Number(router.query.numLessons) || 1));
+    setCurriculum(c); setSubject(s); setGrade(g); setExamBoard(b); setInput(topic); setClassName(k); setNumLessons(n);
+    setNeedsChoice(false);
+    (k ? loadClasses() : Promise.resolve([])).then(list => {
+      const id = list.find(p => p.name === k)?.id || '';
+      setClassId(id);
+      runGenerate({ curriculum: c, subject: s, grade: g, examBoard: b, input: topic, numLessons: n, forceCode, forceCodes, classId: id });
+    });
+  }, [router.query.forceCode, router.query.forceCodes]);
+
   const downloadAsTxt = () => {
     const blob = new Blob([plan], {type:'text/plain'});
     const link = document.createElement('a');
@@ -148,7 +500,49 @@ export default function Home({ defaultCurriculum }) {
     link.click();
   };
 
-  const gradeLabel = curriculum === 'england' ? 'Year:' : 'Grade:';
+  const downloadAsJson = () => {
+    const blob = new Blob([JSON.stringify(lessonPlan, null, 2)], {type:'application/json'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `lesson-plan-${curriculum}-${subject}-${grade}.json`;
+    link.click();
+  };
+
+  // DOCX / PDF download, or the print view in a new tab; rendered by /api/export.
+  // variant: the whole plan, the student worksheet (no answers) or the teacher key; "quiz" with
+  // format qti / gift / csv exports the end-of-unit quiz for an LMS or quiz tool.
+  const exportPlan = async (variant, format = exportFormat) => {
+    const win = format === 'html' ? window.open('', '_blank') : null; // before the await, or popups are blocked
+    setExporting(variant === 'quiz' ? format : variant); setError('');
+    try {
+      const resp = await fetch('/api/export', {
+        method: 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ format, variant, plan: { curriculum, subject, grade, examBoard, topic: input, standard, standardCode,
+                                               alignedStandards, source, layout, parts, outline } }),
+      });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed (${resp.status})`);
+      }
+      const url = URL.createObjectURL(await resp.blob());
+      if (win) {
+        win.location.href = url;
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = /filename="([^"]+)"/.exec(resp.headers.get('content-disposition') || '')?.[1] || `lesson-plan.${format}`;
+      link.click();
+    } catch (e) {
+      win?.close();
+      setError(e.message || 'Could not export the plan.');
+    } finally {
+      setExporting('');
+    }
+  };
+
+  const gradeLabel = `${curriculumDef?.gradeLabel || 'Grade'}:`;
 
   return (
     <>
@@ -158,6 +552,26 @@ export default function Home({ defaultCurriculum }) {
       </Head>
 
       <div style={{ position: 'relative' }}>
+        {!loadingSession && session && (
+          <Link href="/plans" style={{ position: 'absolute', top: 24, right: 120, color: '#007aff', fontSize: '0.9rem' }}>
+            My Plans
+          </Link>
+        )}
+        {!loadingSession && session && (
+          <Link href="/standards" style={{ position: 'absolute', top: 24, right: 215, color: '#007aff', fontSize: '0.9rem' }}>
+            Standards
+          </Link>
+        )}
+        {!loadingSession && session && (
+          <Link href="/coverage" style={{ position: 'absolute', top: 24, right: 305, color: '#007aff', fontSize: '0.9rem' }}>
+            Coverage
+          </Link>
+        )}
+        {!loadingSession && session && (
+          <Link href="/sequence" style={{ position: 'absolute', top: 24, right: 390, color: '#007aff', fontSize: '0.9rem' }}>
+            Year plan
+          </Link>
+        )}
         {!loadingSession && session && (
           <button
             onClick={() => signOut({ callbackUrl: '/auth/signin' })}
@@ -181,28 +595,44 @@ export default function Home({ defaultCurriculum }) {
             <label style={{display:'block',marginBottom:'1rem'}}>
               <strong>Curriculum:</strong>
               <select value={curriculum} onChange={e => onCurriculumChange(e.target.value)} style={selectStyle}>
-                {curriculumOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                {curricula.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
               </select>
             </label>
 
             {/* Subject */}
             <label style={{display:'block',marginBottom:'1rem'}}>
               <strong>Subject:</strong>
-              <select value={subject} onChange={e => setSubject(e.target.value)} style={selectStyle}>
+              <select value={subject} onChange={e => onSubjectChange(e.target.value)} style={selectStyle}>
                 <option value="">Select subject</option>
-                { (subjectsByCurriculum[curriculum] || []).map(s => <option key={s} value={s}>{s}</option>) }
+                { subjectOptions.map(s => <option key={s} value={s}>{s}</option>) }
               </select>
+              {curriculumDef && !subjectOptions.length && (
+                <div style={{ fontSize:12, color:'#666', marginTop:'0.3rem' }}>
+                  No {curriculumDef.name} standards are loaded yet, so lessons cannot be aligned to it.
+                </div>
+              )}
             </label>
 
             {/* Grade / Year */}
             <label style={{display:'block',marginBottom:'1rem'}}>
               <strong>{gradeLabel}</strong>
               <select value={grade} onChange={e => setGrade(e.target.value)} style={selectStyle}>
-                <option value="">{`Select ${curriculum==='england'?'year':'grade'}`}</option>
-                { (gradesByCurriculum[curriculum] || []).map(g => <option key={g} value={g}>{g}</option>) }
+                <option value="">{`Select ${(curriculumDef?.gradeLabel || 'Grade').toLowerCase()}`}</option>
+                { gradeOptions.map(g => <option key={g} value={g}>{g}</option>) }
               </select>
             </label>
 
+            {/* Exam board, where the subject and grade have a specification (England KS4) */}
+            {examBoardOptions.length > 0 && (
+              <label style={{display:'block',marginBottom:'1rem'}}>
+                <strong>Exam board:</strong>
+                <select value={examBoard} onChange={e => setExamBoard(e.target.value)} style={selectStyle}>
+                  <option value="">None (national curriculum)</option>
+                  { examBoardOptions.map(b => <option key={b} value={b}>{b}</option>) }
+                </select>
+              </label>
+            )}
+
             {/* Topic */}
             <label style={{display:'block',marginBottom:'1.5rem'}}>
               <strong>What do you want to teach?</strong>
@@ -211,7 +641,7 @@ export default function Home({ defaultCurriculum }) {
                 style={{ width:'100%',padding:'0.75rem', borderRadius:8,border:'1px solid #ccc',marginTop:'0.5rem' }}
                 value={input}
                 onChange={e => setInput(e.target.value)}
-                placeholder={ curriculum==='england' ? 'e.g., Photosynthesis (Year 8 Biology)' : 'e.g., Fractions as equal parts' }
+                placeholder={ curriculumDef?.gradeLabel === 'Year' ? 'e.g., Photosynthesis (Year 8 Biology)' : 'e.g., Fractions as equal parts' }
               />
             </label>
 
@@ -230,6 +660,63 @@ export default function Home({ defaultCurriculum }) {
                       {[1,2,3,4,5].map(n => <option key={n} value={n}>{n}</option>)}
                     </select>
                   </label>
+                  <div style={{marginBottom:'0.7rem'}}>
+                    <label>
+                      <strong>{teachesLanguage ? 'Language taught:' : 'Output language:'}</strong>
+                      <select value={language} onChange={e => pickLanguage(e.target.value)}
+                              style={{ ...selectStyle, width:'auto', marginLeft:'0.6rem' }}>
+                        {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                      </select>
+                    </label>
+                    {language !== 'en' && (
+                      <select value={languageMode} onChange={e => setLanguageMode(e.target.value)} aria-label="What to write in it"
+                              style={{ ...selectStyle, width:'auto', marginLeft:'0.6rem' }}>
+                        {Object.entries(LANGUAGE_MODES).map(([m, label]) => <option key={m} value={m}>{label}</option>)}
+                      </select>
+                    )}
+                    {language !== 'en' && (
+                      <div style={{ fontSize:13, color:'#666', marginTop:'0.3rem' }}>
+                        Section headings and standard codes stay the same in every language.
+                      </div>
+                    )}
+                  </div>
+                  {templates.length > 1 && (
+                    <label style={{display:'block',marginBottom:'0.7rem'}}>
+                      <strong>Lesson template:</strong>
+                      <select value={template} onChange={e => setTemplate(e.target.value)}
+                              style={{ ...selectStyle, width:'auto', marginLeft:'0.6rem' }}>
+                        {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                      </select>
+                      {templates.find(t => t.id === template)?.description && (
+                        <div style={{ fontSize:13, color:'#666', marginTop:'0.3rem' }}>
+                          {templates.find(t => t.id === template).description}
+                        </div>
+                      )}
+                    </label>
+                  )}
+                  <div style={{marginBottom:'0.7rem'}}>
+                    <label>
+                      <strong>Class:</strong>
+                      <select value={classId} onChange={e => pickClass(e.target.value)}
+                              style={{ ...selectStyle, width:'auto', marginLeft:'0.6rem' }}>
+                        <option value="">No class profile</option>
+                        {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        {classId && !classes.some(c => c.id === classId) && (
+                          <option value={classId}>{className || 'Class'} (deleted)</option>
+                        )}
+                      </select>
+                    </label>
+                    {!classId && (
+                      <input value={className} onChange={e => setClassName(e.target.value)} placeholder="class name, e.g., 7B (optional)"
+                             aria-label="Class name" style={{ ...selectStyle, width:'auto', marginLeft:'0.6rem' }} />
+                    )}
+                    <Link href="/classes" style={{ color:'#007aff', fontSize:14, marginLeft:'0.6rem' }}>Manage classes</Link>
+                    {classId && (
+                      <div style={{ fontSize:13, color:'#666', marginTop:'0.3rem' }}>
+                        Every section is planned for this class's students and resources.
+                      </div>
+                    )}
+                  </div>
                   <label>
                     <input type="checkbox" checked={includeQuiz} onChange={e => setIncludeQuiz(e.target.checked)}
                            style={{marginRight:'0.4rem'}} />
@@ -261,55 +748,190 @@ export default function Home({ defaultCurriculum }) {
               <div style={{ marginTop:'1.2rem', background:'#fff7e6', border:'1px solid #ffd591',
                              padding:'1rem', borderRadius:8 }}>
                 <p style={{ marginTop:0, marginBottom:'0.75rem' }}>
-                  We found several close standards. Pick one to continue.
+                  We found several close standards. Tick the ones this lesson covers
+                  {maxPicks > 1 ? ` (up to ${maxPicks}) and mark the primary one` : ''}.
                 </p>
                 <ul style={{ listStyle:'none', padding:0, margin:0, display:'grid', gap:'0.6rem' }}>
-                  {candidates.map(c => (
-                    <li key={c.code}
-                        style={{ border:'1px solid #eee', borderRadius:8, padding:'0.75rem', background:'#fff' }}>
-                      <div style={{ fontWeight:600 }}>{c.code}</div>
-                      <div style={{ fontSize:14, margin:'0.25rem 0 0.5rem' }}>{c.description}</div>
-                      <div style={{ fontSize:12, color:'#666' }}>
-                        {typeof c.scoreLLM === 'number' ? `LLM score: ${c.scoreLLM}` : null}
-                        {typeof c.scoreRecall === 'number' ? `  ·  Recall: ${c.scoreRecall}` : null}
-                      </div>
-                      <div style={{ marginTop:'0.5rem' }}>
-                        <button onClick={() => chooseStandard(c.code)} style={secondaryButtonStyle}>Use this standard</button>
-                      </div>
-                    </li>
-                  ))}
+                  {candidates.map(c => {
+                    const on = picked.includes(c.code);
+                    return (
+                      <li key={c.code}
+                          style={{ border:`1px solid ${on ? '#91caff' : '#eee'}`, borderRadius:8, padding:'0.75rem', background:'#fff' }}>
+                        <label style={{ display:'flex', gap:'0.5rem', alignItems:'baseline', cursor:'pointer' }}>
+                          <input type="checkbox" checked={on} onChange={() => togglePick(c.code)}
+                                 disabled={!on && picked.length >= maxPicks}/>
+                          <span style={{ fontWeight:600 }}>{c.code}</span>
+                        </label>
+                        <div style={{ fontSize:14, margin:'0.25rem 0 0.5rem' }}>{c.description}</div>
+                        {c.source && <div style={{ fontSize:12, color:'#666', marginBottom:'0.25rem' }}>{citeSource(c.source)}</div>}
+                        <div style={{ fontSize:12, color:'#666' }}>
+                          {typeof c.scoreLLM === 'number' ? `LLM score: ${c.scoreLLM}` : null}
+                          {typeof c.scoreRecall === 'number' ? `  ·  Recall: ${c.scoreRecall}` : null}
+                        </div>
+                        {on && picked.length > 1 && (
+                          <label style={{ display:'inline-flex', gap:'0.35rem', marginTop:'0.5rem', fontSize:14, cursor:'pointer' }}>
+                            <input type="radio" name="primaryStandard" checked={primaryPick === c.code}
+                                   onChange={() => setPrimaryPick(c.code)}/>
+                            Primary standard
+                          </label>
+                        )}
+                      </li>
+                    );
+                  })}
                 </ul>
+                <button onClick={chooseStandards} style={{ ...secondaryButtonStyle, marginTop:'0.9rem' }}
+                        disabled={!picked.length || loading}>
+                  {picked.length > 1 ? `Use these ${picked.length} standards` : 'Use this standard'}
+                </button>
               </div>
             )}
 
             {/* Output */}
-            {!loading && plan && (
+            {layout && (
               <>
                 <h2 style={{ marginTop:'2.2rem',fontSize:'1.4rem',fontWeight:600 }}>Generated Plan</h2>
 
                 {standard && (
                   <details style={{margin:'0 0 1rem'}}>
-                    <summary><strong>Aligned Standard</strong></summary>
-                    <pre style={{ background:'#fff',border:'1px solid #eee',padding:'0.75rem',
-                                   borderRadius:8,whiteSpace:'pre-wrap',lineHeight:1.5 }}>
-                      {standard}
-                    </pre>
+                    <summary><strong>{alignedStandards.length > 1 ? 'Aligned Standards' : 'Aligned Standard'}</strong></summary>
+                    {alignedStandards.length > 1 ? (
+                      alignedStandards.map(s => (
+                        <div key={s.code} style={{ background:'#fff',border:'1px solid #eee',padding:'0.75rem',
+                                                   borderRadius:8,margin:'0.5rem 0',lineHeight:1.5 }}>
+                          <strong>{s.code}</strong>
+                          <span style={{ fontSize:12, color: s.primary ? '#0958d9' : '#666', marginLeft:'0.5rem' }}>
+                            {s.primary ? 'Primary'
+                              : s.equivalent ? `Equivalent · ${curriculumLabel(s.curriculum)}`
+                              : 'Supporting'}
+                          </span>
+                          <div style={{ whiteSpace:'pre-wrap' }}>{s.description}</div>
+                          {s.source && <p style={{ fontSize:13, color:'#666', margin:'0.4rem 0 0' }}>Source: {citeSource(s.source)}</p>}
+                        </div>
+                      ))
+                    ) : (
+                      <>
+                        <pre style={{ background:'#fff',border:'1px solid #eee',padding:'0.75rem',
+                                       borderRadius:8,whiteSpace:'pre-wrap',lineHeight:1.5 }}>
+                          {standard}
+                        </pre>
+                        {source && <p style={{ fontSize:13, color:'#666', margin:'0.4rem 0 0' }}>Source: {citeSource(source)}</p>}
+                      </>
+                    )}
+                  </details>
+                )}
+
+                {standardCode && (
+                  <details style={{margin:'0 0 1rem'}} onToggle={e => e.currentTarget.open && loadCrosswalk()}>
+                    <summary><strong>Equivalents in other curricula</strong></summary>
+                    {crosswalk?.loading && <p style={{ color:'#888', fontStyle:'italic' }}>Finding equivalents…</p>}
+                    {crosswalk?.error && <p style={{ color:'#b00020' }}>{crosswalk.error}</p>}
+                    {crosswalk?.equivalents && Object.entries(crosswalk.equivalents).map(([curr, list]) => (
+                      <div key={curr} style={{ margin:'0.6rem 0' }}>
+                        <div style={{ fontWeight:600, marginBottom:'0.3rem' }}>
+                          {curriculumLabel(curr)}
+                        </div>
+                        {!list.length && <div style={{ fontSize:14, color:'#666' }}>No standards in the same subject.</div>}
+                        {list.map(e => (
+                          <label key={e.code} style={{ display:'flex', gap:'0.5rem', alignItems:'baseline', fontSize:14,
+                                                        padding:'0.35rem 0', borderBottom:'1px solid #f0f0f0', cursor:'pointer' }}>
+                            <input type="checkbox" checked={citePicks.some(x => x.code === e.code && x.curriculum === curr)}
+                                   onChange={() => toggleCite(curr, e.code)}/>
+                            <span>
+                              <strong>{e.code}</strong>
+                              <span style={{ color:'#666' }}> · {e.grade} · {Math.round(e.similarity * 100)}% similar</span>
+                              <div>{e.description}</div>
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    ))}
+                    {crosswalk?.equivalents && (
+                      <button onClick={planCitingBoth} style={{ ...secondaryButtonStyle, marginTop:'0.4rem' }}
+                              disabled={!citePicks.length || loading}>
+                        Regenerate citing both curricula
+                      </button>
+                    )}
                   </details>
                 )}
 
+                {outline && (
+                  <div style={{ margin:'0 0 1rem', padding:'0.9rem 1rem', background:'#f0f6ff',
+                                 border:'1px solid #cfe0ff', borderRadius:8 }}>
+                    <strong>Unit overview{outline.title ? `: ${outline.title}` : ''}</strong>
+                    <ol style={{ margin:'0.5rem 0 0', paddingLeft:'1.3rem', fontSize:14, lineHeight:1.5 }}>
+                      {outline.lessons.map(l => (
+                        <li key={l.lesson} style={{ marginBottom:'0.35rem' }}>
+                          <strong>{l.title}</strong>: {l.objective}
+                          {l.buildsOn && <div style={{ color:'#666', fontSize:13 }}>Builds on: {l.buildsOn}</div>}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
                 <article style={{ background:'#fafafa',padding:'1.35rem',borderRadius:10,
                                    border:'1px solid #ddd',maxHeight:520,overflowY:'auto',
-                                   lineHeight:1.65,fontSize:16 }}
-                         dangerouslySetInnerHTML={{__html: marked.parse(plan)}}/>
-
-                <div style={{display:'flex',gap:'1rem',marginTop:'1.2rem'}}>
+                                   lineHeight:1.65,fontSize:16 }}>
+                  {Array.from({ length: layout.lessons }, (_, i) => i + 1).map(n => (
+                    <div key={n}>
+                      <h2>{lessonTitle(n)}</h2>
+                      {layout.sections.map(sec => renderSection(n, sec))}
+                    </div>
+                  ))}
+                  {layout.quiz && renderSection(0, layout.quiz)}
+                </article>
+
+                <div style={{display:'flex',flexWrap:'wrap',gap:'1rem',marginTop:'1.2rem'}}>
+                  {failedSections.length > 0 && (
+                    <button onClick={() => retrySections(failedSections)} style={secondaryButtonStyle} disabled={loading}>
+                      Regenerate failed sections ({failedSections.length})
+                    </button>
+                  )}
                   <button onClick={copyToClipboard} style={secondaryButtonStyle} disabled={!plan}>
                     {copied ? 'Copied!' : 'Copy to Clipboard'}
                   </button>
                   <button onClick={downloadAsTxt} style={secondaryButtonStyle} disabled={!plan}>
                     Download as .txt
                   </button>
+                  <button onClick={downloadAsJson} style={secondaryButtonStyle} disabled={!lessonPlan}>
+                    Download as JSON
+                  </button>
+                  <button onClick={savePlan} style={secondaryButtonStyle} disabled={!plan || saving || loading}>
+                    {saving ? 'Saving…' : savedId ? 'Save changes' : 'Save to My Plans'}
+                  </button>
                 </div>
+
+                {plan && (
+                  <div style={{display:'flex',flexWrap:'wrap',alignItems:'center',gap:'0.6rem',marginTop:'0.9rem'}}>
+                    <strong>Export:</strong>
+                    <select value={exportFormat} onChange={e => setExportFormat(e.target.value)}
+                            style={{ ...selectStyle, width:'auto', marginTop:0 }}>
+                      <option value="pdf">PDF</option>
+                      <option value="docx">Word (.docx)</option>
+                      <option value="html">Print view</option>
+                    </select>
+                    {[['plan','Lesson plan'],['worksheet','Student worksheet'],['key','Teacher key']].map(([variant, label]) => (
+                      <button key={variant} onClick={() => exportPlan(variant)} style={secondaryButtonStyle}
+                              disabled={!!exporting || (variant !== 'plan' && !hasQuestions)}
+                              title={variant !== 'plan' && !hasQuestions ? 'This plan has no assessment or quiz questions' : undefined}>
+                        {exporting === variant ? 'Exporting…' : label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {plan && lessonPlan?.quiz?.length > 0 && (
+                  <div style={{display:'flex',flexWrap:'wrap',alignItems:'center',gap:'0.6rem',marginTop:'0.6rem'}}>
+                    <strong>Quiz:</strong>
+                    {[['qti','QTI 2.1 (.zip)','Canvas, Blackboard, Moodle and other LMSs'],
+                      ['gift','Moodle GIFT','Moodle question bank import'],
+                      ['csv','CSV','Kahoot quiz template columns; Google Forms import add-ons']].map(([format, label, hint]) => (
+                      <button key={format} onClick={() => exportPlan('quiz', format)} style={secondaryButtonStyle}
+                              disabled={!!exporting} title={hint}>
+                        {exporting === format ? 'Exporting…' : label}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -3,8 +3,13 @@ import { useSession, signIn } from "next-auth/react";
 import { useState }           from "react";
 import { useRouter }          from "next/router";
 import styles                 from "./onboard.module.css";
+import { listCurricula }      from "../lib/curricula/curricula.mjs";
 
-export default function Onboard() {
+export async function getServerSideProps() {
+  return { props: { curricula: listCurricula().map(({ id, label }) => ({ id, label })) } };
+}
+
+export default function Onboard({ curricula = [] }) {
   const { data: session } = useSession();
   const [region, setRegion] = useState("");
   const router = useRouter();
@@ -43,10 +48,9 @@ export default function Onboard() {
           onChange={(e) => setRegion(e.target.value)}
         >
           <option value="">— Choose region —</option>
-          <option value="nys">New York State</option>
-          <option value="england">England (KS1–4)</option>
-          <option value="common_core">Common Core</option>
-          <option value="none">None / General</option>
+          {curricula.map((c) => (
+            <option key={c.id} value={c.id}>{c.label}</option>
+          ))}
         </select>
         <button
           className={styles.button}
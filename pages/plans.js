@@ -0,0 +1,152 @@
+// pages/plans.js
+// "My Plans": the signed-in teacher's saved lesson plans (/api/plans), with search, reopen and delete.
+import { getSession } from "next-auth/react";
+import React, { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { listCurricula } from '../lib/curricula/curricula.mjs';
+
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+  if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
+  // Names for the curriculum column and filter (lib/curricula)
+  const curriculumNames = Object.fromEntries(listCurricula().map(c => [c.id, c.name]));
+  return { props: { curriculumNames } };
+}
+
+export default function MyPlans({ curriculumNames = {} }) {
+  const [plans,   setPlans]   = useState([]);
+  const [q,       setQ]       = useState('');
+  const [filters, setFilters] = useState({ className: '', curriculum: '', subject: '', grade: '', standardCode: '' });
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState('');
+
+  // Search runs on the server; wait for typing to pause
+  useEffect(() => {
+    const t = setTimeout(() => {
+      setLoading(true);
+      const qs = new URLSearchParams({ q, ...filters });
+      fetch(`/api/plans?${qs}`)
+        .then(r => r.json().then(d => (r.ok ? d : Promise.reject(new Error(d.error || 'Could not load plans.')))))
+        .then(d => { setPlans(d.plans || []); setError(''); })
+        .catch(e => setError(e.message))
+        .finally(() => setLoading(false));
+    }, 250);
+    return () => clearTimeout(t);
+  }, [q, filters]);
+
+  // Filter choices come from what has been saved
+  const [all, setAll] = useState([]);
+  useEffect(() => { if (!q && !Object.values(filters).some(Boolean)) setAll(plans); }, [plans]);
+  const options = useMemo(() => {
+    const uniq = (k) => [...new Set(all.map(p => p[k]).filter(Boolean))].sort();
+    const codes = [...new Set(all.flatMap(p => [p.standardCode, ...(p.alignedStandards || []).map(s => s.code)]).filter(Boolean))].sort();
+    return { className: uniq('className'), curriculum: uniq('curriculum'), subject: uniq('subject'), grade: uniq('grade'), standardCode: codes };
+  }, [all]);
+
+  const remove = async (p) => {
+    if (!window.confirm(`Delete "${p.title}"?`)) return;
+    const r = await fetch(`/api/plans/${p.id}`, { method: 'DELETE' });
+    if (!r.ok && r.status !== 404) {
+      const d = await r.json().catch(() => ({}));
+      setError(d.error || 'Could not delete the plan.');
+      return;
+    }
+    setPlans(list => list.filter(x => x.id !== p.id));
+    setAll(list => list.filter(x => x.id !== p.id));
+  };
+
+  const setFilter = (k, v) => setFilters(f => ({ ...f, [k]: v }));
+
+  return (
+    <>
+      <Head>
+        <title>My Plans · Lesson Pilot</title>
+      </Head>
+
+      <div style={{ fontFamily:'-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif',
+                    background:'#f5f5f7',minHeight:'100vh',display:'flex',justifyContent:'center',padding:'3rem 1rem' }}>
+        <div style={{ background:'#fff',padding:'2rem',borderRadius:12, boxShadow:'0 4px 20px rgba(0,0,0,0.05)',
+                      width:'100%',maxWidth:960 }}>
+          <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:'1.5rem' }}>
+            <h1 style={{ margin:0,fontWeight:600,fontSize:'2rem',color:'#1c1c1e' }}>My Plans</h1>
+            <Link href="/" style={{ color:'#007aff' }}>← New plan</Link>
+          </div>
+
+          <input
+            type="search"
+            value={q}
+            onChange={e => setQ(e.target.value)}
+            placeholder="Search by title, topic, subject or standard"
+            style={{ ...controlStyle, width:'100%', marginBottom:'0.75rem' }}
+          />
+          <div style={{ display:'flex',gap:'0.5rem',flexWrap:'wrap',marginBottom:'1.25rem' }}>
+            {[['className','All classes'],['curriculum','All curricula'],['subject','All subjects'],['grade','All grades'],['standardCode','All standards']].map(([k, label]) => (
+              <select key={k} value={filters[k]} onChange={e => setFilter(k, e.target.value)} style={controlStyle}>
+                <option value="">{label}</option>
+                {options[k].map(v => <option key={v} value={v}>{k === 'curriculum' ? curriculumNames[v] || v : v}</option>)}
+              </select>
+            ))}
+          </div>
+
+          {error && <p style={{ color:'#b00020' }}>{error}</p>}
+          {!loading && !plans.length && !error && (
+            <p style={{ color:'#666' }}>
+              {q || Object.values(filters).some(Boolean) ? 'No saved plans match.' : 'No saved plans yet. Generate one and choose "Save to My Plans".'}
+            </p>
+          )}
+
+          {plans.length > 0 && (
+            <table style={{ width:'100%',borderCollapse:'collapse',fontSize:14 }}>
+              <thead>
+                <tr style={{ textAlign:'left',borderBottom:'1px solid #ddd' }}>
+                  <th style={cellStyle}>Plan</th>
+                  <th style={cellStyle}>Curriculum</th>
+                  <th style={cellStyle}>Subject</th>
+                  <th style={cellStyle}>Grade</th>
+                  <th style={cellStyle}>Standard</th>
+                  <th style={cellStyle}>Saved</th>
+                  <th style={cellStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {plans.map(p => (
+                  <tr key={p.id} style={{ borderBottom:'1px solid #f0f0f0' }}>
+                    <td style={cellStyle}>
+                      <Link href={`/?plan=${p.id}`} style={{ color:'#007aff',fontWeight:500 }}>{p.title}</Link>
+                      {p.className && <div style={{ fontSize:12, color:'#666' }}>{p.className}</div>}
+                    </td>
+                    <td style={cellStyle}>{curriculumNames[p.curriculum] || p.curriculum}</td>
+                    <td style={cellStyle}>{p.subject}</td>
+                    <td style={cellStyle}>{p.grade}</td>
+                    <td style={cellStyle} title={p.standard}>
+                      {p.standardCode}
+                      {(p.alignedStandards || []).filter(s => !s.primary).map(s => (
+                        <div key={s.code} style={{ fontSize:12, color:'#666' }}>+ {s.code}</div>
+                      ))}
+                    </td>
+                    <td style={cellStyle}>{new Date(p.updatedAt).toLocaleDateString()}</td>
+                    <td style={{ ...cellStyle, whiteSpace:'nowrap' }}>
+                      <Link href={`/?plan=${p.id}`} style={{ color:'#007aff',marginRight:'0.75rem' }}>Open</Link>
+                      <button onClick={() => remove(p)}
+                              style={{ background:'none',border:'none',color:'#b00020',cursor:'pointer',padding:0 }}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+const controlStyle = {
+  padding:'0.55rem',borderRadius:8,border:'1px solid #ccc'
+};
+const cellStyle = {
+  padding:'0.55rem 0.5rem',verticalAlign:'top'
+};
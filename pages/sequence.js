@@ -0,0 +1,251 @@
+// pages/sequence.js
+// Year plan: scope and sequence for a subject and grade over a term calendar (/api/sequence), with
+// CSV and calendar downloads and each unit expandable into full lesson plans in the planner.
+import { parse } from "cookie";
+import { getSession } from "next-auth/react";
+import React, { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { getCurriculum } from '../lib/curricula/curricula.mjs';
+
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+  if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
+  const { region } = parse(context.req.headers.cookie || '');
+  return { props: { defaultCurriculum: getCurriculum(region) ? region : '' } };
+}
+
+export default function YearPlan({ defaultCurriculum }) {
+  const [curricula,  setCurricula]  = useState([]); // from /api/curricula, those with standards
+  const [curriculum, setCurriculum] = useState(defaultCurriculum);
+  const [subject,    setSubject]    = useState('');
+  const [grade,      setGrade]      = useState('');
+  const [examBoard,  setExamBoard]  = useState('');
+  const [weeks,      setWeeks]      = useState(36);
+  const [perWeek,    setPerWeek]    = useState(4);
+  const [startDate,  setStartDate]  = useState('');
+  const [anchors,    setAnchors]    = useState(''); // one topic per line
+
+  const [sequence,  setSequence]  = useState(null);
+  const [open,      setOpen]      = useState({}); // unit n -> expanded
+  const [loading,   setLoading]   = useState(false);
+  const [exporting, setExporting] = useState('');
+  const [error,     setError]     = useState('');
+
+  useEffect(() => {
+    fetch('/api/curricula')
+      .then(r => r.json())
+      .then(d => {
+        const list = (d.curricula || []).filter(c => c.subjects.length);
+        setCurricula(list);
+        setCurriculum(c => (list.some(x => x.id === c) ? c : list[0]?.id || ''));
+      })
+      .catch(() => setCurricula([]));
+  }, []);
+
+  const curriculumDef = curricula.find(c => c.id === curriculum);
+  const subjectOptions = (curriculumDef?.subjects || []).map(s => s.name);
+  const gradeOptions = useMemo(() =>
+    curriculumDef?.subjects.find(s => s.name === subject)?.grades || [], [curriculumDef, subject]);
+  const examBoardOptions = gradeOptions.find(g => g.grade === grade)?.examBoards || [];
+
+  const pickCurriculum = (id) => { setCurriculum(id); setSubject(''); setGrade(''); setExamBoard(''); setSequence(null); };
+  const pickSubject = (name) => {
+    setSubject(name); setExamBoard(''); setSequence(null);
+    const grades = curriculumDef?.subjects.find(s => s.name === name)?.grades || [];
+    if (!grades.some(g => g.grade === grade)) setGrade('');
+  };
+  const pickGrade = (g) => { setGrade(g); setExamBoard(''); setSequence(null); };
+
+  const request = (format) => ({
+    curriculum, subject, grade, examBoard, weeks: Number(weeks), lessonsPerWeek: Number(perWeek),
+    anchors: anchors.split('\n'), ...(startDate ? { startDate } : {}), format
+  });
+  const post = (format) => fetch('/api/sequence', {
+    method: 'POST',
+    headers: {'Content-Type':'application/json'},
+    body: JSON.stringify(request(format)),
+  });
+
+  const build = async () => {
+    setLoading(true); setError(''); setOpen({});
+    try {
+      const resp = await post('json');
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Could not build the year plan (${resp.status})`);
+      setSequence(data.sequence);
+    } catch (e) {
+      setSequence(null);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = async (format) => {
+    setExporting(format); setError('');
+    try {
+      const resp = await post(format);
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed (${resp.status})`);
+      }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await resp.blob());
+      link.download = /filename="([^"]+)"/.exec(resp.headers.get('content-disposition') || '')?.[1] || `year-plan.${format}`;
+      link.click();
+    } catch (e) {
+      setError(e.message || 'Could not export the year plan.');
+    } finally {
+      setExporting('');
+    }
+  };
+
+  // One block of a unit in the planner: its standards forced, as many lessons as the block spans
+  const blockHref = (unit, block) => {
+    const first = unit.standards.find(s => s.code === block.codes[0]);
+    return `/?${new URLSearchParams({
+      curriculum, subject, grade, ...(examBoard ? { examBoard } : {}),
+      forceCode: block.codes[0], forceCodes: block.codes.join(','), numLessons: String(block.to - block.from + 1),
+      topic: `${unit.title}: ${first?.description || ''}`.slice(0, 200)
+    })}`;
+  };
+
+  const gradeLabel = curriculumDef?.gradeLabel || 'Grade';
+  const ready = curriculum && subject && grade && weeks > 0 && perWeek > 0;
+
+  return (
+    <>
+      <Head>
+        <title>Year plan · Lesson Pilot</title>
+      </Head>
+
+      <div style={{ fontFamily:'-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif',
+                    background:'#f5f5f7',minHeight:'100vh',display:'flex',justifyContent:'center',padding:'3rem 1rem' }}>
+        <div style={{ background:'#fff',padding:'2rem',borderRadius:12, boxShadow:'0 4px 20px rgba(0,0,0,0.05)',
+                      width:'100%',maxWidth:960 }}>
+          <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:'1.5rem' }}>
+            <h1 style={{ margin:0,fontWeight:600,fontSize:'2rem',color:'#1c1c1e' }}>Year plan</h1>
+            <Link href="/" style={{ color:'#007aff' }}>← New plan</Link>
+          </div>
+
+          <div style={{ display:'flex',gap:'0.5rem',flexWrap:'wrap',marginBottom:'0.75rem' }}>
+            <select value={curriculum} onChange={e => pickCurriculum(e.target.value)} style={controlStyle}>
+              {!curriculumDef && <option value="">Curriculum</option>}
+              {curricula.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={subject} onChange={e => pickSubject(e.target.value)} style={controlStyle}>
+              <option value="">Select subject</option>
+              {subjectOptions.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <select value={grade} onChange={e => pickGrade(e.target.value)} style={controlStyle}>
+              <option value="">{`Select ${gradeLabel.toLowerCase()}`}</option>
+              {gradeOptions.map(g => <option key={g.grade} value={g.grade}>{g.grade}</option>)}
+            </select>
+            {examBoardOptions.length > 0 && (
+              <select value={examBoard} onChange={e => { setExamBoard(e.target.value); setSequence(null); }} style={controlStyle}>
+                <option value="">No exam board</option>
+                {examBoardOptions.map(b => <option key={b} value={b}>{b}</option>)}
+              </select>
+            )}
+          </div>
+          <div style={{ display:'flex',gap:'1rem',flexWrap:'wrap',alignItems:'center',marginBottom:'0.75rem',fontSize:14 }}>
+            <label>Weeks <input type="number" min={1} max={52} value={weeks} onChange={e => setWeeks(e.target.value)}
+                                style={{ ...controlStyle, width:70, marginLeft:'0.4rem' }} /></label>
+            <label>Lessons per week <input type="number" min={1} max={10} value={perWeek} onChange={e => setPerWeek(e.target.value)}
+                                           style={{ ...controlStyle, width:60, marginLeft:'0.4rem' }} /></label>
+            <label>First day of term <input type="date" value={startDate} onChange={e => setStartDate(e.target.value)}
+                                            style={{ ...controlStyle, marginLeft:'0.4rem' }} /></label>
+          </div>
+          <label style={{ display:'block',fontSize:14,marginBottom:'1rem' }}>
+            Topic anchors (optional, one per line, in teaching order)
+            <textarea rows={3} value={anchors} onChange={e => setAnchors(e.target.value)}
+                      placeholder={'e.g., Ratios\nStatistics'}
+                      style={{ ...controlStyle, display:'block', width:'100%', marginTop:'0.3rem' }} />
+          </label>
+          <button onClick={build} disabled={!ready || loading}
+                  style={{ ...buttonStyle, opacity: !ready || loading ? 0.6 : 1 }}>
+            {loading ? 'Building…' : 'Build year plan'}
+          </button>
+
+          {error && <p style={{ color:'#b00020' }}>{error}</p>}
+
+          {sequence && (
+            <div style={{ marginTop:'1.5rem' }}>
+              <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',flexWrap:'wrap',gap:'0.5rem' }}>
+                <p style={{ margin:0 }}>
+                  {sequence.units.length} units over {sequence.weeks} weeks ({sequence.totalLessons} lessons),
+                  covering {sequence.units.reduce((n, u) => n + u.standards.length, 0)} standards.
+                </p>
+                <div style={{ display:'flex',gap:'0.5rem' }}>
+                  <button onClick={() => download('csv')} disabled={!!exporting} style={controlButtonStyle}>
+                    {exporting === 'csv' ? 'Exporting…' : 'CSV'}
+                  </button>
+                  <button onClick={() => download('ics')} disabled={!!exporting} style={controlButtonStyle}>
+                    {exporting === 'ics' ? 'Exporting…' : 'Calendar (.ics)'}
+                  </button>
+                </div>
+              </div>
+              {sequence.unmatchedAnchors.length > 0 && (
+                <p style={{ fontSize:13,color:'#a15c00' }}>
+                  No standards matched: {sequence.unmatchedAnchors.join(', ')}.
+                </p>
+              )}
+              {sequence.moved.length > 0 && (
+                <p style={{ fontSize:13,color:'#666' }}>
+                  Moved earlier to come before what they lead to: {sequence.moved.map(m => `${m.code} (to ${m.to})`).join(', ')}.
+                </p>
+              )}
+
+              {sequence.units.map(u => (
+                <div key={u.n} style={{ border:'1px solid #eee',borderRadius:8,padding:'0.75rem 1rem',marginTop:'0.75rem' }}>
+                  <button onClick={() => setOpen(o => ({ ...o, [u.n]: !o[u.n] }))}
+                          style={{ background:'none',border:'none',padding:0,cursor:'pointer',textAlign:'left',width:'100%',fontSize:15 }}>
+                    {open[u.n] ? '▾' : '▸'} <strong>Unit {u.n}: {u.title}</strong>
+                    <span style={{ color:'#666',fontSize:13 }}>
+                      {' '}· {u.startWeek === u.endWeek ? `week ${u.startWeek}` : `weeks ${u.startWeek}–${u.endWeek}`}
+                      {' '}· {u.lessons} lesson{u.lessons === 1 ? '' : 's'} · {u.standards.length} standard{u.standards.length === 1 ? '' : 's'}
+                    </span>
+                  </button>
+                  {open[u.n] && (
+                    <div style={{ marginTop:'0.5rem',fontSize:14 }}>
+                      {u.buildsOn.length > 0 && (
+                        <p style={{ fontSize:12,color:'#666',margin:'0 0 0.5rem' }}>Builds on: {u.buildsOn.join(', ')}</p>
+                      )}
+                      {u.standards.map(s => (
+                        <div key={`${s.subjectKey}:${s.code}`} style={{ padding:'0.2rem 0' }}>
+                          <strong>{s.code}</strong> {s.description}
+                        </div>
+                      ))}
+                      <div style={{ marginTop:'0.6rem' }}>
+                        {u.blocks.map(b => (
+                          <div key={`${b.from}:${b.codes.join()}`} style={{ display:'flex',gap:'1rem',justifyContent:'space-between',
+                                                                            padding:'0.25rem 0',borderTop:'1px solid #f5f5f5' }}>
+                            <span style={{ color:'#444' }}>
+                              {b.from === b.to ? `Lesson ${b.from}` : `Lessons ${b.from}–${b.to}`}: {b.codes.join(', ')}
+                            </span>
+                            <Link href={blockHref(u, b)} style={{ color:'#007aff',whiteSpace:'nowrap' }}>Generate lessons</Link>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+const controlStyle = {
+  padding:'0.55rem',borderRadius:8,border:'1px solid #ccc'
+};
+const controlButtonStyle = {
+  ...controlStyle, background:'#fff', cursor:'pointer'
+};
+const buttonStyle = {
+  padding:'0.7rem 1.2rem',borderRadius:8,border:'none',background:'#007aff',color:'#fff',fontSize:'1rem',cursor:'pointer'
+};
@@ -0,0 +1,211 @@
+// pages/standards.js
+// The standards browser: filter the index by curriculum, subject and grade, walk its strands and
+// clusters, search it by text or meaning (/api/standards), and start a plan from any standard.
+import { parse } from "cookie";
+import { getSession } from "next-auth/react";
+import React, { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { getCurriculum } from '../lib/curricula/curricula.mjs';
+
+const PAGE_SIZE = 50;
+
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+  if (!session) return { redirect: { destination: '/api/auth/signin', permanent: false } };
+  const { region } = parse(context.req.headers.cookie || '');
+  return { props: { defaultCurriculum: getCurriculum(region) ? region : '' } };
+}
+
+// "Plan a lesson for this": the planner with the standard forced, its description as the topic
+const planHref = (s) => `/?${new URLSearchParams({
+  curriculum: s.curriculum, subject: s.plan.subject, grade: s.plan.grade,
+  ...(s.plan.examBoard ? { examBoard: s.plan.examBoard } : {}),
+  forceCode: s.code, topic: s.description.slice(0, 200)
+})}`;
+
+export default function StandardsBrowser({ defaultCurriculum }) {
+  const [curricula,  setCurricula]  = useState([]); // from /api/curricula, those with standards
+  const [curriculum, setCurriculum] = useState(defaultCurriculum);
+  const [subject,    setSubject]    = useState('');
+  const [grade,      setGrade]      = useState('');
+  const [strand,     setStrand]     = useState(null); // null: every strand
+  const [cluster,    setCluster]    = useState('');
+  const [q,          setQ]          = useState('');
+  const [mode,       setMode]       = useState('text');
+
+  const [standards, setStandards] = useState([]);
+  const [strands,   setStrands]   = useState([]);
+  const [total,     setTotal]     = useState(0);
+  const [loading,   setLoading]   = useState(false);
+  const [error,     setError]     = useState('');
+
+  useEffect(() => {
+    fetch('/api/curricula')
+      .then(r => r.json())
+      .then(d => {
+        const list = (d.curricula || []).filter(c => c.subjects.length);
+        setCurricula(list);
+        setCurriculum(c => (list.some(x => x.id === c) ? c : list[0]?.id || ''));
+      })
+      .catch(() => setCurricula([]));
+  }, []);
+
+  const curriculumDef = curricula.find(c => c.id === curriculum);
+  const subjectOptions = (curriculumDef?.subjects || []).map(s => s.name);
+  const gradeOptions = useMemo(() => {
+    const subjects = (curriculumDef?.subjects || []).filter(s => !subject || s.name === subject);
+    return [...new Set(subjects.flatMap(s => s.grades.map(g => g.grade)))];
+  }, [curriculumDef, subject]);
+
+  const params = { curriculum, subject, grade, cluster, q, mode, ...(strand !== null ? { strand } : {}) };
+  const query = new URLSearchParams(params).toString();
+
+  const load = async (offset = 0) => {
+    setLoading(true);
+    try {
+      const resp = await fetch(`/api/standards?${query}&limit=${PAGE_SIZE}&offset=${offset}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || `Could not load standards (${resp.status})`);
+      setStandards(list => (offset ? [...list, ...data.standards] : data.standards));
+      setStrands(data.strands);
+      setTotal(data.total);
+      setError('');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Search runs on the server; wait for typing to pause
+  useEffect(() => {
+    if (!curriculum) return;
+    const t = setTimeout(() => load(0), 250);
+    return () => clearTimeout(t);
+  }, [query]);
+
+  const pickCurriculum = (id) => { setCurriculum(id); setSubject(''); setGrade(''); pickStrand(null); };
+  const pickSubject = (name) => {
+    setSubject(name);
+    const grades = curriculumDef?.subjects.find(s => s.name === name)?.grades.map(g => g.grade) || [];
+    if (name && grade && !grades.includes(grade)) setGrade('');
+    pickStrand(null);
+  };
+  const pickGrade = (g) => { setGrade(g); pickStrand(null); };
+  const pickStrand = (s, c = '') => { setStrand(s); setCluster(c); };
+
+  const gradeLabel = curriculumDef?.gradeLabel || 'Grade';
+  const subjectOfFile = useMemo(() => Object.fromEntries((curriculumDef?.subjects || [])
+    .flatMap(s => s.grades.flatMap(g => [g.subjectKey, ...g.also].map(k => [k, s.name])))), [curriculumDef]);
+
+  return (
+    <>
+      <Head>
+        <title>Standards · Lesson Pilot</title>
+      </Head>
+
+      <div style={{ fontFamily:'-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif',
+                    background:'#f5f5f7',minHeight:'100vh',display:'flex',justifyContent:'center',padding:'3rem 1rem' }}>
+        <div style={{ background:'#fff',padding:'2rem',borderRadius:12, boxShadow:'0 4px 20px rgba(0,0,0,0.05)',
+                      width:'100%',maxWidth:1100 }}>
+          <div style={{ display:'flex',justifyContent:'space-between',alignItems:'baseline',marginBottom:'1.5rem' }}>
+            <h1 style={{ margin:0,fontWeight:600,fontSize:'2rem',color:'#1c1c1e' }}>Standards</h1>
+            <Link href="/" style={{ color:'#007aff' }}>← New plan</Link>
+          </div>
+
+          <div style={{ display:'flex',gap:'0.5rem',flexWrap:'wrap',marginBottom:'0.75rem' }}>
+            <select value={curriculum} onChange={e => pickCurriculum(e.target.value)} style={controlStyle}>
+              {!curriculumDef && <option value="">Curriculum</option>}
+              {curricula.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={subject} onChange={e => pickSubject(e.target.value)} style={controlStyle}>
+              <option value="">All subjects</option>
+              {subjectOptions.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <select value={grade} onChange={e => pickGrade(e.target.value)} style={controlStyle}>
+              <option value="">{`All ${gradeLabel.toLowerCase()}s`}</option>
+              {gradeOptions.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+          </div>
+          <div style={{ display:'flex',gap:'0.5rem',marginBottom:'1.25rem' }}>
+            <input
+              type="search"
+              value={q}
+              onChange={e => setQ(e.target.value)}
+              placeholder={mode === 'semantic' ? 'Describe what you want to teach' : 'Search by code or words in the standard'}
+              style={{ ...controlStyle, flex:1 }}
+            />
+            <select value={mode} onChange={e => setMode(e.target.value)} style={controlStyle}>
+              <option value="text">Text</option>
+              <option value="semantic">Semantic</option>
+            </select>
+          </div>
+
+          <div style={{ display:'flex',gap:'1.5rem',alignItems:'flex-start' }}>
+            <nav style={{ width:260,flexShrink:0,fontSize:14 }}>
+              <button onClick={() => pickStrand(null)} style={strandStyle(strand === null)}>All strands</button>
+              {strands.map(s => (
+                <div key={s.strand}>
+                  <button onClick={() => pickStrand(s.strand)} style={strandStyle(strand === s.strand && !cluster)}>
+                    {s.strand || 'Other'} <span style={{ color:'#888' }}>({s.count})</span>
+                  </button>
+                  {strand === s.strand && s.clusters.map(c => (
+                    <button key={c.cluster} onClick={() => pickStrand(s.strand, c.cluster)}
+                            style={{ ...strandStyle(cluster === c.cluster), paddingLeft:'1.25rem', fontSize:13 }}>
+                      {c.cluster} <span style={{ color:'#888' }}>({c.count})</span>
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </nav>
+
+            <div style={{ flex:1,minWidth:0 }}>
+              {error && <p style={{ color:'#b00020' }}>{error}</p>}
+              {!curricula.length && !error && <p style={{ color:'#666' }}>No curriculum has standards loaded yet.</p>}
+              {curriculum && !error && (
+                <p style={{ color:'#666',fontSize:13,marginTop:0 }}>
+                  {loading ? 'Loading…' : `${total} standard${total === 1 ? '' : 's'}`}
+                </p>
+              )}
+              {standards.map(s => (
+                <div key={`${s.subjectKey}:${s.code}:${s.grade}`} style={{ padding:'0.75rem 0',borderBottom:'1px solid #f0f0f0' }}>
+                  <div style={{ display:'flex',justifyContent:'space-between',gap:'1rem',alignItems:'baseline' }}>
+                    <strong style={{ fontSize:14 }}>{s.code}</strong>
+                    {s.plan ? (
+                      <Link href={planHref(s)} style={{ color:'#007aff',fontSize:13,whiteSpace:'nowrap' }}>Plan a lesson for this</Link>
+                    ) : (
+                      <span style={{ color:'#888',fontSize:13 }} title="No subject and grade in the planner retrieves this standard.">
+                        Not offered in the planner
+                      </span>
+                    )}
+                  </div>
+                  <div style={{ fontSize:14,margin:'0.25rem 0' }}>{s.description}</div>
+                  <div style={{ fontSize:12,color:'#666' }}>
+                    {[subjectOfFile[s.subjectKey], s.grade, [s.strand, s.cluster !== s.strand && s.cluster].filter(Boolean).join(' › '),
+                      s.source && `${s.source.pdf}${s.source.page ? ` p. ${s.source.page}` : ''}`,
+                      s.similarity !== undefined && `similarity ${s.similarity}`].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+              ))}
+              {standards.length < total && (
+                <button onClick={() => load(standards.length)} disabled={loading}
+                        style={{ ...controlStyle, marginTop:'1rem', background:'#fff', cursor:'pointer' }}>
+                  {loading ? 'Loading…' : 'Show more'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const controlStyle = {
+  padding:'0.55rem',borderRadius:8,border:'1px solid #ccc'
+};
+const strandStyle = (active) => ({
+  display:'block',width:'100%',textAlign:'left',padding:'0.35rem 0.5rem',border:'none',borderRadius:6,
+  background: active ? '#e8f0fe' : 'transparent',color: active ? '#0b57d0' : '#1c1c1e',cursor:'pointer'
+});
@@ -0,0 +1,159 @@
+// scripts/build-index.mjs
+// Builds public/standards_index.v1.json (+ manifest) from public/standards/<curriculum>/*.json
+//
+//   node scripts/build-index.mjs [--embedder openai|local|hash] [--force] [--raw] [--batch 100]
+//
+// Rows go through lib/standards/normalise.mjs first (skip with --raw). What it drops is written to
+// standards_index.v1.report.json, and NYS progression arrows to standards_index.v1.links.json.
+// Subjects re-extracted by scripts/extract-pdfs.mjs are read from their _tree.json as they are.
+//
+// Incremental: files whose sha256 matches the previous manifest keep their rows as-is,
+// and inside changed files any row whose text was embedded before reuses its vector.
+// Changing the embedding model rebuilds everything.
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { createEmbedder } from "../lib/standards/embedders.mjs";
+import { STANDARDS_DIR, listSourceFiles, describeSource, rowsFromSource, embedText, sha256 } from "../lib/standards/sources.mjs";
+import { normaliseRows, NORMALISER_VERSION } from "../lib/standards/normalise.mjs";
+
+const INDEX_VERSION = 1;
+const OUT_DIR = path.join(process.cwd(), "public");
+const INDEX_PATH = path.join(OUT_DIR, `standards_index.v${INDEX_VERSION}.json`);
+const MANIFEST_PATH = path.join(OUT_DIR, `standards_index.v${INDEX_VERSION}.manifest.json`);
+const REPORT_PATH = path.join(OUT_DIR, `standards_index.v${INDEX_VERSION}.report.json`);
+const LINKS_PATH = path.join(OUT_DIR, `standards_index.v${INDEX_VERSION}.links.json`);
+
+const { values: args } = parseArgs({
+  options: {
+    embedder: { type: "string", default: process.env.INDEX_EMBEDDER || "openai" },
+    force:    { type: "boolean", default: false },
+    raw:      { type: "boolean", default: false },
+    batch:    { type: "string", default: "100" }
+  }
+});
+
+const readJson = (p) => (fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null);
+
+function writeJsonAtomic(p, data, space) {
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, space));
+  fs.renameSync(tmp, p);
+}
+
+// Raw rows and PDF trees pass straight through, with a report that only counts them
+function prepareRows(rows, { tree }) {
+  if (args.raw || tree) {
+    const kept = rows.filter(r => r.description.trim());
+    const links = kept.filter(r => r.next?.length).map(({ code, grade, next }) => ({ code, grade, next }));
+    return { rows: kept, links, report: { raw: rows.length, kept: kept.length, dropped: {}, items: [] } };
+  }
+  return normaliseRows(rows);
+}
+
+async function main() {
+  const embedder = createEmbedder(args.embedder);
+  const batchSize = Math.max(1, parseInt(args.batch, 10) || 100);
+
+  // Previous build is only reusable if it was embedded with the same model
+  let prevManifest = readJson(MANIFEST_PATH);
+  let prevIndex = readJson(INDEX_PATH) || [];
+  if (args.force || !prevManifest || prevManifest.embedding?.model !== embedder.model) {
+    if (prevManifest && !args.force) console.log(`[index] embedding model changed (${prevManifest.embedding?.model} -> ${embedder.model}), full rebuild`);
+    prevManifest = null;
+    prevIndex = [];
+  }
+  const normaliser = args.raw ? null : NORMALISER_VERSION;
+  const prevReport = readJson(REPORT_PATH)?.sources || {};
+  const prevLinks = readJson(LINKS_PATH) || {};
+
+  // Different clean-up rules invalidate every file's rows, but vectors for unchanged text still apply
+  const sameRules = prevManifest && (prevManifest.normaliser ?? null) === normaliser;
+
+  const prevBySource = new Map();
+  const vectorCache = new Map(); // sha256(embed text) -> vector
+  for (const r of prevIndex) {
+    if (!r.source) continue;
+    if (!prevBySource.has(r.source)) prevBySource.set(r.source, []);
+    prevBySource.get(r.source).push(r);
+    if (Array.isArray(r.vector)) vectorCache.set(sha256(embedText(r)), r.vector);
+  }
+
+  const files = listSourceFiles(STANDARDS_DIR);
+  if (!files.length) throw new Error(`No standards files found under ${STANDARDS_DIR}`);
+
+  const sources = {};
+  const report = {};
+  const links = {};
+  const index = [];
+  const pending = []; // rows still needing a vector
+  let reusedFiles = 0;
+
+  for (const rel of files) {
+    const buf = fs.readFileSync(path.join(STANDARDS_DIR, rel));
+    const hash = sha256(buf);
+    const prev = prevManifest?.sources?.[rel];
+
+    const prevRows = prevBySource.get(rel) || [];
+    if (sameRules && prev && prev.sha256 === hash && prev.rows === prevRows.length && prevReport[rel]) {
+      index.push(...prevRows);
+      sources[rel] = { ...prev };
+      report[rel] = prevReport[rel];
+      if (prevLinks[rel]) links[rel] = prevLinks[rel];
+      reusedFiles++;
+      continue;
+    }
+
+    let json;
+    try {
+      json = JSON.parse(buf.toString("utf8"));
+    } catch (e) {
+      throw new Error(`${rel}: invalid JSON (${e.message})`);
+    }
+    const prepared = prepareRows(rowsFromSource(rel, json), describeSource(rel));
+    const rows = prepared.rows;
+    for (const r of rows) {
+      const cached = vectorCache.get(sha256(embedText(r)));
+      if (cached) r.vector = cached;
+      else pending.push(r);
+      index.push(r);
+    }
+    sources[rel] = { sha256: hash, rawRows: prepared.report.raw, rows: rows.length };
+    report[rel] = prepared.report;
+    if (prepared.links.length) links[rel] = prepared.links;
+  }
+
+  console.log(`[index] ${files.length} files (${reusedFiles} unchanged), ${pending.length} rows to embed with ${embedder.model}`);
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const vectors = await embedder.embed(batch.map(embedText));
+    if (vectors.length !== batch.length) throw new Error(`Embedder returned ${vectors.length} vectors for ${batch.length} inputs`);
+    batch.forEach((r, j) => { r.vector = vectors[j]; });
+    console.log(`[index] embedded ${Math.min(i + batchSize, pending.length)}/${pending.length}`);
+  }
+
+  const manifest = {
+    indexVersion: INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    embedding: { model: embedder.model, dims: index[0]?.vector?.length || 0 },
+    normaliser,
+    totalRows: index.length,
+    sources
+  };
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  writeJsonAtomic(INDEX_PATH, index);
+  writeJsonAtomic(MANIFEST_PATH, manifest);
+  writeJsonAtomic(REPORT_PATH, { builtAt: manifest.builtAt, normaliser, sources: report }, 1);
+  writeJsonAtomic(LINKS_PATH, links);
+  const dropped = Object.values(report).reduce((n, r) => n + (r.raw - r.kept), 0);
+  if (dropped) console.log(`[index] normalisation dropped or merged ${dropped} raw rows, see ${path.relative(process.cwd(), REPORT_PATH)}`);
+  console.log(`[index] wrote ${index.length} rows -> ${path.relative(process.cwd(), INDEX_PATH)}`);
+}
+
+main().catch(e => {
+  console.error("[index] build failed:", e.message);
+  process.exit(1);
+});
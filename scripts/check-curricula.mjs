@@ -0,0 +1,33 @@
+// scripts/check-curricula.mjs
+// Validates the curriculum definitions in lib/curricula/defs (see lib/curricula/curricula.mjs) and
+// lists subject keys with no standards file yet under public/standards/<id>/.
+//
+//   node scripts/check-curricula.mjs
+//
+// Exits 1 when any definition is malformed; the app skips those files at runtime. Missing standards
+// files are only reported: lessons for those subjects fail until the files are added and indexed.
+
+import { readCurriculumFiles } from "../lib/curricula/curricula.mjs";
+import { listSourceFiles, describeSource } from "../lib/standards/sources.mjs";
+
+const sources = new Set(listSourceFiles().map(rel => {
+  const { curriculum, subjectKey } = describeSource(rel);
+  return `${curriculum}/${subjectKey}`;
+}));
+
+let bad = 0;
+for (const { file, curriculum, problems } of readCurriculumFiles()) {
+  if (problems.length) {
+    bad++;
+    console.error(`[curricula] ${file}:`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    continue;
+  }
+  const keys = [...new Set(curriculum.subjects.flatMap(s => s.keys
+    ? s.keys.flatMap(k => [k.key, ...(k.also || []), ...Object.values(k.boards || {})])
+    : [s.key]))].filter(Boolean);
+  const missing = curriculum.standards === false ? [] : keys.filter(k => !sources.has(`${curriculum.id}/${k}`));
+  console.log(`[curricula] ${file}: ok (${curriculum.subjects.length} subjects, ${curriculum.grades.length} grades)`);
+  missing.forEach(k => console.warn(`  ! no standards file for "${k}" in public/standards/${curriculum.id}/`));
+}
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,20 @@
+// scripts/check-templates.mjs
+// Validates the lesson templates in lib/templates/lessons (see lib/templates/lesson-templates.mjs).
+//
+//   node scripts/check-templates.mjs
+//
+// Exits 1 when any template is malformed; the app skips those files at runtime.
+
+import { readTemplateFiles } from "../lib/templates/lesson-templates.mjs";
+
+let bad = 0;
+for (const { file, template, problems } of readTemplateFiles()) {
+  if (!problems.length) {
+    console.log(`[templates] ${file}: ok (${template.sections.length} sections)`);
+    continue;
+  }
+  bad++;
+  console.error(`[templates] ${file}:`);
+  problems.forEach(p => console.error(`  - ${p}`));
+}
+process.exit(bad ? 1 : 0);
@@ -0,0 +1,57 @@
+// scripts/extract-pdfs.mjs
+// Parses the source PDFs in /pdfs into hierarchical standards trees:
+//   public/standards/<curriculum>/<subjectKey>_tree.json
+//
+//   node scripts/extract-pdfs.mjs [--only ela_standards.pdf] [--dry-run]
+//
+// Each tree is { curriculum, subjectKey, pdf, grades: [grade -> domain -> cluster ->
+// standard -> bullet] } and every node carries the PDF page it starts on. The index builder
+// prefers a subject's _tree.json over its line-based _standards.json.
+// PDFs without a profile in lib/standards/pdf-profiles.mjs are left to the old JSON.
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { extractLines, buildTrees, rowsFromTree } from "../lib/standards/pdf-extract.mjs";
+import { PDF_PROFILES } from "../lib/standards/pdf-profiles.mjs";
+import { STANDARDS_DIR } from "../lib/standards/sources.mjs";
+
+const PDF_DIR = path.join(process.cwd(), "pdfs");
+
+const { values: args } = parseArgs({
+  options: {
+    only:      { type: "string" },
+    "dry-run": { type: "boolean", default: false }
+  }
+});
+
+async function main() {
+  const profiles = PDF_PROFILES.filter(p => !args.only || p.pdf.includes(args.only));
+  if (!profiles.length) throw new Error(`No PDF profile matches "${args.only}"`);
+
+  for (const profile of profiles) {
+    const pdfPath = path.join(PDF_DIR, profile.pdf);
+    if (!fs.existsSync(pdfPath)) {
+      console.warn(`[pdfs] missing ${profile.pdf}, skipped`);
+      continue;
+    }
+    const pages = await extractLines(pdfPath);
+    const trees = buildTrees(pages, profile);
+
+    for (const tree of Object.values(trees)) {
+      const rows = rowsFromTree(tree).length;
+      const rel = `${tree.curriculum}/${tree.subjectKey}_tree.json`;
+      console.log(`[pdfs] ${profile.pdf} -> ${rel}: ${tree.grades.length} grades, ${rows} standards`);
+      if (args["dry-run"] || !rows) continue;
+
+      const out = path.join(STANDARDS_DIR, rel);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(tree, null, 1));
+    }
+  }
+}
+
+main().catch(e => {
+  console.error("[pdfs] extraction failed:", e.message);
+  process.exit(1);
+});
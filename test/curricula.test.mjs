@@ -0,0 +1,28 @@
+// test/curricula.test.mjs
+// lib/curricula/curricula.mjs: resolving a planner choice to its standards files, against the
+// definitions in lib/curricula/defs.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveSubject, subjectFiles, validateCurriculum } from "../lib/curricula/curricula.mjs";
+
+test("England KS4 Mathematics keeps appendix 1 as a supporting file", () => {
+  const r = resolveSubject("england", "Mathematics", "Year 10");
+  assert.equal(r.subjectKey, "eng_mathematics_ks4");
+  assert.deepEqual(r.also, ["eng_mathematics_appendix1"]);
+});
+
+test("a stage with no programme gives its reason instead of a file", () => {
+  const r = resolveSubject("england", "History", "Year 11");
+  assert.equal(r.subjectKey, undefined);
+  assert.match(r.unavailable, /no key stage 4 programme of study for History/);
+  assert.equal(resolveSubject("england", "History", "Year 8").subjectKey, "eng_history_secondary");
+  assert.deepEqual(subjectFiles("england", "History"), ["eng_history_primary", "eng_history_secondary"]);
+});
+
+test("an unavailable stage needs a reason and nothing else", () => {
+  const def = (keys) => ({ id: "x", name: "X", grades: ["Grade 1"], subjects: [{ name: "Art", keys }] });
+  assert.deepEqual(validateCurriculum(def([{ match: "^KS4$", unavailable: "No programme." }])), []);
+  assert.deepEqual(validateCurriculum(def([{ match: "^KS4$", unavailable: "No programme.", key: "art" }])),
+                   ['subjects[0].keys[0] must be { "match": "<regex>", "unavailable": "<reason>" }']);
+});
@@ -0,0 +1,92 @@
+// test/lesson-plan.test.mjs
+// lib/plan/lesson-plan.mjs: schema checking (conform) and reading a model's section reply
+// (readSection).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { conform, readSection } from "../lib/plan/lesson-plan.mjs";
+
+const schema = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    level: { type: "string", enum: ["easy", "hard"] },
+    tags: { type: "array", items: { type: "string" }, minItems: 1, maxItems: 2 }
+  },
+  required: ["title", "tags"]
+};
+
+test("conform trims strings, keeps declared properties and truncates long lists", () => {
+  const { value, problems } = conform({ title: "  Photosynthesis ", level: "easy", tags: [7, " a ", "b"], extra: 1 }, schema);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(value, { title: "Photosynthesis", level: "easy", tags: ["7", "a"] });
+});
+
+test("conform lists every problem with its path", () => {
+  const { problems } = conform({ title: " ", level: "medium", tags: [] }, schema);
+  assert.deepEqual(problems, [
+    "$.title must not be empty",
+    "$.level must be one of easy, hard",
+    "$.tags needs at least 1 item(s)"
+  ]);
+  assert.deepEqual(conform({ tags: "x" }, schema).problems, ["$.title is required", "$.tags must be an array"]);
+  assert.deepEqual(conform([], schema).problems, ["$ must be an object"]);
+});
+
+const assessment = { key: "assessment", type: "assessment" };
+const quiz = { key: "quiz", type: "quiz" };
+
+test("assessment: short-answer and true/false questions may come with empty options", () => {
+  const { data, problems } = readSection(assessment, { assessment: [
+    { question: "Name the gas plants take in.", type: "short_answer", options: [], answer: "Carbon dioxide" },
+    { question: "Plants make glucose.", type: "true_false", options: [], answer: "t" }
+  ] });
+  assert.equal(problems, undefined);
+  assert.deepEqual(data.assessment.map(q => [q.type, q.options, q.answer]), [
+    ["short_answer", [], "Carbon dioxide"],
+    ["true_false", [], "True"]
+  ]);
+});
+
+test("assessment: an MCQ needs at least two options", () => {
+  const { problems } = readSection(assessment, { assessment: [
+    { question: "Which gas do plants give off?", type: "mcq", options: [], answer: "Oxygen" },
+    { question: "Which organelle photosynthesises?", type: "mcq", options: ["Chloroplast"], answer: "Chloroplast" }
+  ] });
+  assert.deepEqual(problems, ["$.assessment[0] needs at least 2 options", "$.assessment[1] needs at least 2 options"]);
+});
+
+test("assessment: loose question types and lettered answers are keyed to the options", () => {
+  const { data, content } = readSection(assessment, { assessment: [
+    { question: "Which gas do plants give off?", type: "Multiple choice", options: ["Nitrogen", "Oxygen", "Helium"], answer: "b) oxygen" }
+  ] });
+  assert.deepEqual(data.assessment[0], {
+    question: "Which gas do plants give off?", type: "mcq", options: ["Nitrogen", "Oxygen", "Helium"], answer: "Oxygen"
+  });
+  assert.equal(content, "1. Q: Which gas do plants give off?\n   a) Nitrogen\n   b) Oxygen\n   c) Helium\n   **Answer:** Oxygen");
+});
+
+test("quiz: an MCQ answer must be one of its options and true/false must be True or False", () => {
+  const { problems } = readSection(quiz, { questions: [
+    { question: "Which gas do plants give off?", type: "mcq", options: ["Nitrogen", "Oxygen"], answer: "Argon" },
+    { question: "Plants respire at night.", type: "true_false", answer: "Sometimes" },
+    { question: "Name the green pigment.", type: "short_answer", options: [], answer: "Chlorophyll" }
+  ] });
+  assert.deepEqual(problems, [
+    "$.questions[0].answer must be the text of one of its options",
+    "$.questions[1].answer must be True or False"
+  ]);
+});
+
+test("quiz: keeps at most four options", () => {
+  const { data } = readSection(quiz, { questions: [
+    { question: "Pick the mammal.", type: "mcq", options: ["Shark", "Frog", "Whale", "Eagle", "Newt"], answer: "Whale", feedback: "Whales feed their young milk." }
+  ] });
+  assert.deepEqual(data.questions[0].options, ["Shark", "Frog", "Whale", "Eagle"]);
+});
+
+test("sections that do not match their schema are refused, not rendered", () => {
+  assert.deepEqual(readSection({ key: "notes", type: "markdown" }, { text: "Wrong key" }), { problems: ["$.markdown is required"] });
+  assert.deepEqual(readSection({ key: "notes", type: "markdown" }, { markdown: " **Notes** " }),
+                   { data: { markdown: "**Notes**" }, content: "**Notes**" });
+});
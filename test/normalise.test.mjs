@@ -0,0 +1,95 @@
+// test/normalise.test.mjs
+// lib/standards/normalise.mjs: line files (England), code files (NYS) and guidance filed under no
+// key stage.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normaliseRows } from "../lib/standards/normalise.mjs";
+
+const lines = (grade, texts, subjectKey = "eng_english_secondary") => texts.map((description, i) => ({
+  curriculum: "england", subjectKey, grade,
+  code: `${grade}-EN-${String(i + 1).padStart(3, "0")}`, description
+}));
+
+test("line files: wrapped lines merge, noise and lead-ins drop, headings become sections", () => {
+  const { rows, report } = normaliseRows(lines("KS3", [
+    "Pupils should be taught to read a wide range of fiction and non-fiction texts.",
+    "Writing – composition",
+    "Pupils should be taught to:",
+    "12",
+    "Draft and write by selecting appropriate grammar and vocabulary, and",
+    "understanding how such choices can change meaning.",
+    "Draft and write by selecting appropriate grammar and vocabulary, and understanding how such choices can change meaning."
+  ]));
+
+  assert.deepEqual(rows.map(r => r.description), [
+    "Pupils should be taught to read a wide range of fiction and non-fiction texts.",
+    "Draft and write by selecting appropriate grammar and vocabulary, and understanding how such choices can change meaning."
+  ]);
+  assert.equal(rows[0].section, undefined);
+  assert.equal(rows[1].section, "Writing – composition");
+  assert.equal(rows[1].code, "KS3-EN-005");
+  assert.deepEqual(report.dropped, { "page-number": 1, "lead-in": 1, "duplicate-text": 1 });
+  assert.equal(report.merged, 1);
+  assert.equal(report.headings, 1);
+  assert.equal(report.raw, 7);
+  assert.equal(report.kept, 2);
+});
+
+test("line files: restores line order before merging", () => {
+  const shuffled = lines("KS3", [
+    "Pupils should be taught to spell words with prefixes and suffixes correctly.",
+    "Pupils should be taught to use a dictionary to check the meaning of",
+    "words that they have read."
+  ]).reverse();
+  const { rows } = normaliseRows(shuffled);
+  assert.deepEqual(rows.map(r => r.description), [
+    "Pupils should be taught to spell words with prefixes and suffixes correctly.",
+    "Pupils should be taught to use a dictionary to check the meaning of words that they have read."
+  ]);
+});
+
+test("code files: arrows become next links and repeated codes collapse to the fullest wording", () => {
+  const row = (code, description) => ({ curriculum: "nys", subjectKey: "math", grade: "Grade 4", code, description });
+  const { rows, links, report } = normaliseRows([
+    row("NY-4.NF.1", "Explain why a fraction is equivalent → NY-5.NF.1"),
+    row("NY-4.NF.1", "→ NY-5.NF.2"),
+    row("NY-4.NF.1", "Explain why a fraction a/b is equivalent to a fraction (n × a)/(n × b)."),
+    row("NY-4.OA.3", "Solve multi-step word problems posed with whole numbers.")
+  ]);
+
+  assert.deepEqual(rows.map(r => [r.code, r.description, r.next]), [
+    ["NY-4.NF.1", "Explain why a fraction a/b is equivalent to a fraction (n × a)/(n × b).", ["NY-5.NF.1", "NY-5.NF.2"]],
+    ["NY-4.OA.3", "Solve multi-step word problems posed with whole numbers.", undefined]
+  ]);
+  assert.deepEqual(links, [{ code: "NY-4.NF.1", grade: "Grade 4", next: ["NY-5.NF.1", "NY-5.NF.2"] }]);
+  assert.deepEqual(report.dropped, { "progression-arrow": 1, "duplicate-code": 1 });
+});
+
+test("guidance with no key stage is filed under the stage it is written for", () => {
+  const { rows, report } = normaliseRows([
+    ...lines("KS?", ["Phase 2 introduces the first set of grapheme-phoneme correspondences."], "eng_letters_sounds"),
+    ...lines("KS?", ["Children should practise blending for reading every day."], "eng_reading_framework"),
+    ...lines("KS?", ["Pupils should be taught to use columnar addition for numbers with more than 4 digits."],
+             "eng_mathematics_appendix1")
+  ]);
+  assert.deepEqual(rows.map(r => [r.subjectKey, r.grade, r.code]), [
+    ["eng_letters_sounds", "KS1-2", "KS1-2-EN-001"],
+    ["eng_reading_framework", "KS1-2", "KS1-2-EN-001"],
+    ["eng_mathematics_appendix1", "KS1-2", "KS1-2-EN-001"]
+  ]);
+  assert.equal(report.dropped["no-key-stage"], undefined);
+});
+
+test("rows with no key stage from an unknown file are dropped whole, without listing each", () => {
+  const { rows, report } = normaliseRows([
+    ...lines("KS?", [
+      "Phase 2 introduces the first set of grapheme-phoneme correspondences.",
+      "Children should practise blending for reading every day."
+    ]),
+    ...lines("KS1-2", ["Pupils should be taught to apply phonic knowledge to decode words."])
+  ]);
+  assert.deepEqual(rows.map(r => r.grade), ["KS1-2"]);
+  assert.equal(report.dropped["no-key-stage"], 2);
+  assert.equal(report.items.filter(i => i.reason === "no-key-stage").length, 0);
+});
@@ -0,0 +1,134 @@
+// test/pdf-extract.test.mjs
+// lib/standards/pdf-extract.mjs: positioned lines -> standards trees -> index rows. The lines are
+// what extractLines returns for a page, so no PDF is read.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildTrees, rowsFromTree } from "../lib/standards/pdf-extract.mjs";
+import { PDF_PROFILES } from "../lib/standards/pdf-profiles.mjs";
+
+// Body text is 11pt Regular; headings are larger, or Bold at body size
+const page = (n, body) => ({
+  page: n, header: "",
+  body: body.map(([text, size = 11, font = "Regular", x = 50], i) => ({ page: n, text, size, font, x, y: 800 - i * 14 }))
+});
+
+const ENGLAND = {
+  pdf: "england/maths.pdf",
+  curriculum: "england",
+  subjectKey: "eng_mathematics_secondary",
+  gradeOf: (t) => {
+    const m = t.match(/^Key stage (\d)$/);
+    return m ? `KS${m[1]}` : null;
+  },
+  gradeOnly: /^Key stage/,
+  bulletsAreStandards: true,
+  codePrefix: ({ grade }) => `${grade}-MA`
+};
+
+test("bullets become coded standards under grade, domain and cluster headings", () => {
+  const trees = buildTrees([page(3, [
+    ["Key stage 3", 16, "Bold"],
+    ["Number", 14, "Bold"],
+    ["Fractions", 11, "Bold"],
+    ["• add and subtract fractions with different denominators, including", 11, "Regular", 50],
+    ["mixed numbers and improper fractions", 11, "Regular", 58],
+    ["– using diagrams and number lines to explain each step", 11, "Regular", 70],
+    ["• multiply and divide proper fractions and mixed numbers by whole numbers", 11, "Regular", 50]
+  ])], ENGLAND);
+
+  const tree = trees.eng_mathematics_secondary;
+  assert.equal(tree.pdf, "england/maths.pdf");
+  const [grade] = tree.grades;
+  assert.equal(grade.title, "KS3");
+  assert.deepEqual(grade.children.map(n => [n.type, n.title]), [["domain", "Number"]]);
+  const [cluster] = grade.children[0].children;
+  assert.deepEqual([cluster.type, cluster.title], ["cluster", "Fractions"]);
+  assert.deepEqual(cluster.children.map(s => [s.type, s.code, s.text, s.page]), [
+    ["standard", "KS3-MA-001", "add and subtract fractions with different denominators, including mixed numbers and improper fractions", 3],
+    ["standard", "KS3-MA-002", "multiply and divide proper fractions and mixed numbers by whole numbers", 3]
+  ]);
+  assert.deepEqual(cluster.children[0].children.map(b => [b.type, b.text]), [["bullet", "using diagrams and number lines to explain each step"]]);
+
+  assert.deepEqual(rowsFromTree(tree), [
+    {
+      curriculum: "england", subjectKey: "eng_mathematics_secondary", grade: "KS3", code: "KS3-MA-001",
+      description: "add and subtract fractions with different denominators, including mixed numbers and improper fractions " +
+                   "using diagrams and number lines to explain each step",
+      strand: "Number", cluster: "Fractions", pdf: "england/maths.pdf", page: 3
+    },
+    {
+      curriculum: "england", subjectKey: "eng_mathematics_secondary", grade: "KS3", code: "KS3-MA-002",
+      description: "multiply and divide proper fractions and mixed numbers by whole numbers",
+      strand: "Number", cluster: "Fractions", pdf: "england/maths.pdf", page: 3
+    }
+  ]);
+});
+
+test("printed codes start standards; skipped sections and skipped pages leave nothing behind", () => {
+  const profile = {
+    pdf: "nys/math.pdf",
+    curriculum: "nys",
+    subjectKey: "math",
+    defaultGrade: "Grade 4",
+    skipPages: [1],
+    skipSections: /^Aims$/,
+    standardLine: (t) => {
+      const m = t.match(/^(NY-4\.NF\.\d+)\s+(.*)$/);
+      return m ? { code: m[1], text: m[2] } : null;
+    }
+  };
+  const trees = buildTrees([
+    page(1, [["NY-4.NF.9 Cover page text that looks like a standard but is not one at all"]]),
+    page(2, [
+      ["Aims", 14, "Bold"],
+      ["• students become fluent in the fundamentals of mathematics and reason mathematically", 11, "Regular", 50],
+      ["Number and Operations – Fractions", 14, "Bold"],
+      ["NY-4.NF.1 Explain why a fraction a/b is equivalent to a fraction (n × a)/(n × b) by using", 11, "Regular", 50],
+      ["visual fraction models, with attention to how the number and size of the parts differ.", 11, "Regular", 50],
+      ["Loose guidance printed to the left of the standards is not part of any standard.", 11, "Regular", 20]
+    ])
+  ], profile);
+
+  const rows = rowsFromTree(trees.math);
+  assert.deepEqual(rows.map(r => [r.grade, r.code, r.strand, r.cluster, r.page]), [
+    ["Grade 4", "NY-4.NF.1", "Number and Operations – Fractions", "", 2]
+  ]);
+  assert.equal(rows[0].description,
+    "Explain why a fraction a/b is equivalent to a fraction (n × a)/(n × b) by using " +
+    "visual fraction models, with attention to how the number and size of the parts differ.");
+});
+
+test("a standard split across pages keeps its text, its margin notes and nothing of its fractions", () => {
+  const nysMath = PDF_PROFILES.find(p => p.pdf === "mathematics_standards.pdf");
+  const trees = buildTrees([
+    page(45, [
+      ["NY-4.OA", 12, "Bold"],
+      ["Operations and Algebraic Thinking", 12, "Bold"],
+      ["Use the four operations with whole numbers to solve problems.", 11, "Bold"],
+      ["1. Interpret a multiplication equation as a comparison. Represent verbal statements of", 11, "Regular", 44],
+      ["Coherence: NY-3.OA.1 → NY-4.OA.1 → NY-5.NF.5", 11, "Regular", 472],
+      ["multiplicative comparisons as multiplication equations 𝑎𝑎 𝑏𝑏 × 𝑛𝑛 , with the", 11, "Regular", 62]
+    ]),
+    page(46, [
+      ["NY-4.OA", 12, "Bold"],
+      ["Operations and Algebraic Thinking", 12, "Bold"],
+      ["unknown in any position.", 11, "Regular", 62],
+      ["e.g., Represent “Four times as many as eight is thirty two”", 11, "Regular", 472],
+      ["as 4 × 8 = 32.", 11, "Regular", 494],
+      ["1 2 4 2", 11, "Regular", 494],
+      ["2. Multiply or divide to solve word problems involving multiplicative comparison.", 11, "Regular", 44]
+    ])
+  ], nysMath);
+
+  const rows = rowsFromTree(trees.mathematics);
+  assert.deepEqual(rows.map(r => [r.grade, r.code, r.strand, r.page]), [
+    ["Grade 4", "NY-4.OA.1", "Operations and Algebraic Thinking", 45],
+    ["Grade 4", "NY-4.OA.2", "Operations and Algebraic Thinking", 46]
+  ]);
+  assert.equal(rows[0].description,
+    "Interpret a multiplication equation as a comparison. Represent verbal statements of multiplicative comparisons " +
+    "as multiplication equations, with the unknown in any position. " +
+    "e.g., Represent “Four times as many as eight is thirty two” as 4 × 8 = 32.");
+  assert.deepEqual(rows[0].next, ["NY-5.NF.5"]);
+});
@@ -0,0 +1,18 @@
+// test/plans.test.mjs
+// lib/store/plans.mjs: what a client may save to the plan library.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validatePlan } from "../lib/store/plans.mjs";
+
+test("a new plan needs its Markdown and gets a title from its topic", () => {
+  assert.deepEqual(validatePlan({ topic: "Fractions" }), { error: "A plan needs its Markdown." });
+  assert.deepEqual(validatePlan({ topic: "Fractions", markdown: "# Plan", id: "x" }).data,
+                   { topic: "Fractions", markdown: "# Plan", title: "Fractions" });
+});
+
+test("an update may leave the Markdown out but may not empty it", () => {
+  assert.deepEqual(validatePlan({ title: "Renamed" }, { partial: true }), { data: { title: "Renamed" } });
+  assert.deepEqual(validatePlan({ markdown: "" }, { partial: true }), { error: "A plan needs its Markdown." });
+  assert.deepEqual(validatePlan({ markdown: "  \n" }, { partial: true }), { error: "A plan needs its Markdown." });
+});
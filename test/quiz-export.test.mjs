@@ -0,0 +1,48 @@
+// test/quiz-export.test.mjs
+// lib/export/quiz.mjs: how short answers are marked in GIFT and QTI, and CSV cells that must not
+// run as spreadsheet formulas.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { quizOf, renderGift, renderQti, renderQuizCsv, csvCell } from "../lib/export/quiz.mjs";
+
+const planWith = (questions) => ({ title: "Photosynthesis", layout: { quiz: { key: "quiz" } }, parts: { "0:quiz": { data: { questions } } } });
+
+const shortAnswer = {
+  question: "What sugar do plants make?", type: "short_answer",
+  answer: "Plants make glucose during photosynthesis.", accept: ["glucose", "C6H12O6"], feedback: "Glucose stores the energy."
+};
+
+test("short answers are marked against each accepted answer", async () => {
+  const quiz = quizOf(planWith([shortAnswer]));
+  assert.match(renderGift(quiz), /\{=glucose =C6H12O6####Glucose stores the energy\.\}/);
+
+  const zip = await JSZip.loadAsync(await renderQti(quiz));
+  const item = await zip.file("items/q1.xml").async("string");
+  assert.match(item, /<mapEntry mapKey="glucose" mappedValue="1" caseSensitive="false"\/>/);
+  assert.match(item, /<mapEntry mapKey="C6H12O6" mappedValue="1" caseSensitive="false"\/>/);
+  assert.match(item, /<mapResponse identifier="RESPONSE"\/>/);
+  assert.doesNotMatch(item, /Plants make glucose during photosynthesis/);
+});
+
+test("short answers with only a model answer go to the teacher to mark", async () => {
+  const quiz = quizOf(planWith([{ ...shortAnswer, accept: undefined }]));
+  assert.equal(quiz.items[0].type, "open");
+  assert.match(renderGift(quiz), /\{####Model answer\\: Plants make glucose during photosynthesis\. Glucose stores the energy\.\}/);
+  const item = await (await JSZip.loadAsync(await renderQti(quiz))).file("items/q1.xml").async("string");
+  assert.match(item, /<extendedTextInteraction/);
+  assert.doesNotMatch(item, /<responseCondition>/);
+});
+
+test("CSV cells that start like a formula stay text", () => {
+  assert.equal(csvCell("=HYPERLINK(\"http://x\")"), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(csvCell("+1"), "'+1");
+  assert.equal(csvCell("-x"), "'-x");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("Plain, with comma"), `"Plain, with comma"`);
+  assert.equal(csvCell(-5), "-5");
+
+  const csv = renderQuizCsv(quizOf(planWith([{ question: "=2+2?", type: "open", answer: "-4" }])));
+  assert.equal(csv.split("\r\n")[1], "'=2+2?,,,,,60,,open,'-4,");
+});
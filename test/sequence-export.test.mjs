@@ -0,0 +1,75 @@
+// test/sequence-export.test.mjs
+// lib/export/sequence.mjs: lesson dates, the CSV and the iCalendar file (RFC 5545 escaping and
+// 75-octet line folding).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSequence } from "../lib/standards/sequence.mjs";
+import { firstSchoolDay, lessonDate, renderSequenceCsv, renderSequenceIcs, sequenceFileName } from "../lib/export/sequence.mjs";
+
+const seq = buildSequence([
+  { curriculum: "nys", subjectKey: "math", grade: "Grade 4", code: "NY-4.NF.1", strand: "Fractions, decimals",
+    description: "Explain why a/b = (n × a)/(n × b); use models, e.g. C:\\fractions" },
+  { curriculum: "nys", subjectKey: "math", grade: "Grade 4", code: "NY-4.NF.2", strand: "Fractions, decimals",
+    description: "Comparer des fractions — « équivalentes » — ".repeat(6).trim() }
+], { weeks: 1, lessonsPerWeek: 2 });
+const meta = { curriculum: "nys", subject: "Math; Grade 4", grade: "Grade 4", startDate: "2026-09-02" };
+
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+const property = (ics, name) => unfold(ics).split("\r\n").filter(l => l.startsWith(`${name}:`) || l.startsWith(`${name};`));
+
+test("week 1 starts on the first school day on or after the start date", () => {
+  assert.equal(firstSchoolDay("2026-09-02").toISOString(), "2026-09-02T00:00:00.000Z");
+  assert.equal(firstSchoolDay("2026-09-05").toISOString(), "2026-09-07T00:00:00.000Z");
+  assert.equal(firstSchoolDay("2026-09-06").toISOString(), "2026-09-07T00:00:00.000Z");
+  assert.equal(firstSchoolDay("not-a-date"), null);
+  assert.equal(firstSchoolDay("2026-02-30"), null);
+});
+
+test("week 1 lessons share the days left in that week; later weeks run Monday to Friday", () => {
+  const start = firstSchoolDay("2026-09-03");
+  const dates = [1, 2, 3].map(day => lessonDate(start, { lessonsPerWeek: 3 }, { week: 1, day }).toISOString().slice(0, 10));
+  assert.deepEqual(dates, ["2026-09-03", "2026-09-03", "2026-09-04"]);
+  assert.equal(lessonDate(start, { lessonsPerWeek: 3 }, { week: 2, day: 1 }).toISOString().slice(0, 10), "2026-09-07");
+  assert.equal(lessonDate(start, { lessonsPerWeek: 3 }, { week: 2, day: 3 }).toISOString().slice(0, 10), "2026-09-10");
+});
+
+test("the file name is a slug of the choice", () => {
+  assert.equal(sequenceFileName(meta), "year-plan-nys-math-grade-4-grade-4");
+});
+
+test("the CSV has one row per lesson with its date, unit and standards", () => {
+  const csv = renderSequenceCsv(seq, meta);
+  assert.ok(csv.startsWith("\uFEFFWeek,Lesson,Date,Unit,"));
+  assert.ok(csv.endsWith("\r\n"));
+  const rows = csv.slice(1).trimEnd().split("\r\n");
+  assert.equal(rows.length, 3);
+  assert.ok(rows[1].startsWith('1,1,2026-09-02,1,"Fractions, decimals",1 of 2,NY-4.NF.1,"NY-4.NF.1: Explain why'));
+  assert.ok(rows[2].startsWith('1,2,2026-09-03,1,"Fractions, decimals",2 of 2,NY-4.NF.2,'));
+});
+
+test("iCalendar text is escaped and events fall on the lesson days", () => {
+  const ics = renderSequenceIcs(seq, meta);
+  assert.deepEqual(property(ics, "SUMMARY"), [
+    "SUMMARY:Math\\; Grade 4: Unit 1 Fractions\\, decimals (lesson 1 of 2)",
+    "SUMMARY:Math\\; Grade 4: Unit 1 Fractions\\, decimals (lesson 2 of 2)"
+  ]);
+  assert.equal(property(ics, "DESCRIPTION")[0],
+    "DESCRIPTION:NY-4.NF.1: Explain why a/b = (n × a)/(n × b)\\; use models\\, e.g. C:\\\\fractions");
+  assert.deepEqual(property(ics, "DTSTART"), ["DTSTART;VALUE=DATE:20260902", "DTSTART;VALUE=DATE:20260903"]);
+  assert.deepEqual(property(ics, "DTEND"), ["DTEND;VALUE=DATE:20260903", "DTEND;VALUE=DATE:20260904"]);
+  assert.equal(property(ics, "X-WR-CALNAME")[0], "X-WR-CALNAME:Math\\; Grade 4 Grade 4 year plan");
+  assert.equal(new Set(property(ics, "UID")).size, 2);
+});
+
+test("iCalendar lines fold at 75 octets without splitting a character", () => {
+  const ics = renderSequenceIcs(seq, meta);
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  const lines = ics.slice(0, -2).split("\r\n");
+  assert.ok(lines.some(l => l.startsWith(" ")), "the long description is folded");
+  for (const l of lines) {
+    assert.ok(Buffer.byteLength(l, "utf8") <= 75, `${JSON.stringify(l)} is longer than 75 octets`);
+    assert.ok(!l.includes("\uFFFD"), `${JSON.stringify(l)} splits a character`);
+  }
+  assert.equal(property(ics, "DESCRIPTION")[1], `DESCRIPTION:NY-4.NF.2: ${seq.units[0].standards[1].description}`);
+});
@@ -0,0 +1,101 @@
+// test/sequence.test.mjs
+// lib/standards/sequence.mjs: units, the share of lessons each gets, planner blocks and
+// progression arrows.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSequence } from "../lib/standards/sequence.mjs";
+
+const row = (code, strand, { subjectKey = "math", cluster = "", description = `Standard ${code}`, next } = {}) =>
+  ({ curriculum: "nys", subjectKey, grade: "Grade 4", code, description, strand, cluster, ...(next ? { next } : {}) });
+const many = (prefix, strand, n) => Array.from({ length: n }, (_, i) => row(`${prefix}.${i + 1}`, strand));
+
+test("lessons are shared between units in proportion to their standards, at least one each", () => {
+  const seq = buildSequence([...many("NF", "Fractions", 6), ...many("G", "Geometry", 2), ...many("MD", "Measurement", 1)],
+                            { weeks: 4, lessonsPerWeek: 3 });
+  assert.equal(seq.totalLessons, 12);
+  assert.deepEqual(seq.units.map(u => [u.title, u.lessons, u.startWeek, u.endWeek]), [
+    ["Fractions", 7, 1, 3],
+    ["Geometry", 3, 3, 4],
+    ["Measurement", 2, 4, 4]
+  ]);
+  assert.deepEqual(seq.lessons[7], { n: 8, week: 3, day: 2, unit: 2, codes: ["G.1"] });
+
+  const small = buildSequence([...many("NF", "Fractions", 10), ...many("G", "Geometry", 1)], { weeks: 1, lessonsPerWeek: 3 });
+  assert.deepEqual(small.units.map(u => u.lessons), [2, 1]);
+});
+
+test("a calendar with fewer lessons than units is refused", () => {
+  assert.throws(() => buildSequence([row("A.1", "A"), row("B.1", "B"), row("C.1", "C")], { weeks: 1, lessonsPerWeek: 2 }),
+                /has 3 units; the calendar needs at least 3 lessons/);
+});
+
+test("blocks hold at most five lessons and three standards", () => {
+  const [unit] = buildSequence(many("NF", "Fractions", 6), { weeks: 7, lessonsPerWeek: 1 }).units;
+  assert.deepEqual(unit.blocks, [
+    { from: 1, to: 4, codes: ["NF.1", "NF.2", "NF.3"] },
+    { from: 5, to: 7, codes: ["NF.4", "NF.5", "NF.6"] }
+  ]);
+
+  const [crowded] = buildSequence(many("NF", "Fractions", 7), { weeks: 1, lessonsPerWeek: 1 }).units;
+  assert.deepEqual(crowded.blocks.map(b => [b.from, b.to, b.codes.length]), [[1, 1, 3], [1, 1, 3], [1, 1, 1]]);
+});
+
+test("anchors come first and take every standard that matches them", () => {
+  const seq = buildSequence([
+    row("NF.1", "Fractions", { description: "Compare two fractions with different numerators" }),
+    row("G.1", "Geometry", { description: "Draw points, lines and angles" }),
+    row("MD.1", "Measurement", { description: "Measure angles in whole-number degrees" })
+  ], { weeks: 1, lessonsPerWeek: 5, anchors: ["angles", "probability"] });
+  assert.deepEqual(seq.units.map(u => [u.title, u.anchor, u.standards.map(s => s.code)]), [
+    ["angles", true, ["G.1", "MD.1"]],
+    ["Fractions", false, ["NF.1"]]
+  ]);
+  assert.deepEqual(seq.unmatchedAnchors, ["probability"]);
+});
+
+test("a year with one strand is split by cluster", () => {
+  const seq = buildSequence([
+    row("KS3-SC-1", "Key stage 3", { cluster: "Cells and organisation" }),
+    row("KS3-SC-2", "Key stage 3", { cluster: "Forces" }),
+    row("KS3-SC-3", "Key stage 3", { cluster: "Cells and organisation" })
+  ], { weeks: 1, lessonsPerWeek: 4 });
+  assert.deepEqual(seq.units.map(u => [u.title, u.standards.map(s => s.code)]), [
+    ["Cells and organisation", ["KS3-SC-1", "KS3-SC-3"]],
+    ["Forces", ["KS3-SC-2"]]
+  ]);
+});
+
+test("a standard that leads to one in an earlier unit moves ahead of it", () => {
+  const seq = buildSequence([
+    row("NY-4.NF.1", "Fractions"),
+    row("NY-4.OA.1", "Operations", { next: ["NY-4.NF.1"] })
+  ], { weeks: 1, lessonsPerWeek: 2 });
+  assert.deepEqual(seq.units.map(u => [u.title, u.standards.map(s => s.code)]), [["Fractions", ["NY-4.OA.1", "NY-4.NF.1"]]]);
+  assert.deepEqual(seq.moved, [{ code: "NY-4.OA.1", from: "Operations", to: "Fractions" }]);
+});
+
+test("arrows name codes in their own file, so files with the same codes are not confused", () => {
+  const seq = buildSequence([
+    row("1", "Biology", { subjectKey: "bio" }),
+    row("1", "Chemistry", { subjectKey: "chem" }),
+    row("2", "Chemistry", { subjectKey: "chem", next: ["1"] })
+  ], { weeks: 1, lessonsPerWeek: 3 });
+  assert.deepEqual(seq.moved, []);
+  assert.deepEqual(seq.units.map(u => [u.title, u.standards.map(s => `${s.subjectKey}:${s.code}`)]), [
+    ["Biology", ["bio:1"]],
+    ["Chemistry", ["chem:2", "chem:1"]]
+  ]);
+});
+
+test("buildsOn lists the codes from other grades whose arrows lead into a unit", () => {
+  const seq = buildSequence([row("NY-4.NF.1", "Fractions")], {
+    weeks: 1, lessonsPerWeek: 1,
+    related: [
+      row("NY-3.NF.1", "Fractions", { next: ["NY-4.NF.1"] }),
+      row("NY-3.NF.1", "Reading", { subjectKey: "ela", next: ["NY-4.NF.1"] }),
+      row("NY-3.OA.1", "Operations", { next: ["NY-4.OA.1"] })
+    ]
+  });
+  assert.deepEqual(seq.units[0].buildsOn, ["NY-3.NF.1"]);
+});